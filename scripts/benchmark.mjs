@@ -0,0 +1,128 @@
+// 公開データセット（UBFC-rPPG / PURE）で rppg-core のHR推定を評価する
+//   npm run bench -- --format ubfc --dataset ./UBFC --traces ./traces [--method POS] [--json out.json] [--max-mae 5]
+// 動画からのRGB抽出はしない。被験者ごとに事前抽出したトレース（<traces>/<被験者>.json | .csv）を使う:
+//   - アプリで書き出したセッションJSON、または frames CSV（t_sec,forehead_r,forehead_g,forehead_b,...）
+//   - t_sec,r,g,b の4列CSV（額として扱う）
+// 正解:
+//   - ubfc: <dataset>/<被験者>/ground_truth.txt（DATASET_2）または gtdump.xmp（DATASET_1）
+//   - pure: <dataset>/<被験者>.json または <dataset>/<被験者>/<被験者>.json
+// 窓は2つ: --window はプロセッサのHR推定のスペクトル窓（hrWindowSec）、--gt-window は正解HRを平均する窓（どちらも既定12秒）
+// --max-mae を指定すると、全秒のMAEがそれを超えたとき終了コード1（回帰チェック用）
+import { readFileSync, readdirSync, existsSync, statSync, writeFileSync } from "node:fs";
+import { join, basename } from "node:path";
+import {
+  parseUbfcGroundTruth, parsePureGroundTruth, parseRgbTrace, evaluateSubject, summarizeBenchmark, DEFAULT_OPTIONS,
+} from "../src/rppg-core/index.js";
+
+const USAGE = "usage: node scripts/benchmark.mjs --format ubfc|pure --dataset <dir> --traces <dir> "
+  + "[--method GREEN|CHROM|POS] [--fs 30] [--interp cubic|linear] [--band 0.7,3.0] [--window 12] [--peak-threshold 0.6] "
+  + "[--gt-window 12] [--json out.json] [--max-mae bpm]";
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.format || !args.dataset || !args.traces || !["ubfc", "pure"].includes(args.format)) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+const options = {};
+if (args.method) options.method = args.method;
+if (args.fs) options.fs = Number(args.fs);
+if (args.interp) options.interp = args.interp;
+if (args.band) options.band = args.band.split(",").map(Number);
+if (args.window) options.hrWindowSec = Number(args.window);
+if (args["peak-threshold"]) options.peakThreshold = Number(args["peak-threshold"]);
+const gtWindowSec = args["gt-window"] ? Number(args["gt-window"]) : undefined;
+
+const subjects = findSubjects(args.format, args.dataset);
+if (!subjects.length) {
+  console.error(`⚠️ 被験者が見つかりません: ${args.dataset}`);
+  process.exit(2);
+}
+const opts = { ...DEFAULT_OPTIONS, ...options };
+console.log(`📊 ${args.format.toUpperCase()} ${subjects.length}名 / ${opts.method} ${opts.fs}Hz (${opts.interp}) 帯域 ${opts.band.join("–")}Hz 窓 ${opts.hrWindowSec}s ピーク閾値 ${opts.peakThreshold}\n`);
+
+const results = [];
+for (const s of subjects) {
+  const tracePath = ["json", "csv"].map((ext) => join(args.traces, `${s.name}.${ext}`)).find(existsSync);
+  if (!tracePath) {
+    console.warn(`⚠️ ${s.name}: トレースがありません（${join(args.traces, s.name)}.json|.csv）— スキップ`);
+    continue;
+  }
+  try {
+    const gt = args.format === "ubfc" ? parseUbfcGroundTruth(readFileSync(s.gt, "utf8")) : parsePureGroundTruth(readFileSync(s.gt, "utf8"));
+    const trace = parseRgbTrace(readFileSync(tracePath, "utf8"));
+    results.push({ subject: s.name, ...evaluateSubject(trace, gt, { options, hrWindowSec: gtWindowSec }) });
+  } catch (e) {
+    console.warn(`⚠️ ${s.name}: ${e.message} — スキップ`);
+  }
+}
+if (!results.length) process.exit(2);
+
+const summary = summarizeBenchmark(results);
+// 左が全秒、右（gated）が品質ゲートを通った秒だけ
+const header = ["subject", "sec", "n", "MAE", "RMSE", "r", "|", "gated n", "MAE", "RMSE", "r"];
+const rows = results.map((r) => [r.subject, Math.round(r.durationSec), ...statCells(r.all.stats), "|", ...statCells(r.gated.stats)]);
+rows.push(
+  ["(pooled)", Math.round(results.reduce((a, r) => a + r.durationSec, 0)), ...statCells(summary.all), "|", ...statCells(summary.gated)],
+  ["(subject mean)", "", "", fmt(summary.all.subjectMae, 2), "", "", "|", "", fmt(summary.gated.subjectMae, 2), "", ""],
+);
+printTable(header, rows);
+
+if (args.json) {
+  const out = {
+    format: args.format,
+    options: opts,
+    summary,
+    subjects: results.map(({ subject, frames, durationSec, all, gated }) => ({ subject, frames, durationSec, all: all.stats, gated: gated.stats })),
+  };
+  writeFileSync(args.json, JSON.stringify(out, null, 2));
+  console.log(`\n💾 ${args.json}`);
+}
+if (args["max-mae"] != null && !(summary.all.mae <= Number(args["max-mae"]))) {
+  console.error(`\n❌ MAE ${fmt(summary.all.mae, 2)} bpm > ${args["max-mae"]} bpm`);
+  process.exit(1);
+}
+
+function findSubjects(format, dir) {
+  const entries = readdirSync(dir).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const out = [];
+  for (const e of entries) {
+    const p = join(dir, e);
+    const isDir = statSync(p).isDirectory();
+    if (format === "ubfc" && isDir) {
+      const gt = ["ground_truth.txt", "gtdump.xmp"].map((f) => join(p, f)).find(existsSync);
+      if (gt) out.push({ name: e, gt });
+    } else if (format === "pure") {
+      if (!isDir && e.endsWith(".json")) out.push({ name: basename(e, ".json"), gt: p });
+      else if (isDir && existsSync(join(p, `${e}.json`)) && !existsSync(join(dir, `${e}.json`))) out.push({ name: e, gt: join(p, `${e}.json`) });
+    }
+  }
+  return out;
+}
+
+function statCells(s) {
+  return [s.n, fmt(s.mae, 2), fmt(s.rmse, 2), fmt(s.r, 3)];
+}
+
+function printTable(header, rows) {
+  const cells = [header, ...rows].map((r) => r.map(String));
+  const widths = header.map((_, i) => Math.max(...cells.map((r) => r[i].length)));
+  const line = (r) => r.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ");
+  console.log(line(cells[0]));
+  console.log(widths.map((w) => "-".repeat(w)).join("  "));
+  cells.slice(1).forEach((r) => console.log(line(r)));
+}
+
+function fmt(v, digits) {
+  return v == null || !Number.isFinite(v) ? "—" : v.toFixed(digits);
+}
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2);
+    out[key] = argv[i + 1] != null && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+  }
+  return out;
+}
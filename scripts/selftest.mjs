@@ -0,0 +1,11 @@
+// rppg-core の自己テストを Node で実行する（失敗があれば終了コード1）
+//   npm test
+import { runSelfTests } from "../src/rppg-core/index.js";
+
+const results = runSelfTests();
+for (const r of results) {
+  console.log(`${r.pass ? "PASS" : "FAIL"} — ${r.name} : ${r.detail}`);
+}
+const failed = results.filter((r) => !r.pass).length;
+console.log(`\n${results.length - failed}/${results.length} passed`);
+process.exit(failed ? 1 : 0);
@@ -1,61 +1,143 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { drawWaveform } from "./drawWaveform";
-import { useFaceMesh } from "./useFaceMesh";
+import { useFaceMesh, ROI_COLORS } from "./useFaceMesh";
+import { useSessionHistory } from "./useSessionHistory";
+import { useProfiles } from "./useProfiles";
+import { useWorkBlocks } from "./useWorkBlocks";
+import { usePwa } from "./usePwa";
+import { createPipelineClient } from "./pipelineClient";
+import {
+  PULSE_METHODS, INTERPOLATIONS, HRV_WINDOWS, FOCUS_BANDS, DEFAULT_OPTIONS, createMotionEstimator, createSessionRecorder,
+  summarizeSession, aggregateTrends, summariesToCsv, FOCUS_BASELINE, parseSession, createMotionReplay, SESSION_FORMAT,
+  parseReference, alignReference, sessionStartMs, compareHr, compareRmssd, REFERENCE_DEFAULTS,
+  createCalibration, CALIBRATION_DEFAULTS, CALIBRATION_DURATIONS,
+  createFocusModel, focusQualityWeight, FOCUS_MODELS, FOCUS_MODEL_DEFAULTS, FOCUS_STATE_THRESHOLDS,
+  summarizeBlock, createStrainWatch, blocksByDay, BLOCK_DEFAULTS, buildSessionReport, poseOffAxis,
+  runSelfTests as runCoreSelfTests,
+} from "./rppg-core";
 
 // rPPG Focus Monitor — On-device webcam heart rate & HRV (RMSSD) estimation
 // Robust to camera permission issues (NotAllowedError) with environment checks & demo mode
 // - getUserMedia with secure-context guard, clear guidance when blocked
 // - ROI: FaceDetector API if available, else centered ROI fallback
-// - Signal: RGB mean over ROI -> bandpass (0.7–3.0 Hz) with 2nd‑order IIR HP+LP
-// - HR: Goertzel spectral peak; SNR as quality metric
-// - HRV: Peak detection -> IBIs -> RMSSD (parasympathetic proxy)
+// - Session recorder: raw ROI RGB, BVP, beats and per-second metrics → versioned JSON / CSV export
+// - History: finished camera sessions summarized into IndexedDB → day/week trends, delete, export-all
+// - Validation: reference RR/HR import (chest strap CSV/TXT), time alignment + offset → MAE/RMSE/r, Bland-Altman, RMSSD error
+// - Motion: rigid-landmark displacement (translation/scale/rotation) gates HR/IBI while the head moves
+// - Head pose: yaw/pitch/roll from the face-geometry pose matrix → "face the camera" hint, turned-away samples down-weighted
+// - Multi-ROI: forehead + both cheeks, fused by per-ROI SNR weights (auto ROI only)
+// - Skin mask: landmark polygons + adaptive YCbCr/HSV skin classifier, saturated/highlight pixels dropped before averaging
+// - Signal: RGB mean over ROI -> pulse (GREEN / CHROM / POS) -> bandpass (0.7–3.0 Hz) with 2nd‑order IIR HP+LP
+// - HR: Goertzel spectral peak (sub-bin interpolated), tracked across windows by online Viterbi
+// - SQI: de Haan SNR + beat template correlation / skewness / kurtosis; low quality freezes & greys out metrics
+// - HRV: Peak detection -> IBIs -> SDNN / RMSSD / pNN50, Lomb-Scargle LF/HF, Poincaré SD1/SD2 (1/2/5 min window)
+//   (signal pipeline lives in ./rppg-core — framework-free, also runs in Node)
+// - Worker: ROI pixel averaging (ImageBitmap → OffscreenCanvas) + the whole pipeline run in a Web Worker; UI status is throttled
+// - Baseline: guided 2–5 min seated-rest calibration (quality-gated mean/SD of HR & HRV) per named profile (localStorage)
+// - Focus/stress state: baseline z-scores → pluggable score model → quality-weighted EMA → relaxed/focused/strained/fatigued with hysteresis
+// - Work blocks: Pomodoro work/break timer with per-block summaries (focus, HR/HRV vs baseline, quality coverage), strain break hints
+// - Markers: preset/free-text event markers (keys 1–4, M) stored with session timestamps, drawn on waveform & timelines
+// - PWA: manifest + generated service worker precaching the build & MediaPipe assets, install button, update prompt
 // - UI: HR, RMSSD, Focus score, Sympa/Parasympa bars, waveform, environment checks
-// - Demo mode & Self-tests included
+// - Demo mode, offline video-file analysis, deterministic replay of recorded sessions & Self-tests included
 // - All client-side. Not a medical device.
 
 export default function HeartFocusApp() {
   const videoRef = useRef(null);
-  const procCanvasRef = useRef(null); // hidden processing canvas
+  const procCanvasRef = useRef(null); // debug: ワーカーが切り出したROI
   const waveCanvasRef = useRef(null); // waveform canvas
   const meshCanvasRef = useRef(null); // face mesh overlay canvas
 
   const [running, setRunning] = useState(false);
   const runningRef = useRef(false);
   const [demo, setDemo] = useState(false);
+  const [offline, setOffline] = useState(false); // 動画ファイル解析中
   const [status, setStatus] = useState("準備完了");
   const [lastError, setLastError] = useState(null);
 
-  const [hrBpm, setHrBpm] = useState(null);
+  const [recordSession, setRecordSession] = useState(true); // 計測ごとにセッションを記録する
+  const [sessionInfo, setSessionInfo] = useState(null); // 記録中/直近のセッション { source, frames, durationSec }
+  const [markers, setMarkers] = useState([]); // 今のセッションのマーカー [{ t, kind, label, at }]（t はプロセッサの時刻）
+  const [markerLabel, setMarkerLabel] = useState(""); // 自由入力のラベル
+  const markerInputRef = useRef(null);
+  const history = useSessionHistory(); // 保存済みセッション（IndexedDB）
+  const pwa = usePwa(); // インストール・新しい版への更新
+
+  const [hrBpm, setHrBpm] = useState(null); // 追跡値（表示用）
+  const [hrRaw, setHrRaw] = useState(null);  // その窓のスペクトルピーク（追跡前）
   const [rmssd, setRmssd] = useState(null);
-  const [focusScore, setFocusScore] = useState(null);
-  const [snr, setSnr] = useState(null);
+  const [hrv, setHrv] = useState(null); // computeHrv() の結果一式
+  const [hrvWindowSec, setHrvWindowSec] = useState(60);
+  const [resp, setResp] = useState(null); // { rate, quality, estimates }
+  const [respTrend, setRespTrend] = useState([]); // [{ t, rate }] 直近5分
+  const [focus, setFocus] = useState(null); // 集中度モデルの current { score, rawScore, state, hrZ, rmssdZ, weight, ... }
+  const [snr, setSnr] = useState(null); // de Haan SNR (dB)
+  const [sqi, setSqi] = useState(null);  // 信号品質 { snrDb, templateCorr, skewness, kurtosis, ok, reasons }
   const [isProcessing, setIsProcessing] = useState(false);
+  const [motion, setMotion] = useState(null); // 動き推定の状態 { translation, scale, rotation, score, moving }
+  const [rejectedBeats, setRejectedBeats] = useState(0); // 動きで除外した拍の数
   const [sampleCount, setSampleCount] = useState(0);
 
+  // 動画ファイル解析の結果（メディア時刻1秒ごと）
+  const [timeline, setTimeline] = useState([]);
+  const [analysis, setAnalysis] = useState(null); // { kind: "video" | "replay", fileName, progress, done }
+  const [replaySpeed, setReplaySpeed] = useState(16); // セッション再生の倍速（0 = 最大）
+
   const [roiMode, setRoiMode] = useState("auto");
   const [mirror, setMirror] = useState(true);
   const [showMesh, setShowMesh] = useState(true); // メッシュ表示デバッグ
-  const [detectedRoi, setDetectedRoi] = useState({ x: 0.40, y: 0.12, w: 0.20, h: 0.18 });
+  const [detectedRois, setDetectedRois] = useState(DEFAULT_ROIS);
+  const [roiStats, setRoiStats] = useState([]); // [{ name, snr, weight }]（プロセッサの "roi" イベント）
+  const [pulseMethod, setPulseMethod] = useState("POS");
+  const [resampleFs, setResampleFs] = useState(30); // 一定時間格子のレート (Hz)
+  const [interp, setInterp] = useState("cubic");
+  // 詳細パラメータ（変更するとプロセッサを作り直す）
+  const [tuning, setTuning] = useState(TUNING_DEFAULTS);
+
+  // Baselines: 選択中のプロファイルのキャリブレーション結果（未設定なら既定値）
+  const profiles = useProfiles();
+  const baseline = profiles.active?.baseline ?? null;
+  const [calibrationSec, setCalibrationSec] = useState(CALIBRATION_DEFAULTS.durationSec);
+  const [calibration, setCalibration] = useState(null); // 実行中の進捗 createCalibration().status() + { durationSec }
+  const [calibrationResult, setCalibrationResult] = useState(null); // 直近の結果 { ok, reasons, baseline, profileName }
+  // 集中度モデルのモデル・平滑化・状態の閾値（変更するとモデルを作り直す）
+  const [focusSettings, setFocusSettings] = useState(FOCUS_SETTINGS_DEFAULTS);
+
+  // 作業/休憩ブロック（ポモドーロ）。タイマーは壁時計、指標は計測中の1秒ごと（"sqi" イベント）に集める
+  const workBlocks = useWorkBlocks(); // 保存済みブロック（IndexedDB）
+  const [blockSettings, setBlockSettings] = useState(BLOCK_DEFAULTS);
+  const [block, setBlock] = useState(null); // 進行中 { kind, startedAt(ms), plannedSec }
+  const [blockNow, setBlockNow] = useState(() => Date.now()); // カウントダウン表示用
+  const [strainHint, setStrainHint] = useState(false); // 緊張が続いたので休憩を勧めている
+
+  // rAFループ/プロセッサのイベントは生成時のクロージャを使い続けるため、設定は毎レンダーでrefに写す
+  const settingsRef = useRef({});
+  settingsRef.current = { recordSession, demo, roiMode, mirror, showMesh, pulseMethod, resampleFs, interp, tuning, replaySpeed, hrvWindowSec, baseline, profileName: profiles.active?.name ?? null, offline, blockSettings };
   
-  // MediaPipe Face Meshを使用
-  const { foreheadBox, isDetecting } = useFaceMesh(
+  // MediaPipe Face Meshを使用（動画解析中はフレームごとに手動で検出）
+  const { rois, pose, isLoading: faceMeshLoading, loadError: faceMeshError, detectFrame, landmarksRef } = useFaceMesh(
     videoRef, 
     meshCanvasRef, 
     running && !demo && roiMode === "auto",
-    showMesh
+    showMesh,
+    offline
   );
   
+  // 顔追跡（MediaPipe）を読み込めなければ中央ROIで計測を続ける（自動ROIに戻すと読み込み直す）
+  useEffect(() => {
+    if (!faceMeshError || settingsRef.current.roiMode !== "auto") return;
+    console.warn(`⚠️ 顔追跡を使えないため中央ROIに切り替え: ${faceMeshError}`);
+    setRoiMode("center");
+    setStatus("顔追跡を読み込めないため中央ROIで計測中");
+  }, [faceMeshError]);
+
   // 顔検出結果をROIに反映
   useEffect(() => {
-    if (foreheadBox && roiMode === "auto") {
-      setDetectedRoi(foreheadBox);
-      stRef.current.roi = foreheadBox;
+    if (rois && roiMode === "auto") {
+      setDetectedRois(rois);
+      stRef.current.rois = rois;
     }
-  }, [foreheadBox, roiMode]);
-
-  // Baselines (optional user-calibration)
-  const [baselineHR, setBaselineHR] = useState(null);
-  const [baselineRMSSD, setBaselineRMSSD] = useState(null);
+  }, [rois, roiMode]);
 
   // Environment checks
   const [env, setEnv] = useState({
@@ -68,29 +150,89 @@ export default function HeartFocusApp() {
   // Self-test results
   const [testResults, setTestResults] = useState([]);
 
-  // Internal state (buffers, filters, detector)
+  // Internal state (stream, ROI, signal processor)
   const stRef = useRef({
     stream: null,
     faceDetector: null,
-    lastTs: 0,
-    fpsEMA: 30,
-    // buffers
-    t: [],
-    gRaw: [],
-    bvp: [],
-    maxBufSec: 60,
-    // filters (configured per-frame based on fps)
-    hp: makeBiquadHP(30, 0.7),
-    lp: makeBiquadLP(30, 3.0),
-    // peak & IBI
-    lastPeakT: -1,
-    ibis: [],
-    // ROI (normalized)
-    roi: { x: 0.40, y: 0.12, w: 0.20, h: 0.18 }, // 眉間から上の中央額領域
+    // rppg-core processor（パルス抽出〜HR/IBI/RMSSD）。syncProcessor() で遅延生成。
+    // 処理は Web Worker（pipeline = createPipelineClient()）で行い、proc はその窓口
+    pipeline: null,
+    proc: null,
+    capturing: false, // フレームの ImageBitmap を作成中
+    droppedFrames: 0, // ワーカーが追いつかず間引いたフレーム数
+    loggedSamples: 0,
+    // ROI (normalized) — 額・左頬・右頬。顔検出があるまでは既定の位置
+    rois: DEFAULT_ROIS,
     roiLockUntil: 0,
     frameCount: 0,
+    // 頭の動き（顔ランドマークのフレーム間変位）
+    motion: createMotionEstimator(),
+    motionSeq: 0, // 最後に動き推定へ渡したランドマークの番号
+    pose: null, // 最後に届いた頭の向き（動きの状態に添えてプロセッサへ渡す）
+    // 直近の推定値（rAF/解析ループから参照するためstateとは別に保持）
+    latest: { ...EMPTY_LATEST },
+    // 集中度・状態のモデル（createFocusModel）。設定とベースラインが変わったら作り直す
+    focusModel: null,
+    // 解析中の動画ファイル（object URL）
+    fileUrl: null,
+    // セッション記録（createSessionRecorder）と、次に1秒ごとの指標を記録する時刻
+    recorder: null,
+    nextMetricT: null,
+    // 再生中のセッション { roiNames }（ROIの組はライブの設定ではなく記録に合わせる）
+    replay: null,
+    sessionEnded: false, // stop() は何度も呼ばれるので、履歴への保存は1回だけ
+    // 実行中のキャリブレーション（createCalibration）と、結果を保存するプロファイル
+    calibration: null,
+    calibrationProfileId: null,
+    // 進行中のブロック { kind, startedAt, plannedSec, rows, strain, hinted }（rows は1秒ごとの指標）
+    block: null,
+    // 今のセッションのマーカーと、最後にプロセッサへ渡したフレームの時刻（マーカーの時刻）
+    markers: [],
+    lastT: null,
   });
 
+  useEffect(() => () => stRef.current.pipeline?.terminate(), []);
+
+  // 集中度モデルの設定・選択中のプロファイルのベースラインが変わったらモデルを作り直す（平滑化と状態はやり直し）
+  useEffect(() => {
+    const { model, smoothingSec, ...thresholds } = focusSettings;
+    const st = stRef.current;
+    st.focusModel = createFocusModel({ model, smoothingSec, thresholds, baseline });
+    st.latest.focus = null;
+    st.latest.focusState = null;
+    setFocus(null);
+  }, [focusSettings, baseline]);
+
+  // ブロックのカウントダウン。予定の時間が来たら次のブロックへ
+  useEffect(() => {
+    if (!block) return undefined;
+    const id = setInterval(() => {
+      const now = Date.now();
+      setBlockNow(now);
+      const b = stRef.current.block;
+      if (b && now >= b.startedAt + b.plannedSec * 1000) nextBlock(null);
+    }, 1000);
+    return () => clearInterval(id);
+  }, [block]);
+
+  // マーカーのキーボードショートカット（入力欄にいるときは無視）: 1〜4 = プリセット、M = ラベル入力へ
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!runningRef.current || e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      const preset = MARKER_PRESETS.find((p) => p.key === e.key);
+      if (preset) {
+        addMarker(preset.kind, preset.label);
+      } else if (e.key === "m" || e.key === "M") {
+        e.preventDefault();
+        markerInputRef.current?.focus();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
   // ===== Environment probe =====
   useEffect(() => {
     const secure = (window.isSecureContext === true) || /^(localhost|127\.0\.0\.1)$/i.test(location.hostname);
@@ -145,6 +287,7 @@ export default function HeartFocusApp() {
       });
       console.log("✅ ストリーム取得成功", stream.getVideoTracks());
       if (!videoRef.current) return;
+      releaseVideoFile();
       videoRef.current.srcObject = stream;
       await videoRef.current.play();
       console.log("✅ ビデオ再生開始", {
@@ -166,12 +309,15 @@ export default function HeartFocusApp() {
         meshCanvasRef.current.height = videoRef.current.videoHeight;
       }
 
-      stRef.current.lastTs = performance.now();
+      syncProcessor(true); // 新しい計測はバッファを空にして開始
+      beginSession({ source: "camera", width: videoRef.current.videoWidth, height: videoRef.current.videoHeight });
+      settingsRef.current.demo = false; // 次のrAFが再レンダー前に来ても正しいソースを読むように
       setDemo(false);
+      setOffline(false);
       setRunning(true);
       runningRef.current = true;
       console.log("🔄 メインループ開始");
-      requestAnimationFrame(loop);
+      scheduleLoop();
     } catch (e) {
       console.error(e);
       setRunning(false);
@@ -193,12 +339,16 @@ export default function HeartFocusApp() {
 
   function startDemo() {
     stop();
+    releaseVideoFile();
+    setOffline(false);
+    settingsRef.current.demo = true;
     setDemo(true);
     setStatus("デモモード: 擬似信号で推定中（カメラ不要）");
-    stRef.current.lastTs = performance.now();
+    syncProcessor(true); // 新しい計測はバッファを空にして開始
+    beginSession({ source: "demo" });
     setRunning(true);
     runningRef.current = true;
-    requestAnimationFrame(loop);
+    scheduleLoop();
   }
 
   function stop() {
@@ -207,224 +357,769 @@ export default function HeartFocusApp() {
       st.stream.getTracks().forEach((tr) => tr.stop());
       st.stream = null;
     }
+    endSession();
+    cancelCalibration();
     setRunning(false);
     runningRef.current = false;
   }
 
-  function calibrateBaseline() {
-    if (hrBpm && rmssd) {
-      setBaselineHR(hrBpm);
-      setBaselineRMSSD(rmssd);
+  // ===== Session recording =====
+  function beginSession(meta) {
+    const st = stRef.current;
+    st.recorder?.stop();
+    st.recorder = null;
+    st.nextMetricT = null;
+    st.sessionEnded = false;
+    st.markers = [];
+    st.lastT = null;
+    setMarkers([]);
+    setSessionInfo(null);
+    if (!settingsRef.current.recordSession) return;
+    const { pulseMethod, resampleFs, interp, tuning } = settingsRef.current;
+    st.recorder = createSessionRecorder({
+      ...meta,
+      method: pulseMethod,
+      fs: resampleFs,
+      interp,
+      band: [tuning.bandLow, tuning.bandHigh],
+      hrWindowSec: tuning.hrWindowSec,
+      peakThreshold: tuning.peakThreshold,
+      rois: st.proc.options.rois,
+      profile: settingsRef.current.profileName,
+      userAgent: navigator.userAgent,
+    });
+    st.recorder.attach(st.proc);
+    setSessionInfo({ source: meta.source, frames: 0, durationSec: 0 });
+    console.log(`⏺️ セッション記録開始 (${meta.source})`);
+  }
+
+  function endSession() {
+    const st = stRef.current;
+    const rec = st.recorder;
+    if (!rec || st.sessionEnded) return;
+    st.sessionEnded = true;
+    rec.stop();
+    setSessionInfo({ source: rec.meta.source, frames: rec.frameCount, durationSec: rec.durationSec });
+    // カメラでの計測だけを履歴に残す（デモ・動画解析は除く）
+    if (rec.meta.source === "camera" && rec.durationSec >= HISTORY_MIN_SEC) saveToHistory(rec.toJSON());
+  }
+
+  // 要約と1秒ごとの指標・拍だけを保存（生フレーム/BVPは保存しない）
+  function saveToHistory(session) {
+    const { startedAt, meta, metrics, beats, markers } = session;
+    history.save({
+      startedAt,
+      endedAt: new Date().toISOString(),
+      source: meta.source,
+      meta,
+      summary: summarizeSession(session),
+      metrics,
+      beats,
+      markers,
+    });
+  }
+
+  function exportHistoryJson() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+    const body = { format: "rppg-history", version: 1, exportedAt: new Date().toISOString(), sessions: history.sessions };
+    downloadText(`rppg_history_${stamp}.json`, JSON.stringify(body), "application/json");
+  }
+
+  // 1セッション1行の要約CSV
+  function exportHistoryCsv() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+    downloadText(`rppg_history_${stamp}.csv`, summariesToCsv([...history.sessions].reverse()), "text/csv");
+  }
+
+  // 1フレームぶんの生データと、1秒ごとの指標を記録する
+  // boxes はフレームを渡した時点の ROI 矩形（currentBoxes）。多角形は記録しない（フレームごとには大きすぎる）
+  function recordFrame(tSec, rgb, motion, boxes) {
+    const st = stRef.current;
+    const rec = st.recorder;
+    if (!rec) return;
+    const rects = Object.fromEntries(Object.entries(boxes).map(([name, { x, y, w, h }]) => [name, { x, y, w, h }]));
+    rec.frame(tSec, { rgb, boxes: rects, motion: motion?.score, moving: motion?.moving, pose: motion?.pose });
+    if (st.nextMetricT == null) st.nextMetricT = tSec + 1;
+    while (tSec >= st.nextMetricT) {
+      rec.metrics(st.nextMetricT, st.latest);
+      st.nextMetricT += 1;
+    }
+    if (rec.frameCount % 30 === 0) {
+      setSessionInfo({ source: rec.meta.source, frames: rec.frameCount, durationSec: rec.durationSec });
     }
   }
 
+  // t はプロセッサの時刻（既定は最後に渡したフレーム）。記録中ならセッションにも残す
+  function addMarker(kind, label, t = stRef.current.lastT, at = new Date().toISOString()) {
+    const st = stRef.current;
+    if (!runningRef.current || t == null) return;
+    const m = { t, kind, label, at };
+    st.markers = [...st.markers, m];
+    st.recorder?.marker(t, m);
+    setMarkers(st.markers);
+    console.log(`📍 マーカー: ${label} (t=${t.toFixed(1)}s)`);
+  }
+
+  function addCustomMarker() {
+    const label = markerLabel.trim();
+    if (!label) return;
+    addMarker("note", label);
+    setMarkerLabel("");
+    markerInputRef.current?.blur();
+  }
+
+  // 直近12秒の波形と、その範囲のマーカー（位置は波形の最後のサンプルの時刻から。最新フレームの時刻より遅れている）
+  function drawWave() {
+    const st = stRef.current;
+    const seg = st.proc.getWaveform(12);
+    const span = seg.length / st.proc.options.fs;
+    const tEnd = st.proc.lastSampleT ?? st.lastT;
+    drawWaveform(waveCanvasRef.current, seg, st.markers.map((m) => ({ pos: 1 - (tEnd - m.t) / span, label: m.label })));
+  }
+
+  function sessionBaseName() {
+    const rec = stRef.current.recorder;
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "");
+    const src = rec?.meta.fileName ? rec.meta.fileName.replace(/\.[^.]+$/, "") : rec?.meta.source ?? "session";
+    return `rppg_${src}_${stamp}`;
+  }
+
+  function downloadSessionJson() {
+    const rec = stRef.current.recorder;
+    if (!rec) return;
+    downloadText(`${sessionBaseName()}.json`, JSON.stringify(rec.toJSON()), "application/json");
+  }
+
+  // 表ごとに4つのCSV（frames / bvp / beats / metrics）
+  function downloadSessionCsv() {
+    const rec = stRef.current.recorder;
+    if (!rec) return;
+    const base = sessionBaseName();
+    for (const [table, text] of Object.entries(rec.toCsv())) downloadText(`${base}_${table}.csv`, text, "text/csv");
+  }
+
+  // 1ファイルのHTMLレポート。ベースラインは記録時のプロファイル（同名がなければなし）、比較は同じプロファイルの過去のセッション
+  function downloadReport(session, base) {
+    const name = session.meta?.profile ?? null;
+    const baseline = profiles.profiles.find((p) => p.name === name)?.baseline ?? null;
+    const previous = history.sessions.filter((s) => (s.meta?.profile ?? null) === name);
+    downloadText(`${base}_report.html`, buildSessionReport(session, { baseline, previous }), "text/html");
+  }
+
+  function downloadSessionReport() {
+    const rec = stRef.current.recorder;
+    if (!rec) return;
+    downloadReport(rec.toJSON(), sessionBaseName());
+  }
+
+  function downloadHistoryReport(s) {
+    const stamp = s.startedAt.replace(/[-:]/g, "").replace(/\..+$/, "");
+    downloadReport(s, `rppg_${s.source ?? "session"}_${stamp}`);
+  }
+
+  function releaseVideoFile() {
+    const st = stRef.current;
+    if (!st.fileUrl) return;
+    const v = videoRef.current;
+    if (v) { v.pause(); v.removeAttribute("src"); v.load(); }
+    URL.revokeObjectURL(st.fileUrl);
+    st.fileUrl = null;
+  }
+
+  // 入力中の空欄・範囲外は無視する（帯域は low < high を保つ）
+  function updateTuning(key, value) {
+    const v = Number(value);
+    if (value === "" || !Number.isFinite(v)) return;
+    const next = { ...tuning, [key]: v };
+    if (next.bandLow <= 0 || next.bandLow >= next.bandHigh || next.hrWindowSec < 6 || next.peakThreshold < 0) return;
+    setTuning(next);
+  }
+
+  // ===== Baseline calibration =====
+  // 計測中に座位安静を durationSec 秒続け、品質ゲートを通ったHR/HRVの平均・SDを選択中のプロファイルへ保存する
+  function startCalibration() {
+    const st = stRef.current;
+    if (!runningRef.current) return;
+    st.calibration = createCalibration({ durationSec: calibrationSec });
+    st.calibrationProfileId = profiles.active?.id ?? null;
+    setCalibration({ ...st.calibration.status(), durationSec: calibrationSec });
+    setCalibrationResult(null);
+    console.log(`🧘 キャリブレーション開始 (${calibrationSec}秒, プロファイル: ${profiles.active?.name ?? "既定（新規）"})`);
+  }
+
+  function cancelCalibration() {
+    const st = stRef.current;
+    if (!st.calibration) return;
+    st.calibration = null;
+    setCalibration(null);
+    console.log("⏹️ キャリブレーション中止");
+  }
+
+  // 1秒ごと（"sqi" イベント）に進める
+  function tickCalibration(t, ok) {
+    const st = stRef.current;
+    const cal = st.calibration;
+    cal.sample(t, { hr: st.latest.hr, sqiOk: ok });
+    const s = cal.status();
+    setCalibration({ ...s, durationSec: cal.options.durationSec });
+    if (!s.done) return;
+    const result = cal.finish();
+    st.calibration = null;
+    setCalibration(null);
+    setCalibrationResult({ ...result, profileName: settingsRef.current.profileName ?? "既定" });
+    if (result.ok) {
+      profiles.saveBaseline(st.calibrationProfileId, result.baseline);
+      const { hr, rmssd } = result.baseline;
+      console.log(`✅ キャリブレーション完了: HR ${hr.mean.toFixed(1)}±${hr.sd.toFixed(1)} bpm, RMSSD ${rmssd.mean.toFixed(1)}±${fmt(rmssd.sd, 1)} ms`);
+    } else {
+      console.log(`⚠️ キャリブレーション失敗: ${result.reasons.map((r) => CALIBRATION_MESSAGES[r]).join(" / ")}`);
+    }
+  }
+
+  function createProfile() {
+    const name = prompt("プロファイル名", `ユーザー${profiles.profiles.length + 1}`)?.trim();
+    if (name) profiles.create(name);
+  }
+
+  function deleteProfile() {
+    const p = profiles.active;
+    if (p && confirm(`プロファイル「${p.name}」とそのベースラインを削除しますか？`)) profiles.remove(p.id);
+  }
+
   // ===== Main loop =====
-  const loop = () => {
+  // カメラは新しいフレームが届くたび（requestVideoFrameCallback があれば撮影時刻つき）、デモは rAF ごと。
+  // ROIの切り出しと信号処理はワーカーで行い、ここではフレームを渡すだけ（処理待ちが MAX_IN_FLIGHT を超えたら間引く）
+  const loop = (now) => {
     const st = stRef.current;
     if (!runningRef.current) {
       console.log("⏹️ ループ停止（running=false）");
       return;
     }
-
-    const now = performance.now();
-    const dt = (now - st.lastTs) / 1000;
-    st.lastTs = now;
-
-    // fps EMA
-    const instFps = 1 / Math.max(dt, 1 / 120);
-    st.fpsEMA = st.fpsEMA * 0.9 + instFps * 0.1;
-    const fs = Math.max(10, Math.min(90, Math.round(st.fpsEMA)));
-    st.hp = makeBiquadHP(fs, 0.7);
-    st.lp = makeBiquadLP(fs, 3.0);
+    const { demo, roiMode } = settingsRef.current;
+    syncProcessor();
 
     // Sample input (camera or demo)
     if (demo) {
       // Synthetic rPPG-like signal: HR ~72 bpm (1.2Hz) + RSA 0.25Hz + noise
+      // 脈波成分は血液の色（PBV ≈ [0.33, 0.77, 0.53]）で各チャンネルに乗せ、
+      // 照明のゆらぎは全チャンネル共通の乗算ノイズとして加える
       const tSec = now / 1000;
-      const base = 128;
-      const sig = 8 * Math.sin(2 * Math.PI * 1.2 * tSec) + 3 * Math.sin(2 * Math.PI * 0.25 * tSec) + (Math.random() - 0.5) * 2.0;
-      const gMean = base + sig;
-      pushSample(tSec, gMean, fs);
+      const base = [150, 128, 110];
+      const pbv = [0.33, 0.77, 0.53];
+      const sig = 8 * Math.sin(2 * Math.PI * 1.2 * tSec) + 3 * Math.sin(2 * Math.PI * 0.25 * tSec);
+      const illum = 1 + 0.02 * Math.sin(2 * Math.PI * 0.05 * tSec) + (Math.random() - 0.5) * 0.01;
+      const rgb = base.map((b, c) => b * illum + pbv[c] * sig + (Math.random() - 0.5) * 2.0);
+      pushRgb(tSec, rgb, undefined, () => runningRef.current && recordFrame(tSec, rgb, undefined, {}));
     } else {
       const v = videoRef.current;
-      const c = procCanvasRef.current;
-      if (!v || !v.videoWidth || !c) {
-        console.log("⚠️ ビデオまたはキャンバスが準備できていません", {
-          video: !!v,
-          videoWidth: v?.videoWidth,
-          canvas: !!c
-        });
-        requestAnimationFrame(loop);
+      if (!v || !v.videoWidth) {
+        console.log("⚠️ ビデオが準備できていません", { video: !!v, videoWidth: v?.videoWidth });
+        scheduleLoop();
+        return;
+      }
+      const tSec = now / 1000;
+      // 新しいランドマークが届いていれば動きを更新
+      const lm = landmarksRef.current;
+      if (roiMode === "auto" && lm && lm.seq !== st.motionSeq) {
+        st.motionSeq = lm.seq;
+        updateMotion(lm.t, lm.points, lm.pose);
+      }
+      if (st.capturing || st.pipeline.inFlight >= MAX_IN_FLIGHT) {
+        st.droppedFrames++;
+        if (st.droppedFrames % 30 === 1) console.warn(`⚠️ 処理が追いつかないためフレームを間引きました（累計 ${st.droppedFrames}）`);
+        scheduleLoop();
         return;
       }
       // フレームカウント
       st.frameCount++;
+      const frameNo = st.frameCount;
+      const motion = roiMode === "auto" ? currentMotion(st.motion, tSec, st.pose) : undefined;
+      const boxes = currentBoxes();
+      st.capturing = true;
+      st.pipeline.capture(v).then((source) => {
+        st.capturing = false;
+        if (!runningRef.current) { source.close?.(); return; }
+        pushVideoFrame(tSec, source, boxes, motion, (r) => {
+          if (!r || !runningRef.current) return; // 停止後に戻ってきたフレームは記録しない
+          recordFrame(tSec, r.rgb, motion, boxes);
+          // 初回と定期的にログ出力
+          if (frameNo === 1 || frameNo % 60 === 0) {
+            console.log(`📹 カメラ動作中 - 額ROI平均RGB: ${r.rgb.forehead.map(v => v.toFixed(2)).join(", ")}, 肌の画素数: ${r.n.forehead}, フレーム: ${frameNo}`);
+          }
+        });
+      }, (err) => {
+        st.capturing = false;
+        console.error("❌ フレーム取得エラー:", err);
+      });
+    }
 
-      const vw = v.videoWidth, vh = v.videoHeight;
-      const roi = st.roi;
-      const rx = roiMode === "center" ? 0.40 : roi.x;
-      const ry = roiMode === "center" ? 0.12 : roi.y;  // 眉間から上
-      const rw = roiMode === "center" ? 0.20 : roi.w;  // 中央の狭い領域
-      const rh = roiMode === "center" ? 0.18 : roi.h;  // 眉間から生え際
-
-      c.width = Math.max(160, Math.floor(vw * rw));
-      c.height = Math.max(120, Math.floor(vh * rh));
-      const cx = c.getContext("2d", { willReadFrequently: true });
-
-      // Draw ROI crop with optional mirroring
-      cx.save();
-      if (mirror) { cx.translate(c.width, 0); cx.scale(-1, 1); }
-      try {
-        cx.drawImage(
-          v,
-          vw * rx, vh * ry, vw * rw, vh * rh,
-          0, 0, c.width, c.height
-        );
-      } catch (err) {
-        console.error("❌ drawImage エラー:", err);
-        requestAnimationFrame(loop);
-        return;
+    scheduleLoop();
+  };
+
+  function scheduleLoop() {
+    const v = videoRef.current;
+    if (!settingsRef.current.demo && v?.requestVideoFrameCallback) {
+      v.requestVideoFrameCallback((now, meta) => loop(meta.captureTime ?? meta.expectedDisplayTime ?? now));
+    } else {
+      requestAnimationFrame(loop);
+    }
+  }
+
+  // パルス抽出法・補間法・ROIの組・詳細パラメータが変わったら（または初回）プロセッサを作り直してイベントを配線する。
+  // 処理レートだけの変更はフィルタと再標本化の作り直しで済ませる
+  function syncProcessor(force = false) {
+    const st = stRef.current;
+    const { pulseMethod: method, resampleFs, interp, hrvWindowSec, tuning } = settingsRef.current;
+    const roiNames = st.replay?.roiNames ?? activeRoiNames(settingsRef.current);
+    const tuned = { band: [tuning.bandLow, tuning.bandHigh], hrWindowSec: tuning.hrWindowSec, peakThreshold: tuning.peakThreshold };
+    const o = st.proc?.options;
+    const same = o && o.rois.join() === roiNames.join() && o.band.join() === tuned.band.join()
+      && o.hrWindowSec === tuned.hrWindowSec && o.peakThreshold === tuned.peakThreshold;
+    if (same && st.proc.method === method && o.interp === interp && !force) {
+      st.proc.setSampleRate(resampleFs);
+      st.proc.setHrvWindow(hrvWindowSec);
+      return st.proc;
+    }
+    st.pipeline ??= createPipelineClient();
+    const proc = st.pipeline.createProcessor({ method, fs: resampleFs, interp, hrvWindowSec, rois: roiNames, ...tuned });
+    // 品質ゲート: 品質が低い間は表示を直前の値で止める（タイムラインには sqiOk と一緒に残す）
+    proc.on("hr", ({ bpm, raw }) => {
+      st.latest.hr = Math.round(bpm);
+      st.latest.hrRaw = Math.round(raw);
+      if (!st.latest.sqiOk) return;
+      setHrBpm(st.latest.hr);
+      setHrRaw(st.latest.hrRaw);
+    });
+    proc.on("sqi", (q) => {
+      st.latest.snr = q.snrDb == null ? null : Math.round(q.snrDb * 10) / 10;
+      if (q.ok !== st.latest.sqiOk) {
+        console.log(q.ok ? "✅ 信号品質OK" : `⚠️ 信号品質低下: ${q.reasons.map((r) => SQI_MESSAGES[r]).join(" / ")}`);
       }
-      cx.restore();
-      
-      // デバッグ: 測定領域に緑枠を描画
-      if (showMesh) {
-        cx.strokeStyle = 'lime';
-        cx.lineWidth = 2;
-        cx.strokeRect(0, 0, c.width, c.height);
-        cx.fillStyle = 'lime';
-        cx.font = '12px Arial';
-        cx.fillText('測定中', 5, 15);
+      st.latest.sqiOk = q.ok;
+      if (st.calibration) tickCalibration(q.t, q.ok);
+      updateFocus(q);
+      recordBlockRow(q);
+      setSnr(st.latest.snr);
+      setSqi(q);
+      console.log(`心拍推定: ${st.latest.hr ?? "—"} bpm, SNR: ${fmt(q.snrDb, 1)} dB, テンプレート相関: ${fmt(q.templateCorr, 2)}`);
+    });
+    proc.on("hrv", (h) => {
+      const rm = h.rmssd;
+      st.latest.rmssd = Math.round(rm);
+      st.calibration?.hrv(h.t, h, st.latest.sqiOk);
+      if (!st.latest.sqiOk) return;
+      setRmssd(st.latest.rmssd);
+      setHrv(h);
+    });
+    proc.on("resp", (r) => {
+      st.latest.resp = Math.round(r.rate * 10) / 10;
+      setResp(r);
+      // トレンドは2秒に1点、直近5分
+      setRespTrend((prev) => {
+        if (prev.length && r.t - prev[prev.length - 1].t < 2) return prev;
+        return [...prev.filter((p) => p.t >= r.t - 300), { t: r.t, rate: r.rate }];
+      });
+    });
+    proc.on("roi", ({ rois }) => setRoiStats(rois));
+    // 表示の更新（ワーカーから間引いて届く）: 波形・サンプル数・デバッグ用のROI切り出し（肌マスク付き）
+    proc.on("status", ({ rois, skin, tiles }) => {
+      drawWave();
+      if (tiles) drawRoiTiles(procCanvasRef.current, tiles, rois, skin);
+      setSampleCount(proc.sampleCount);
+      setIsProcessing(true);
+      if (proc.sampleCount - st.loggedSamples >= 300) {
+        st.loggedSamples = proc.sampleCount;
+        console.log(`サンプル数: ${proc.sampleCount}, FPS: ${Math.round(proc.fps)}`);
       }
+    });
+    proc.on("artifact", ({ t, ibi, reason }) => {
+      setRejectedBeats(proc.rejectedBeats);
+      console.log(`🚫 ${ARTIFACT_MESSAGES[reason] ?? "拍を除外"}: t=${t.toFixed(1)}s, IBI ${ibi.toFixed(2)}s`);
+    });
+    st.proc = proc;
+    st.loggedSamples = 0;
+    st.focusModel.reset(); // 時刻の基準が変わるので平滑化と状態もやり直す
+    st.block?.strain.reset();
+    st.recorder?.attach(proc); // 記録中にプロセッサを作り直したら付け替える
+    st.motion.reset();
+    st.pose = null;
+    setMotion(null);
+    setRejectedBeats(0);
+    setResp(null);
+    setRespTrend([]);
+    setRoiStats(proc.rois);
+    setSqi(null);
+    st.latest.sqiOk = false;
+    console.log(`🔀 パルス抽出: ${method} / 再標本化 ${resampleFs}Hz (${interp}) / 帯域 ${tuned.band.join("–")}Hz・窓 ${tuned.hrWindowSec}s・ピーク閾値 ${tuned.peakThreshold}σ / ROI: ${roiNames.join(", ")}`);
+    return proc;
+  }
 
-      let img;
-      try {
-        img = cx.getImageData(0, 0, c.width, c.height).data;
-      } catch (err) {
-        console.error("❌ getImageData エラー:", err);
-        requestAnimationFrame(loop);
-        return;
+  // 1秒ごと（"sqi" イベント）に集中度モデルを進める。品質の重みが 0 の間（品質ゲート中）は値も状態も動かない
+  function updateFocus(q) {
+    const st = stRef.current;
+    const prev = st.latest.focusState;
+    const f = st.focusModel.update(q.t, { hr: st.latest.hr, rmssd: st.latest.rmssd, quality: focusQualityWeight(q) });
+    if (!f) return;
+    if (prev && f.state !== prev) console.log(`🎯 状態: ${FOCUS_STATE_LABELS[prev]} → ${FOCUS_STATE_LABELS[f.state]}（スコア ${f.score}）`);
+    st.latest.focus = f.score;
+    st.latest.focusState = f.state;
+    setFocus(f);
+  }
+
+  // ===== Work blocks =====
+  function startBlock(kind) {
+    const st = stRef.current;
+    const { workMin, breakMin, strainBreakMin } = settingsRef.current.blockSettings;
+    const plannedSec = (kind === "work" ? workMin : breakMin) * 60;
+    const startedAt = Date.now();
+    st.block = { kind, startedAt, plannedSec, rows: [], strain: createStrainWatch({ strainBreakSec: strainBreakMin * 60 }), hinted: false };
+    setBlock({ kind, startedAt, plannedSec });
+    setBlockNow(startedAt);
+    setStrainHint(false);
+    console.log(`⏱️ ${BLOCK_KIND_LABELS[kind]}開始 (${plannedSec / 60}分)`);
+  }
+
+  // reason: null = 予定どおり終了、strain / skip / stop = 途中で終了。短すぎるブロックは保存しない
+  function endBlock(reason) {
+    const st = stRef.current;
+    const b = st.block;
+    if (!b) return null;
+    st.block = null;
+    const durationSec = (Date.now() - b.startedAt) / 1000;
+    const { baseline, profileName } = settingsRef.current;
+    const summary = summarizeBlock(b.rows, durationSec, baseline);
+    if (durationSec >= BLOCK_MIN_SEC) {
+      workBlocks.save({
+        kind: b.kind,
+        startedAt: new Date(b.startedAt).toISOString(),
+        endedAt: new Date().toISOString(),
+        plannedSec: b.plannedSec,
+        endReason: reason,
+        profile: profileName,
+        summary,
+      });
+    }
+    console.log(`⏱️ ${BLOCK_KIND_LABELS[b.kind]}終了${reason ? `（${BLOCK_END_LABELS[reason]}）` : ""}: 平均集中度 ${fmt(summary.meanFocus)}, 品質カバー率 ${fmt((summary.qualityCoverage ?? 0) * 100)}%`);
+    return b.kind;
+  }
+
+  // 作業 → 休憩 → 作業 … と続ける
+  function nextBlock(reason) {
+    const kind = endBlock(reason);
+    startBlock(kind === "work" ? "break" : "work");
+  }
+
+  function stopBlocks() {
+    endBlock("stop");
+    setBlock(null);
+    setStrainHint(false);
+  }
+
+  // 1秒ごと（"sqi" イベント）。動画解析・再生はメディアの時刻で進むので集めない
+  function recordBlockRow(q) {
+    const st = stRef.current;
+    const b = st.block;
+    if (!b || settingsRef.current.offline) return;
+    const { hr, rmssd, focus, focusState } = st.latest;
+    b.rows.push({ hr, rmssd, focus, focusState, sqiOk: q.ok });
+    if (b.kind !== "work" || b.hinted) return;
+    const w = b.strain.update(q.t, focusState);
+    if (w.suggestBreak) {
+      b.hinted = true;
+      setStrainHint(true);
+      console.log(`😣 緊張が${Math.round(w.strainedSec / 60)}分続いています — 休憩を提案`);
+    }
+  }
+
+  function updateBlockSettings(key, value) {
+    const v = Number(value);
+    if (value === "" || !Number.isFinite(v) || v <= 0) return;
+    setBlockSettings((s) => ({ ...s, [key]: v }));
+  }
+
+  // 入力中の空欄は無視する（relaxed < strained を保つ）
+  function updateFocusSettings(key, value) {
+    if (key === "model") { setFocusSettings((s) => ({ ...s, model: value })); return; }
+    const v = Number(value);
+    if (value === "" || !Number.isFinite(v)) return;
+    const next = { ...focusSettings, [key]: v };
+    if (next.relaxedBelow >= next.strainedAbove || next.smoothingSec <= 0 || next.hysteresis < 0 || next.minDwellSec < 0) return;
+    setFocusSettings(next);
+  }
+
+  // 頭の動きを更新し、状態が変わったとき（と10フレームごと）だけ表示に反映する
+  function updateMotion(tSec, points, pose) {
+    const st = stRef.current;
+    st.pose = pose ?? null;
+    const wasMoving = st.motion.current.moving;
+    const m = st.motion.update(tSec, points);
+    st.latest.motion = Math.round(m.score * 10) / 10;
+    if (m.moving !== wasMoving) console.log(m.moving ? `🏃 動きを検出（score ${m.score.toFixed(1)}）— 心拍推定から除外` : "🧘 静止に復帰");
+    if (m.moving !== wasMoving || st.frameCount % 10 === 0) setMotion(m);
+  }
+
+  // done(r) はワーカーがそのフレームを処理し、イベント（st.latest の更新）を反映した後に呼ばれる
+  function pushRgb(tSec, rgb, motion, done) {
+    const st = stRef.current;
+    st.lastT = tSec;
+    return st.proc.push(tSec, rgb, motion, done);
+  }
+
+  // 映像フレーム（capture() の戻り値）を boxes の矩形ごとにワーカーで切り出して平均し、パイプラインへ渡す
+  function pushVideoFrame(tSec, source, boxes, motion, done) {
+    const st = stRef.current;
+    const { mirror, showMesh } = settingsRef.current;
+    st.lastT = tSec;
+    return st.proc.pushFrame(tSec, source, { boxes, mirror, motion, debug: showMesh }, done);
+  }
+
+  // 今のROI矩形（ROIの組は activeRoiNames、中央ROIモードは固定の位置）。デモは合成信号なのでなし
+  function currentBoxes() {
+    const { demo, roiMode } = settingsRef.current;
+    const st = stRef.current;
+    if (demo) return {};
+    return Object.fromEntries(activeRoiNames({ demo, roiMode }).map((name) => [name, roiMode === "center" ? CENTER_ROI : st.rois[name]]));
+  }
+
+  // ===== Offline analysis (video file) =====
+  // rAFの壁時計ではなく、シークしたフレームのメディア時刻でパイプラインを回す。
+  // 同じファイル・同じ設定なら同じタイムラインになる。
+  async function analyzeVideoFile(file) {
+    const v = videoRef.current;
+    if (!file || !v) return;
+    stop();
+    releaseVideoFile();
+    setLastError(null);
+
+    const st = stRef.current;
+    st.fileUrl = URL.createObjectURL(file);
+    v.srcObject = null;
+    v.src = st.fileUrl;
+    try {
+      await new Promise((resolve, reject) => {
+        v.onloadedmetadata = resolve;
+        v.onerror = () => reject(v.error);
+      });
+      v.pause();
+      // MediaRecorder製のwebmは duration=Infinity のことがあるため末尾までシークして確定させる
+      if (!isFinite(v.duration)) {
+        await seekFrame(v, 1e9);
+        await seekFrame(v, 0);
       }
-      
-      if (!img || img.length === 0) {
-        console.error("❌ 画像データが空です");
-        requestAnimationFrame(loop);
-        return;
+    } catch (e) {
+      console.error(e);
+      setLastError("VideoLoadError");
+      setStatus("動画を読み込めませんでした（ブラウザが対応する形式か確認してください）");
+      releaseVideoFile();
+      return;
+    }
+    const duration = v.duration;
+    console.log(`🎞️ 動画解析開始: ${file.name} (${duration.toFixed(1)}s, ${v.videoWidth}x${v.videoHeight})`);
+
+    if (meshCanvasRef.current) {
+      meshCanvasRef.current.width = v.videoWidth;
+      meshCanvasRef.current.height = v.videoHeight;
+    }
+
+    const { roiMode, pulseMethod } = settingsRef.current;
+    st.frameCount = 0;
+    st.latest = { ...EMPTY_LATEST };
+    syncProcessor(true);
+    beginSession({ source: "video", fileName: file.name, durationSec: duration, width: v.videoWidth, height: v.videoHeight });
+    setHrBpm(null); setHrRaw(null); setRmssd(null); setHrv(null); setSnr(null); setFocus(null);
+    setTimeline([]);
+    setAnalysis({ kind: "video", fileName: file.name, progress: 0, done: false });
+    setDemo(false);
+    setOffline(true);
+    setRunning(true);
+    runningRef.current = true;
+    setStatus(`動画解析中: ${file.name}`);
+
+    const rows = [];
+    let lastMediaT = -1;
+    let nextMark = 1;
+    for (let tq = 0; tq < duration && runningRef.current; tq += 1 / ANALYSIS_FPS) {
+      const mediaT = await seekFrame(v, tq);
+      if (mediaT == null || mediaT <= lastMediaT) continue; // 新しいフレームが無い（元動画のfpsが低い）
+      lastMediaT = mediaT;
+      st.frameCount++;
+
+      if (roiMode === "auto") {
+        const found = await detectFrame();
+        if (found) {
+          st.rois = found;
+          updateMotion(mediaT, landmarksRef.current.points, landmarksRef.current.pose);
+        }
       }
-      let gSum = 0; // (we can add R/B if using CHROM/POS later)
-      const step = Math.max(1, Math.floor((c.width * c.height) / 5000));
-      for (let i = 0; i < img.length; i += 4 * step) {
-        gSum += img[i + 1];
+      // ワーカーの処理を待ってから次へ（タイムラインの行はそのフレームまでの推定値）
+      const motion = roiMode === "auto" ? currentMotion(st.motion, mediaT, st.pose) : undefined;
+      const boxes = currentBoxes();
+      await pushVideoFrame(mediaT, await st.pipeline.capture(v), boxes, motion, (r) => r && recordFrame(mediaT, r.rgb, motion, boxes));
+
+      while (mediaT >= nextMark) {
+        rows.push({ t: nextMark, ...st.latest });
+        nextMark += 1;
       }
-      const n = Math.floor(img.length / (4 * step));
-      const gMean = gSum / n;
-      const tSec = now / 1000;
-      // 初回と定期的にログ出力
-      if (st.frameCount === 1 || st.frameCount % 60 === 0) {
-        console.log(`📹 カメラ動作中 - ROI平均輝度: ${gMean.toFixed(2)}, ピクセル数: ${n}, フレーム: ${st.frameCount}`);
+      if (st.frameCount % 15 === 0) {
+        setTimeline([...rows]);
+        setAnalysis({ kind: "video", fileName: file.name, progress: mediaT / duration, done: false });
       }
-      pushSample(tSec, gMean, fs);
     }
 
-    // Draw waveform (recent segment)
-    const { segment } = getLatestSegment(st.bvp, st.t, 12);
-    drawWaveform(waveCanvasRef.current, segment);
+    const done = runningRef.current;
+    setTimeline(rows);
+    setAnalysis({ kind: "video", fileName: file.name, progress: done ? 1 : lastMediaT / duration, done });
+    setStatus(done ? `動画解析完了: ${file.name}（${rows.length}秒）` : "動画解析を中断しました");
+    console.log(`🎞️ 動画解析${done ? "完了" : "中断"}: ${rows.length} 秒ぶんのタイムライン`);
+    endSession();
+    setRunning(false);
+    runningRef.current = false;
+  }
 
-    requestAnimationFrame(loop);
-  };
+  // ===== Session replay =====
+  // 書き出したセッションJSONの記録時刻・ROIごとのRGB・動きの状態を、現在の設定のパイプラインへ流し直す。
+  // 表示の更新は rAF ごと（replaySpeed 倍速、0 なら1フレームあたり REPLAY_BUDGET_MS ぶん処理）。
+  // 処理はフレームの記録時刻だけで決まるので、再生速度によらず同じ設定なら同じタイムラインになる。
+  async function replaySessionFile(file) {
+    if (!file) return;
+    let session;
+    try {
+      session = parseSession(await file.text());
+    } catch (e) {
+      console.error(e);
+      setLastError("ReplayLoadError");
+      setStatus(`セッションを読み込めませんでした: ${e.message}`);
+      return;
+    }
+    stop();
+    releaseVideoFile();
+    setLastError(null);
 
-  function pushSample(tSec, gMean, fs) {
     const st = stRef.current;
-    st.t.push(tSec);
-    st.gRaw.push(gMean);
-    
-    // デバッグ: サンプル数を表示
-    setSampleCount(st.t.length);
-    setIsProcessing(true);
-    if (st.t.length % 30 === 0) {
-      console.log(`サンプル数: ${st.t.length}, 最新値: ${gMean.toFixed(2)}, FPS: ${fs}`);
-    }
+    const { frames, meta } = session;
+    st.replay = { roiNames: session.roiNames };
+    st.frameCount = 0;
+    st.latest = { ...EMPTY_LATEST };
+    syncProcessor(true);
+    beginSession({ source: "replay", fileName: file.name, replayOf: { startedAt: session.startedAt, ...meta } });
+    setHrBpm(null); setHrRaw(null); setRmssd(null); setHrv(null); setSnr(null); setFocus(null); setMotion(null);
+    setTimeline([]);
+    setAnalysis({ kind: "replay", fileName: file.name, progress: 0, done: false });
+    setDemo(false);
+    setOffline(true);
+    setRunning(true);
+    runningRef.current = true;
+    setStatus(`セッション再生中: ${file.name}（記録時: ${meta.method ?? "?"} / ${meta.fs ?? "?"}Hz）`);
+    console.log(`🔁 セッション再生開始: ${file.name} (${session.durationSec.toFixed(1)}s, ${frames.length}フレーム, ROI: ${session.roiNames.join(", ")})`);
 
-    // Detrend ~1s moving average
-    const win = Math.max(5, Math.floor(1.0 * fs));
-    const detr = gMean - movingAverageTail(st.gRaw, win);
-    const y1 = st.hp.step(detr);
-    const y2 = st.lp.step(y1);
-    st.bvp.push(y2);
-
-    trimBuffers(st);
-
-    // HR via Goertzel on last 12s
-    const { segment, fsUsed } = getLatestSegment(st.bvp, st.t, 12);
-    if (segment.length > fsUsed * 4) {
-      const band = [0.7, 3.0];
-      const spec = goertzelSpectrum(segment, fsUsed, band, 120);
-      const k = argmax(spec.powers);
-      const fPeak = spec.freqs[k];
-      const hr = fPeak * 60;
-      const med = median(spec.powers);
-      const q = med > 0 ? spec.powers[k] / med : null;
-      console.log(`心拍推定: ${hr.toFixed(1)} bpm, SNR: ${q?.toFixed(1) || 'N/A'}`);
-      setHrBpm(isFinite(hr) ? Math.round(hr) : null);
-      setSnr(q ? Math.round(q * 10) / 10 : null);
+    const motion = createMotionReplay();
+    const rows = [];
+    let nextMark = 1;
+    let i = 0, mi = 0;
+    let clock = frames[0].t;
+    let last = performance.now();
+    let doneT = 0; // ワーカーが処理し終えたフレームの時刻
+    let pushed = Promise.resolve();
+    while (i < frames.length && runningRef.current) {
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+      const now = performance.now();
+      const speed = settingsRef.current.replaySpeed;
+      const tEnd = speed > 0 ? clock + ((now - last) / 1000) * speed : Infinity;
+      last = now;
+      let f = null;
+      while (i < frames.length && frames[i].t <= tEnd && st.pipeline.inFlight < REPLAY_MAX_IN_FLIGHT && performance.now() - now < REPLAY_BUDGET_MS) {
+        const fr = f = frames[i++];
+        st.frameCount++;
+        const m = motion.update(fr.t, fr.motion, fr.moving, fr.pose);
+        const boxes = currentBoxes();
+        // 処理し終えた順に、そのフレームまでの推定値で記録・マーカー・タイムラインを進める
+        pushed = pushRgb(fr.t, fr.rgb, m, () => {
+          st.latest.motion = fr.motion == null ? null : Math.round(fr.motion * 10) / 10;
+          recordFrame(fr.t, fr.rgb, m, boxes);
+          // 記録時のマーカーも同じ時刻に付け直す
+          while (mi < session.markers.length && session.markers[mi].t <= fr.t) {
+            const mk = session.markers[mi++];
+            addMarker(mk.kind, mk.label, mk.t, mk.at);
+          }
+          while (fr.t >= nextMark) {
+            rows.push({ t: nextMark, ...st.latest });
+            nextMark += 1;
+          }
+          doneT = fr.t;
+        });
+      }
+      clock = i < frames.length ? Math.min(tEnd, frames[i].t) : clock;
+      if (!f) continue;
+      // 画面も記録時のROI位置・動きの状態に合わせる
+      if (Object.keys(f.boxes).length) {
+        st.rois = { ...st.rois, ...f.boxes };
+        setDetectedRois(st.rois);
+      }
+      if (f.motion != null) setMotion(motion.update(f.t, f.motion, f.moving, f.pose));
+      setTimeline([...rows]);
+      setAnalysis({ kind: "replay", fileName: file.name, progress: doneT / session.durationSec, done: false });
     }
+    await pushed;
 
-    // Peak→IBI→RMSSD
-    const newIBI = detectPeakAndIBI(st, fs);
-    if (newIBI) {
-      st.ibis.push(newIBI);
-      if (st.ibis.length > 20) st.ibis.shift();
-      const rm = computeRMSSD(st.ibis);
-      if (isFinite(rm)) setRmssd(Math.round(rm));
-      // Focus score (trial): HR↑ & RMSSD↓ ⇒ score↑ (vs baseline)
-      const hrBase = baselineHR ?? 70;
-      const rmBase = baselineRMSSD ?? 40;
-      const hrZ = hrBpm ? (hrBpm - hrBase) / Math.max(5, 0.1 * hrBase) : 0;
-      const rmZ = rm ? (rmBase - rm) / Math.max(10, 0.25 * rmBase) : 0;
-      const score = Math.max(0, Math.min(100, Math.round(50 + 20 * hrZ + 30 * rmZ)));
-      setFocusScore(score);
-    }
+    const done = runningRef.current;
+    setTimeline(rows);
+    setAnalysis({ kind: "replay", fileName: file.name, progress: done ? 1 : frames[Math.max(0, i - 1)].t / session.durationSec, done });
+    setStatus(done ? `セッション再生完了: ${file.name}（${rows.length}秒）` : "セッション再生を中断しました");
+    console.log(`🔁 セッション再生${done ? "完了" : "中断"}: ${rows.length} 秒ぶんのタイムライン`);
+    endSession();
+    st.replay = null;
+    setRunning(false);
+    runningRef.current = false;
+  }
+
+  function downloadTimelineCsv() {
+    const header = "t_sec,hr_bpm,hr_raw_bpm,rmssd_ms,snr_db,focus,focus_state,resp_per_min,motion_score,quality_ok,markers";
+    // その秒（t−1, t]に付けたマーカーのラベルを ; 区切りで
+    const markerCell = (t) => {
+      const labels = markers.filter((m) => m.t > t - 1 && m.t <= t).map((m) => m.label).join(";");
+      return labels ? `"${labels.replace(/"/g, '""')}"` : "";
+    };
+    const lines = timeline.map((r) => [r.t, r.hr, r.hrRaw, r.rmssd, r.snr, r.focus, r.focusState, r.resp, r.motion, r.sqiOk ? 1 : 0, markerCell(r.t)].map((v) => v ?? "").join(","));
+    const base = (analysis?.fileName ?? "video").replace(/\.[^.]+$/, "");
+    downloadText(`${base}_timeline.csv`, [header, ...lines].join("\n"), "text/csv");
   }
 
   // ===== Self tests =====
   function runSelfTests() {
-    const results = [];
-
-    // HR spectral test at ~72 bpm
-    const fs = 30, dur = 12;
-    const N = fs * dur;
-    const x = [];
-    for (let n = 0; n < N; n++) {
-      const t = n / fs;
-      x.push(8 * Math.sin(2 * Math.PI * 1.2 * t) + (Math.random() - 0.5) * 1.5);
-    }
-    const spec = goertzelSpectrum(x, fs, [0.7, 3.0], 120);
-    const f = spec.freqs[argmax(spec.powers)];
-    const hr = f * 60;
-    const passHR = Math.abs(hr - 72) <= 3;
-    results.push({ name: "HR推定(72bpm)", pass: passHR, detail: `got ${hr.toFixed(1)} bpm` });
-
-    // RMSSD test with known IBIs
-    const ibis = [1.0, 1.0, 1.0, 1.04, 0.96];
-    const rm = computeRMSSD(ibis);
-    // manual RMSSD ≈ sqrt(mean([0,0,40,-40]^2)) ≈ sqrt(mean([0,0,1600,1600])) = sqrt(800) ≈ 28.3ms
-    const passRM = Math.abs(rm - 28.3) <= 5;
-    results.push({ name: "RMSSD推定", pass: passRM, detail: `got ${rm.toFixed(1)} ms` });
-
-    setTestResults(results);
+    setTestResults(runCoreSelfTests());
   }
 
   // Cleanup
   useEffect(() => () => stop(), []);
 
+  // 品質ゲート中（表示は直前の値で止めて薄くする）
+  const gated = running && sqi != null && !sqi.ok;
+  // 頭の向き（カメラは顔追跡から、再生は記録から）。大きく横を向いていれば案内を出す
+  const headPose = pose ?? motion?.pose ?? null;
+  const offAxis = running && roiMode === "auto" ? poseOffAxis(headPose) : null;
+
   return (
     <div className="w-full min-h-screen bg-slate-50 text-slate-900">
       <div className="max-w-6xl mx-auto p-6">
-        <header className="mb-4">
-          <h1 className="text-3xl font-bold tracking-tight">rPPG Focus Monitor</h1>
-          <p className="text-sm text-slate-600">PCカメラ（またはデモ信号）でオンデバイス心拍・HRV（RMSSD）推定 → 集中度/自律神経の可視化（研究用途・参考値）</p>
+        <header className="mb-4 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold tracking-tight">rPPG Focus Monitor</h1>
+            <p className="text-sm text-slate-600">PCカメラ（またはデモ信号）でオンデバイス心拍・HRV（RMSSD）推定 → 集中度/自律神経の可視化（研究用途・参考値）</p>
+          </div>
+          {pwa.canInstall && !pwa.standalone && (
+            <button onClick={pwa.install} className="shrink-0 px-3 py-1.5 rounded-lg border bg-white text-sm" title="ブラウザのタブを開かずに、単独のウィンドウで起動できます">アプリとしてインストール</button>
+          )}
         </header>
 
+        {pwa.updateReady && (
+          <Callout type="info" title="新しいバージョンがあります">
+            <div className="flex flex-wrap items-center gap-2">
+              <span>{running ? "計測・解析を停止してから更新してください（再読み込みで今の計測は失われます）。" : "再読み込みすると新しいバージョンに切り替わります。"}</span>
+              <button onClick={pwa.applyUpdate} disabled={running} className="px-3 py-1 rounded-lg border bg-white disabled:opacity-40">更新して再読み込み</button>
+            </div>
+          </Callout>
+        )}
+
         {!env.secure && (
           <Callout type="warn" title="非セキュア環境">
             https または localhost で実行してください（ブラウザ仕様で getUserMedia がブロックされます）。
@@ -443,6 +1138,12 @@ export default function HeartFocusApp() {
           </Callout>
         )}
 
+        {faceMeshError && roiMode === "center" && (
+          <Callout type="warn" title="顔追跡（MediaPipe Face Mesh）を読み込めませんでした">
+            {faceMeshError} — 中央ROI（額の中央の固定領域）で計測を続けています。顔を枠の中央に合わせてください。「自動ROI」をオンにすると読み込み直します。
+          </Callout>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Left: Video & Controls */}
           <section className="bg-white rounded-2xl shadow p-4">
@@ -454,7 +1155,13 @@ export default function HeartFocusApp() {
                 className={`absolute top-0 left-0 w-full h-full pointer-events-none ${mirror ? "scale-x-[-1]" : ""}`}
                 style={{ width: '100%', height: '100%' }}
               />
-              <RoiOverlay videoRef={videoRef} roi={detectedRoi} roiMode={roiMode} mirror={mirror} />
+              <RoiOverlay rois={detectedRois} names={activeRoiNames({ demo, roiMode })} stats={roiStats} roiMode={roiMode} mirror={mirror} />
+              {/* 横を向いている間は、その区間の心拍推定の重みを下げている */}
+              {offAxis && (
+                <div className="absolute top-2 left-1/2 -translate-x-1/2 pointer-events-none px-3 py-1 rounded-full bg-amber-100/90 text-amber-900 text-sm shadow whitespace-nowrap">
+                  カメラの方を向いてください（{POSE_AXIS_LABELS[offAxis.axis]} {Math.round(offAxis.angle)}°）
+                </div>
+              )}
             </div>
             <div className="mt-3 flex flex-wrap items-center gap-2">
               {!running || demo ? (
@@ -463,17 +1170,95 @@ export default function HeartFocusApp() {
                 <button onClick={stop} className="px-4 py-2 rounded-xl bg-rose-600 text-white hover:bg-rose-700 shadow">停止</button>
               )}
               <button onClick={startDemo} className="px-3 py-2 rounded-xl border">デモモード</button>
+              <label className="px-3 py-2 rounded-xl border cursor-pointer">
+                動画ファイル解析
+                <input type="file" accept="video/*" className="hidden" onChange={(e)=>{ analyzeVideoFile(e.target.files?.[0]); e.target.value = ""; }} />
+              </label>
+              <label className="px-3 py-2 rounded-xl border cursor-pointer">
+                セッション再生
+                <input type="file" accept="application/json,.json" className="hidden" onChange={(e)=>{ replaySessionFile(e.target.files?.[0]); e.target.value = ""; }} />
+              </label>
+              <select value={replaySpeed} onChange={(e)=>setReplaySpeed(Number(e.target.value))} className="border rounded px-1 py-0.5 text-sm" title="セッション再生の速度">
+                {REPLAY_SPEEDS.map((k)=> <option key={k} value={k}>{k ? `${k}×` : "最大"}</option>)}
+              </select>
               <label className="inline-flex items-center gap-2 text-sm ml-2">
                 <input type="checkbox" checked={mirror} onChange={(e)=>setMirror(e.target.checked)} /> ミラー
               </label>
               <label className="inline-flex items-center gap-2 text-sm ml-2">
                 <input type="checkbox" checked={roiMode==="auto"} onChange={(e)=>setRoiMode(e.target.checked?"auto":"center")} /> 自動ROI
+                {faceMeshLoading && <span className="text-xs text-slate-500">（顔追跡を読み込み中…）</span>}
               </label>
               <label className="inline-flex items-center gap-2 text-sm ml-2">
                 <input type="checkbox" checked={showMesh} onChange={(e)=>setShowMesh(e.target.checked)} /> メッシュ表示
               </label>
-              <button onClick={calibrateBaseline} className="px-3 py-1.5 rounded-lg border text-sm">この状態をベースラインに設定</button>
-              <span className="text-xs text-slate-600">{status} / 推定FPS: {Math.round(stRef.current.fpsEMA)}</span>
+              <label className="inline-flex items-center gap-2 text-sm ml-2">
+                パルス抽出
+                <select value={pulseMethod} onChange={(e)=>setPulseMethod(e.target.value)} className="border rounded px-1 py-0.5">
+                  {PULSE_METHODS.map((m)=> <option key={m} value={m}>{m}</option>)}
+                </select>
+              </label>
+              <label className="inline-flex items-center gap-2 text-sm ml-2">
+                再標本化
+                <select value={resampleFs} onChange={(e)=>setResampleFs(Number(e.target.value))} className="border rounded px-1 py-0.5">
+                  {[15, 30, 60].map((f)=> <option key={f} value={f}>{f} Hz</option>)}
+                </select>
+                <select value={interp} onChange={(e)=>setInterp(e.target.value)} className="border rounded px-1 py-0.5">
+                  {INTERPOLATIONS.map((m)=> <option key={m} value={m}>{m}</option>)}
+                </select>
+              </label>
+              <details className="text-sm ml-2">
+                <summary className="cursor-pointer text-slate-700">詳細パラメータ</summary>
+                <div className="mt-1 flex flex-wrap items-center gap-3">
+                  <label className="inline-flex items-center gap-1">
+                    帯域
+                    <input type="number" step="0.1" min="0.3" max={tuning.bandHigh - 0.1} value={tuning.bandLow} onChange={(e)=>updateTuning("bandLow", e.target.value)} className="w-16 border rounded px-1" />
+                    –
+                    <input type="number" step="0.1" min={tuning.bandLow + 0.1} max="5" value={tuning.bandHigh} onChange={(e)=>updateTuning("bandHigh", e.target.value)} className="w-16 border rounded px-1" /> Hz
+                  </label>
+                  <label className="inline-flex items-center gap-1">
+                    HR窓
+                    <input type="number" step="1" min="6" max="30" value={tuning.hrWindowSec} onChange={(e)=>updateTuning("hrWindowSec", e.target.value)} className="w-14 border rounded px-1" /> s
+                  </label>
+                  <label className="inline-flex items-center gap-1">
+                    ピーク閾値
+                    <input type="number" step="0.1" min="0" max="2" value={tuning.peakThreshold} onChange={(e)=>updateTuning("peakThreshold", e.target.value)} className="w-14 border rounded px-1" /> σ
+                  </label>
+                  <button onClick={()=>setTuning(TUNING_DEFAULTS)} className="px-2 py-0.5 rounded border text-xs">既定に戻す</button>
+                </div>
+              </details>
+              <span className="text-xs text-slate-600">{status} / 推定FPS: {Math.round(stRef.current.proc?.fps ?? 30)} → 処理 {resampleFs}Hz</span>
+            </div>
+            {/* 動画ファイル解析の進捗 */}
+            {analysis && (
+              <div className="mt-2 p-2 bg-slate-100 rounded-lg text-xs">
+                <div className="flex items-center gap-2">
+                  <span className="truncate">{analysis.kind === "replay" ? "🔁" : "🎞️"} {analysis.fileName} — {analysis.done ? "完了" : running && offline ? (analysis.kind === "replay" ? "再生中" : "解析中") : "中断"} {Math.round(analysis.progress * 100)}%</span>
+                  {timeline.length > 0 && (
+                    <button onClick={downloadTimelineCsv} className="ml-auto px-2 py-0.5 rounded border bg-white">タイムラインCSV</button>
+                  )}
+                </div>
+                <div className="mt-1 w-full bg-gray-200 rounded-full h-1">
+                  <div className="bg-blue-500 h-1 rounded-full" style={{ width: `${analysis.progress * 100}%` }} />
+                </div>
+              </div>
+            )}
+            {/* セッション記録 */}
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+              <label className="inline-flex items-center gap-1">
+                <input type="checkbox" checked={recordSession} onChange={(e)=>setRecordSession(e.target.checked)} /> セッションを記録
+              </label>
+              {sessionInfo && (
+                <span className="text-slate-600">
+                  {running ? "⏺️ 記録中" : "記録済み"}（{SESSION_SOURCES[sessionInfo.source]}）: {sessionInfo.frames}フレーム / {Math.round(sessionInfo.durationSec)}秒
+                </span>
+              )}
+              {sessionInfo?.frames > 0 && (
+                <>
+                  <button onClick={downloadSessionJson} className="px-2 py-0.5 rounded border bg-white">JSON</button>
+                  <button onClick={downloadSessionCsv} className="px-2 py-0.5 rounded border bg-white">CSV</button>
+                  <button onClick={downloadSessionReport} className="px-2 py-0.5 rounded border bg-white">レポート</button>
+                </>
+              )}
             </div>
             {/* 測定状態インジケーター */}
             {running && !demo && (
@@ -485,6 +1270,15 @@ export default function HeartFocusApp() {
                     サンプル数: {sampleCount} 
                     {sampleCount < 120 && " (安定まで約" + (120 - sampleCount) + "サンプル)"}
                   </span>
+                  {roiMode === "auto" && (
+                    <span className={`ml-auto text-xs px-2 py-0.5 rounded-full ${motion?.moving || offAxis ? "bg-amber-200 text-amber-900" : "bg-emerald-100 text-emerald-800"}`}
+                      title={[
+                        motion && `並進 ${fmt(motion.translation, 2)}/s・拡大 ${fmt(motion.scale, 2)}/s・回転 ${fmt(motion.rotation, 1)}°/s`,
+                        headPose && `向き: 左右 ${fmt(Math.abs(headPose.yaw), 0)}°・上下 ${fmt(Math.abs(headPose.pitch), 0)}°・傾き ${fmt(Math.abs(headPose.roll), 0)}°`,
+                      ].filter(Boolean).join("\n")}>
+                      {motion?.moving ? "動きあり（推定から除外中）" : offAxis ? "横向き（推定の重みを下げ中）" : "静止"}{rejectedBeats > 0 && ` ・除外 ${rejectedBeats}拍`}
+                    </span>
+                  )}
                 </div>
                 {sampleCount > 0 && sampleCount < 120 && (
                   <div className="mt-1">
@@ -503,27 +1297,118 @@ export default function HeartFocusApp() {
               <canvas 
                 ref={procCanvasRef} 
                 className="absolute bottom-2 right-2 border-2 border-lime-500"
-                style={{ width: '160px', height: '120px' }}
+                title="平均に使った画素（紫: 髪・眉など肌でない画素、水色: 白飛び・テカリ、暗い部分: ランドマークの多角形の外。色付きの画素は平均から除外）"
+                style={{ height: '80px' }}
               />
             )}
-            {!showMesh && <canvas ref={procCanvasRef} className="hidden" />}
           </section>
 
           {/* Right: Metrics & Tools */}
           <section className="bg-white rounded-2xl shadow p-4">
             <div className="grid grid-cols-2 gap-3">
-              <MetricCard label="心拍数 (bpm)" value={hrBpm?.toString() ?? "—"} note="12秒窓推定" />
-              <MetricCard label="RMSSD (ms)" value={rmssd?.toString() ?? "—"} note="ピーク検出ベース" />
-              <MetricCard label="集中度" value={focusScore?.toString() ?? "—"} note="ベースライン相対 0–100" />
-              <MetricCard label="信号品質 (SNR)" value={snr ? snr.toString() : "—"} note="> 1.5 推奨" />
+              <MetricCard label="心拍数 (bpm)" value={hrBpm?.toString() ?? "—"} note={`12秒窓・追跡 / 生 ${hrRaw ?? "—"}`} dim={gated} />
+              <MetricCard label="RMSSD (ms)" value={rmssd?.toString() ?? "—"} note={`ピーク検出ベース・${hrvWindowSec / 60}分窓`} dim={gated} />
+              <MetricCard
+                label="集中度"
+                value={focus ? `${focus.score}` : "—"}
+                note={focus ? `${FOCUS_STATE_LABELS[focus.state]}・ベースライン相対 0–100` : "ベースライン相対 0–100"}
+                dim={gated}
+              />
+              <MetricCard
+                label="信号品質 (SNR)"
+                value={snr != null ? `${snr} dB` : "—"}
+                note={sqi ? `拍の相関 ${fmt(sqi.templateCorr, 2)}・歪度 ${fmt(sqi.skewness, 1)}・尖度 ${fmt(sqi.kurtosis, 1)}` : "> −3 dB 推奨"}
+              />
+            </div>
+            {gated && (
+              <div className="mt-2 p-2 rounded-lg border border-amber-300 bg-amber-50 text-xs text-amber-900">
+                ⚠️ 信号品質が低いため、心拍数・RMSSD・集中度の表示を直前の値で止めています：
+                {sqi.reasons.map((r) => SQI_MESSAGES[r]).join(" / ")}
+              </div>
+            )}
+            <FocusPanel
+              focus={focus}
+              settings={focusSettings}
+              baseline={baseline}
+              onChange={updateFocusSettings}
+              onReset={()=>setFocusSettings(FOCUS_SETTINGS_DEFAULTS)}
+            />
+            <CalibrationPanel
+              profiles={profiles}
+              running={running}
+              calibration={calibration}
+              result={calibrationResult}
+              durationSec={calibrationSec}
+              onDurationChange={setCalibrationSec}
+              onStart={startCalibration}
+              onCancel={cancelCalibration}
+              onCreateProfile={createProfile}
+              onDeleteProfile={deleteProfile}
+            />
+            <div className="mt-3 flex items-center gap-2">
+              <h3 className="text-sm font-semibold">HRV詳細</h3>
+              <select value={hrvWindowSec} onChange={(e)=>setHrvWindowSec(Number(e.target.value))} className="border rounded px-1 py-0.5 text-sm">
+                {HRV_WINDOWS.map((w)=> <option key={w} value={w}>{w / 60}分窓</option>)}
+              </select>
+              <span className="text-xs text-slate-500">{hrv ? `${hrv.n}拍 / ${Math.round(hrv.spanSec)}秒` : "拍を収集中"}</span>
+            </div>
+            <div className="mt-2 grid grid-cols-3 gap-3">
+              <MetricCard label="平均NN (ms)" value={fmt(hrv?.meanNN)} />
+              <MetricCard label="SDNN (ms)" value={fmt(hrv?.sdnn)} />
+              <MetricCard label="pNN50 (%)" value={fmt(hrv?.pnn50, 1)} />
+              <MetricCard label="LF / HF (ms²)" value={hrv?.lf != null ? `${fmt(hrv.lf)} / ${fmt(hrv.hf)}` : "—"} note={hrv?.vlf != null ? `VLF ${fmt(hrv.vlf)}` : "VLFは5分窓"} />
+              <MetricCard label="LF/HF" value={fmt(hrv?.lfhf, 2)} note="Lomb-Scargle" />
+              <MetricCard label="SD1 / SD2 (ms)" value={hrv ? `${fmt(hrv.sd1)} / ${fmt(hrv.sd2)}` : "—"} note="Poincaré" />
+            </div>
+            <div className="mt-3 grid grid-cols-3 gap-3 items-start">
+              <MetricCard
+                label="呼吸数 (回/分)"
+                value={fmt(resp?.rate, 1)}
+                note={resp ? `品質 ${Math.round(resp.quality * 100)}%` : "拍を収集中（20秒〜）"}
+              />
+              <div className="col-span-2">
+                {respTrend.length > 1 ? (
+                  <TimelinePlot rows={respTrend} field="rate" label="呼吸数トレンド（直近5分）" color="#8b5cf6" markers={markers} />
+                ) : (
+                  <div className="text-xs text-slate-400">呼吸数トレンド（直近5分）</div>
+                )}
+                {resp && (
+                  <div className="text-xs text-slate-500">
+                    {[["bw", "基線"], ["am", "振幅"], ["fm", "RSA"]].map(([k, name]) => {
+                      const e = resp.estimates[k];
+                      return <span key={k} className="mr-2">{name}: {e ? `${e.rate.toFixed(1)} (${Math.round(e.quality * 100)}%)` : "—"}</span>;
+                    })}
+                  </div>
+                )}
+              </div>
             </div>
             <div className="mt-4">
-              <SympaParasympaBars rmssd={rmssd} baselineRMSSD={baselineRMSSD ?? 40} />
+              <SympaParasympaBars rmssd={rmssd} baselineRMSSD={(baseline?.rmssd ?? FOCUS_BASELINE.rmssd).mean} />
             </div>
             <div className="mt-4">
               <h3 className="text-sm font-semibold mb-1">波形（直近12s）</h3>
               <canvas ref={waveCanvasRef} className="w-full h-28 bg-slate-100 rounded-xl" />
+              <MarkerBar
+                markers={markers}
+                running={running}
+                label={markerLabel}
+                inputRef={markerInputRef}
+                onLabelChange={setMarkerLabel}
+                onPreset={(p)=>addMarker(p.kind, p.label)}
+                onCustom={addCustomMarker}
+              />
             </div>
+            {timeline.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold mb-1">{analysis?.kind === "replay" ? "セッション再生" : "動画解析"}タイムライン（{timeline.length}秒）</h3>
+                <TimelinePlot rows={timeline} field="hr" label="心拍数 (bpm)" color="#e11d48" markers={markers} />
+                <TimelinePlot rows={timeline} field="hrRaw" label="心拍数・追跡前 (bpm)" color="#fda4af" markers={markers} />
+                <TimelinePlot rows={timeline} field="rmssd" label="RMSSD (ms)" color="#10b981" markers={markers} />
+                <TimelinePlot rows={timeline} field="snr" label="SNR (dB)" color="#0ea5e9" markers={markers} />
+                <TimelinePlot rows={timeline} field="resp" label="呼吸数 (回/分)" color="#8b5cf6" />
+                <TimelinePlot rows={timeline} field="motion" label="動きスコア（>1で除外）" color="#f59e0b" markers={markers} />
+              </div>
+            )}
             <details className="mt-4">
               <summary className="cursor-pointer text-sm text-slate-700">環境チェック</summary>
               <ul className="text-sm text-slate-600 list-disc ml-5 mt-2 space-y-1">
@@ -557,14 +1442,41 @@ export default function HeartFocusApp() {
             </details>
           </section>
         </div>
+
+        <ValidationPanel getCurrentSession={() => stRef.current.recorder?.toJSON() ?? null} />
+
+        <WorkBlocksPanel
+          settings={blockSettings}
+          onSettingsChange={updateBlockSettings}
+          block={block}
+          now={blockNow}
+          running={running && !offline}
+          strainHint={strainHint}
+          blocks={workBlocks.blocks}
+          error={workBlocks.error}
+          onStart={()=>startBlock("work")}
+          onNext={()=>nextBlock("skip")}
+          onBreakNow={()=>nextBlock("strain")}
+          onStop={stopBlocks}
+          onDelete={(b) => { if (confirm(`${fmtDateTime(b.startedAt)} のブロックを削除しますか？`)) workBlocks.remove(b.id); }}
+        />
+
+        <HistoryPanel
+          sessions={history.sessions}
+          error={history.error}
+          onDelete={(s) => { if (confirm(`${fmtDateTime(s.startedAt)} のセッションを削除しますか？`)) history.remove(s.id); }}
+          onReport={downloadHistoryReport}
+          onExportJson={exportHistoryJson}
+          onExportCsv={exportHistoryCsv}
+        />
       </div>
     </div>
   );
 }
 
-function MetricCard({label, value, note}){
+function MetricCard({label, value, note, dim}){
   return (
-    <div className="p-3 rounded-xl border border-slate-200">
+    <div className={`p-3 rounded-xl border border-slate-200 ${dim ? "opacity-40" : ""}`}>
       <div className="text-xs text-slate-500">{label}</div>
       <div className="text-2xl font-semibold">{value}</div>
       {note && <div className="text-xs text-slate-400">{note}</div>}
@@ -572,6 +1484,605 @@ function MetricCard({label, value, note}){
   );
 }
 
+// 時刻つきの1系列を折れ線で表示（欠測は線を切る）
+// markers: [{ t, label }]（rows と同じ時刻）を縦線で重ねる（範囲外は描かない）
+function TimelinePlot({ rows, field, label, color, markers = [] }){
+  const W = 300, H = 48;
+  const vals = rows.map((r) => r[field]).filter((v) => v != null);
+  if (vals.length === 0) return null;
+  const min = Math.min(...vals), max = Math.max(...vals);
+  const range = max - min || 1;
+  const t0 = rows[0].t;
+  const tSpan = rows[rows.length - 1].t - t0 || 1;
+  const paths = [];
+  let cur = "";
+  for (const r of rows) {
+    if (r[field] == null) { if (cur) paths.push(cur); cur = ""; continue; }
+    const x = ((r.t - t0) / tSpan) * W;
+    const y = H - 4 - ((r[field] - min) / range) * (H - 8);
+    cur += `${cur ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`;
+  }
+  if (cur) paths.push(cur);
+  return (
+    <div className="mb-2">
+      <div className="flex justify-between text-xs text-slate-500">
+        <span>{label}</span>
+        <span>{Math.round(min * 10) / 10} – {Math.round(max * 10) / 10}</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-12 bg-slate-100 rounded-lg">
+        {paths.map((d, i) => <path key={i} d={d} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />)}
+        {markers.filter((m) => m.t >= t0 && m.t <= t0 + tSpan).map((m, i) => {
+          const x = ((m.t - t0) / tSpan) * W;
+          return (
+            <line key={`m${i}`} x1={x} x2={x} y1="0" y2={H} stroke="#f59e0b" strokeWidth="1" strokeDasharray="3 2" vectorEffect="non-scaling-stroke">
+              <title>{m.label}</title>
+            </line>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+// マーカーのボタン（プリセット・自由入力）と、今のセッションのマーカー一覧
+function MarkerBar({ markers, running, label, inputRef, onLabelChange, onPreset, onCustom }){
+  return (
+    <div className="mt-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs text-slate-500">マーカー</span>
+        {MARKER_PRESETS.map((p)=> (
+          <button key={p.kind} onClick={()=>onPreset(p)} disabled={!running} className="px-2 py-0.5 rounded border text-xs disabled:opacity-40">
+            {p.label} <kbd className="text-slate-400">{p.key}</kbd>
+          </button>
+        ))}
+        <input
+          ref={inputRef}
+          value={label}
+          onChange={(e)=>onLabelChange(e.target.value)}
+          onKeyDown={(e)=>{ if (e.key === "Enter") onCustom(); if (e.key === "Escape") e.currentTarget.blur(); }}
+          disabled={!running}
+          placeholder="自由入力（M）"
+          className="w-36 border rounded px-1 text-xs disabled:opacity-40"
+        />
+        <button onClick={onCustom} disabled={!running || !label.trim()} className="px-2 py-0.5 rounded border text-xs disabled:opacity-40">追加</button>
+      </div>
+      {markers.length > 0 && (
+        <div className="mt-1 flex flex-wrap gap-x-3 text-xs text-amber-800">
+          {markers.map((m, i)=> <span key={i}>📍 {new Date(m.at).toLocaleTimeString("ja-JP")} {m.label}</span>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// 集中度の内訳（z値 → スコア → 平滑化・状態）と、モデル・状態の閾値の設定
+function FocusPanel({ focus, settings, baseline, onChange, onReset }){
+  const b = { hr: baseline?.hr ?? FOCUS_BASELINE.hr, rmssd: baseline?.rmssd ?? FOCUS_BASELINE.rmssd };
+  const { hrWeight, rmssdWeight, pointsPerSd } = FOCUS_MODEL_DEFAULTS;
+  const arousal = settings.model === "arousal";
+  const sd = (z) => `${z >= 0 ? "+" : "−"}${Math.abs(z).toFixed(1)} SD`;
+  const num = (key, label, unit, step, width = "w-14") => (
+    <label className="inline-flex items-center gap-1">
+      {label}
+      <input type="number" step={step} value={settings[key]} onChange={(e)=>onChange(key, e.target.value)} className={`${width} border rounded px-1`} />{unit}
+    </label>
+  );
+  return (
+    <div className="mt-3 p-3 rounded-xl border border-slate-200 text-sm">
+      <div className="flex items-center gap-2">
+        <h3 className="font-semibold">集中度・状態</h3>
+        {focus && <span className={`px-2 py-0.5 rounded-full text-xs ${FOCUS_STATE_STYLES[focus.state]}`}>{FOCUS_STATE_LABELS[focus.state]}</span>}
+        <span className="ml-auto text-xs text-slate-500">{baseline ? "プロファイルのベースライン" : "既定のベースライン"}</span>
+      </div>
+      {focus ? (
+        <div className="mt-1 text-xs text-slate-600 space-y-0.5">
+          {arousal && <div>HR: ベースライン {fmt(b.hr.mean, 1)}±{fmt(b.hr.sd, 1)} bpm から {sd(focus.hrZ)} × {hrWeight}</div>}
+          <div>RMSSD: ベースライン {fmt(b.rmssd.mean)}±{fmt(b.rmssd.sd)} ms から {sd(focus.rmssdZ)} × {arousal ? rmssdWeight : 1}（低いほどスコア↑）</div>
+          <div>スコア = 50 + {pointsPerSd} × 合計 → <b>{focus.score}</b>（平滑化前 {focus.rawScore}・時定数 {settings.smoothingSec}s・品質の重み {fmt(focus.weight, 2)}）</div>
+        </div>
+      ) : (
+        <div className="mt-1 text-xs text-slate-400">品質ゲートを通った心拍数・RMSSDがそろうと表示します</div>
+      )}
+      <details className="mt-2">
+        <summary className="cursor-pointer text-xs text-slate-700">モデルと状態の閾値</summary>
+        <div className="mt-1 flex flex-wrap items-center gap-3 text-xs">
+          <label className="inline-flex items-center gap-1">
+            モデル
+            <select value={settings.model} onChange={(e)=>onChange("model", e.target.value)} className="border rounded px-1 py-0.5">
+              {Object.keys(FOCUS_MODELS).map((m)=> <option key={m} value={m}>{FOCUS_MODEL_LABELS[m] ?? m}</option>)}
+            </select>
+          </label>
+          {num("smoothingSec", "平滑化", "s", 5)}
+          {num("relaxedBelow", "リラックス <", "", 1)}
+          {num("strainedAbove", "緊張 ≥", "", 1)}
+          {num("fatigueRmssdZ", "疲労: RMSSD ≤", "SD", 0.1)}
+          {num("fatigueHrZ", "かつ HR ≤", "SD", 0.1)}
+          {num("hysteresis", "ヒステリシス", "", 1)}
+          {num("minDwellSec", "継続", "s", 1)}
+          <button onClick={onReset} className="px-2 py-0.5 rounded border">既定に戻す</button>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+// プロファイルの選択とベースラインのキャリブレーション（座位安静・カウントダウン・品質チェック）
+function CalibrationPanel({ profiles, running, calibration, result, durationSec, onDurationChange, onStart, onCancel, onCreateProfile, onDeleteProfile }){
+  const b = profiles.active?.baseline;
+  const meanSd = (m, digits = 0) => (m ? `${fmt(m.mean, digits)} ± ${fmt(m.sd, digits)}` : "—");
+  return (
+    <div className="mt-3 p-3 rounded-xl border border-slate-200">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <h3 className="font-semibold">ベースライン</h3>
+        <select value={profiles.active?.id ?? ""} onChange={(e)=>profiles.select(e.target.value || null)} disabled={!!calibration} className="border rounded px-1 py-0.5">
+          {!profiles.profiles.length && <option value="">（プロファイルなし）</option>}
+          {profiles.profiles.map((p)=> <option key={p.id} value={p.id}>{p.name}{p.baseline ? "" : "（未設定）"}</option>)}
+        </select>
+        <button onClick={onCreateProfile} disabled={!!calibration} className="px-2 py-0.5 rounded border text-xs">新規</button>
+        {profiles.active && <button onClick={onDeleteProfile} disabled={!!calibration} className="px-2 py-0.5 rounded border text-xs text-rose-700">削除</button>}
+      </div>
+      <div className="mt-1 text-xs text-slate-600">
+        {b
+          ? <>HR {meanSd(b.hr, 1)} bpm・RMSSD {meanSd(b.rmssd)} ms・SDNN {meanSd(b.sdnn)} ms（{fmtDateTime(b.createdAt)}・{Math.round(b.durationSec / 60)}分・品質OK {Math.round(b.qualityRatio * 100)}%）</>
+          : <>未キャリブレーション（既定値 HR {FOCUS_BASELINE.hr.mean}±{FOCUS_BASELINE.hr.sd} bpm / RMSSD {FOCUS_BASELINE.rmssd.mean}±{FOCUS_BASELINE.rmssd.sd} ms を使用）</>}
+      </div>
+      {calibration ? (
+        <div className="mt-2">
+          <div className="flex items-center gap-2 text-sm">
+            <span className="font-mono text-lg">{fmtClock(calibration.remainingSec)}</span>
+            <span className="text-xs text-slate-600">楽な姿勢で座り、顔を動かさず自然に呼吸してください</span>
+            <button onClick={onCancel} className="ml-auto px-2 py-0.5 rounded border text-xs">中止</button>
+          </div>
+          <div className="mt-1 w-full bg-gray-200 rounded-full h-1.5">
+            <div className="bg-emerald-500 h-1.5 rounded-full" style={{ width: `${Math.min(100, (calibration.elapsedSec / calibration.durationSec) * 100)}%` }} />
+          </div>
+          <div className={`mt-1 text-xs ${calibration.qualityRatio != null && calibration.qualityRatio < CALIBRATION_DEFAULTS.minQualityRatio ? "text-amber-700" : "text-slate-500"}`}>
+            品質OK {calibration.qualityRatio == null ? "—" : `${Math.round(calibration.qualityRatio * 100)}%`}（{Math.round(CALIBRATION_DEFAULTS.minQualityRatio * 100)}%以上必要）・HR {calibration.hrSamples}秒・拍 {calibration.hrvSamples}
+          </div>
+        </div>
+      ) : (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+          <select value={durationSec} onChange={(e)=>onDurationChange(Number(e.target.value))} className="border rounded px-1 py-0.5">
+            {CALIBRATION_DURATIONS.map((d)=> <option key={d} value={d}>{d / 60}分</option>)}
+          </select>
+          <button onClick={onStart} disabled={!running} className="px-3 py-1 rounded-lg border disabled:opacity-40">キャリブレーション開始</button>
+          {!running && <span className="text-xs text-slate-500">計測を開始してから実行してください</span>}
+        </div>
+      )}
+      {result && !calibration && (
+        <div className={`mt-2 text-xs ${result.ok ? "text-emerald-700" : "text-rose-700"}`}>
+          {result.ok
+            ? `✅ 「${result.profileName}」に保存しました`
+            : `⚠️ キャリブレーションに失敗しました（保存していません）: ${result.reasons.map((r) => CALIBRATION_MESSAGES[r]).join(" / ")}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// 参照機器（胸ベルト等）のRR/HRと記録したセッションの一致（HRの MAE/RMSE/r・Bland-Altman、窓ごとのRMSSD誤差）
+function ValidationPanel({ getCurrentSession }){
+  const [session, setSession] = useState(null); // { name, data }（createSessionRecorder().toJSON()）
+  const [reference, setReference] = useState(null); // { name, data }（parseReference）
+  const [offsetSec, setOffsetSec] = useState(0);
+  const [qualityOnly, setQualityOnly] = useState(REFERENCE_DEFAULTS.qualityOnly);
+  const [error, setError] = useState(null);
+
+  const result = useMemo(() => {
+    if (!session || !reference) return null;
+    const aligned = alignReference(reference.data, sessionStartMs(session.data), offsetSec);
+    return {
+      shiftSec: aligned.shiftSec,
+      hr: compareHr(session.data, aligned, { qualityOnly }),
+      rmssd: compareRmssd(session.data, aligned),
+    };
+  }, [session, reference, offsetSec, qualityOnly]);
+
+  function takeCurrentSession() {
+    const data = getCurrentSession();
+    if (!data || !data.metrics.length) { setError("記録中/直近のセッションがありません（「セッションを記録」をONにして計測してください）"); return; }
+    setError(null);
+    setSession({ name: `直近の記録（${SESSION_SOURCES[data.meta.source] ?? data.meta.source}）`, data });
+  }
+
+  async function loadSession(file) {
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      if (data?.format !== SESSION_FORMAT) throw new Error("セッション記録のJSONではありません");
+      setSession({ name: file.name, data });
+      setError(null);
+    } catch (e) {
+      setError(`セッションを読み込めませんでした: ${e.message}`);
+    }
+  }
+
+  async function loadReference(file) {
+    if (!file) return;
+    try {
+      const data = parseReference(await file.text());
+      setReference({ name: file.name, data });
+      setError(null);
+      console.log(`📥 参照データ読み込み: ${file.name}（${data.kind === "rr" ? `RR ${data.beats.length}拍` : `HR ${data.hr.length}点`}${data.t0Ms != null ? "・日時あり" : ""}）`);
+    } catch (e) {
+      setError(`参照データを読み込めませんでした: ${e.message}`);
+    }
+  }
+
+  const hr = result?.hr.stats;
+  const rm = result?.rmssd.stats;
+  return (
+    <section className="mt-6 bg-white rounded-2xl shadow p-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="text-lg font-semibold">参照機器との比較（検証）</h2>
+        <span className="text-xs text-slate-500">胸ベルト等のRR/HRをCSV・テキストで読み込み、記録したセッションと時刻で合わせて評価</span>
+      </div>
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <button onClick={takeCurrentSession} className="px-3 py-1.5 rounded-lg border">直近の記録を使う</button>
+        <label className="px-3 py-1.5 rounded-lg border cursor-pointer">
+          セッションJSON
+          <input type="file" accept="application/json,.json" className="hidden" onChange={(e)=>{ loadSession(e.target.files?.[0]); e.target.value = ""; }} />
+        </label>
+        <label className="px-3 py-1.5 rounded-lg border cursor-pointer">
+          参照RR/HR（CSV・TXT）
+          <input type="file" accept=".csv,.txt,text/csv,text/plain" className="hidden" onChange={(e)=>{ loadReference(e.target.files?.[0]); e.target.value = ""; }} />
+        </label>
+        <span className="text-xs text-slate-600">
+          推定: {session?.name ?? "—"} / 参照: {reference ? `${reference.name}（${reference.data.kind === "rr" ? `RR ${reference.data.beats.length}拍` : `HR ${reference.data.hr.length}点`}）` : "—"}
+        </span>
+      </div>
+      {error && <div className="mt-2 text-sm text-rose-700">{error}</div>}
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-sm">
+        <label className="inline-flex items-center gap-2">
+          オフセット
+          <input type="range" min={-OFFSET_RANGE_SEC} max={OFFSET_RANGE_SEC} step="0.5" value={offsetSec} onChange={(e)=>setOffsetSec(Number(e.target.value))} />
+          <input type="number" step="0.1" value={offsetSec} onChange={(e)=>setOffsetSec(Number(e.target.value) || 0)} className="w-20 border rounded px-1" /> 秒
+        </label>
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={qualityOnly} onChange={(e)=>setQualityOnly(e.target.checked)} /> 品質OKの秒だけ
+        </label>
+        {result && (
+          <span className="text-xs text-slate-500">
+            {reference.data.t0Ms != null ? "参照の日時で合わせ済み" : "参照に日時がないため先頭をそろえています"}（参照の移動量 {fmt(result.shiftSec, 1)} 秒）
+          </span>
+        )}
+      </div>
+      {result && (
+        <div className="mt-3 grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div>
+            <h3 className="text-sm font-semibold mb-1">心拍数（1秒ごと、参照は{REFERENCE_DEFAULTS.hrWindowSec}秒平均）</h3>
+            <table className="text-sm">
+              <tbody>
+                <tr><td className="pr-3 text-slate-500">比較した秒数</td><td>{hr.n}</td></tr>
+                <tr><td className="pr-3 text-slate-500">MAE</td><td>{fmt(hr.mae, 2)} bpm</td></tr>
+                <tr><td className="pr-3 text-slate-500">RMSE</td><td>{fmt(hr.rmse, 2)} bpm</td></tr>
+                <tr><td className="pr-3 text-slate-500">Pearson r</td><td>{fmt(hr.r, 3)}</td></tr>
+                <tr><td className="pr-3 text-slate-500">バイアス（推定−参照）</td><td>{fmt(hr.bias, 2)} bpm</td></tr>
+                <tr><td className="pr-3 text-slate-500">一致限界（±1.96SD）</td><td>{hr.loa ? `${fmt(hr.loa[0], 1)} 〜 ${fmt(hr.loa[1], 1)} bpm` : "—"}</td></tr>
+              </tbody>
+            </table>
+            <h3 className="text-sm font-semibold mt-3 mb-1">RMSSD（{REFERENCE_DEFAULTS.rmssdWindowSec}秒窓）</h3>
+            {result.rmssd.windows.length === 0 ? (
+              <div className="text-xs text-slate-500">両方に拍がそろった{REFERENCE_DEFAULTS.rmssdWindowSec}秒窓がありません</div>
+            ) : (
+              <table className="text-xs">
+                <thead className="text-slate-500"><tr><th className="pr-3 text-left">窓 (s)</th><th className="pr-3">推定</th><th className="pr-3">参照</th><th>誤差</th></tr></thead>
+                <tbody>
+                  {result.rmssd.windows.map((w) => (
+                    <tr key={w.t0}>
+                      <td className="pr-3">{Math.round(w.t0)}–{Math.round(w.t1)}</td>
+                      <td className="pr-3 text-right">{fmt(w.est, 1)}</td>
+                      <td className="pr-3 text-right">{fmt(w.ref, 1)}</td>
+                      <td className="text-right">{fmt(w.err, 1)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t"><td className="pr-3 text-slate-500">MAE</td><td colSpan={3} className="text-right">{fmt(rm.mae, 1)} ms（バイアス {fmt(rm.bias, 1)}）</td></tr>
+                </tbody>
+              </table>
+            )}
+          </div>
+          <HrOverlayPlot pairs={result.hr.pairs} />
+          <BlandAltmanPlot pairs={result.hr.pairs} stats={hr} />
+        </div>
+      )}
+    </section>
+  );
+}
+
+// 推定と参照のHRを重ねて表示（オフセット調整の目安）
+function HrOverlayPlot({ pairs }){
+  const W = 300, H = 160;
+  if (pairs.length < 2) return <div className="text-xs text-slate-500">重なる区間がありません（オフセットを確認してください）</div>;
+  const vals = pairs.flatMap((p) => [p.est, p.ref]);
+  const min = Math.min(...vals) - 2, max = Math.max(...vals) + 2;
+  const t0 = pairs[0].t, span = pairs[pairs.length - 1].t - t0 || 1;
+  const x = (t) => ((t - t0) / span) * W;
+  const y = (v) => H - ((v - min) / (max - min)) * H;
+  const path = (key) => pairs.map((p, i) => `${i ? "L" : "M"}${x(p.t).toFixed(1)},${y(p[key]).toFixed(1)}`).join("");
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-500">
+        <span>HR（<span className="text-rose-600">推定</span> / <span className="text-slate-900">参照</span>）</span>
+        <span>{Math.round(min)}–{Math.round(max)} bpm</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-40 bg-slate-100 rounded-lg">
+        <path d={path("ref")} fill="none" stroke="#0f172a" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+        <path d={path("est")} fill="none" stroke="#e11d48" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-400"><span>{Math.round(t0)}s</span><span>{Math.round(t0 + span)}s</span></div>
+    </div>
+  );
+}
+
+// Bland-Altman: 横軸 (推定+参照)/2、縦軸 推定−参照。バイアスと一致限界の線
+function BlandAltmanPlot({ pairs, stats }){
+  const W = 300, H = 160;
+  if (pairs.length < 3) return null;
+  const pts = pairs.map((p) => ({ m: (p.est + p.ref) / 2, d: p.est - p.ref }));
+  const mMin = Math.min(...pts.map((p) => p.m)), mMax = Math.max(...pts.map((p) => p.m));
+  const dAbs = Math.max(5, ...pts.map((p) => Math.abs(p.d)), ...stats.loa.map(Math.abs)) * 1.1;
+  const x = (m) => 4 + ((m - mMin) / (mMax - mMin || 1)) * (W - 8);
+  const y = (d) => H / 2 - (d / dAbs) * (H / 2);
+  const hline = (d, color, dash) => <line x1="0" x2={W} y1={y(d)} y2={y(d)} stroke={color} strokeDasharray={dash} vectorEffect="non-scaling-stroke" />;
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-500">
+        <span>Bland-Altman（縦: 推定−参照, 横: 平均）</span>
+        <span>±{Math.round(dAbs)} bpm</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full bg-slate-100 rounded-lg">
+        {hline(0, "#94a3b8")}
+        {hline(stats.bias, "#0ea5e9")}
+        {hline(stats.loa[0], "#f59e0b", "4 3")}
+        {hline(stats.loa[1], "#f59e0b", "4 3")}
+        {pts.map((p, i) => <circle key={i} cx={x(p.m)} cy={y(p.d)} r="1.8" fill="#e11d48" fillOpacity="0.6" />)}
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-400"><span>{Math.round(mMin)} bpm</span><span>{Math.round(mMax)} bpm</span></div>
+    </div>
+  );
+}
+
+// 作業/休憩ブロックのタイマーと、日ごとのブロックのタイムライン・要約
+function WorkBlocksPanel({ settings, onSettingsChange, block, now, running, strainHint, blocks, error, onStart, onNext, onBreakNow, onStop, onDelete }){
+  const days = blocksByDay(blocks);
+  const [dayIndex, setDayIndex] = useState(0);
+  const day = days[Math.min(dayIndex, days.length - 1)];
+  const elapsed = block ? (now - block.startedAt) / 1000 : 0;
+  const num = (key, label) => (
+    <label className="inline-flex items-center gap-1">
+      {label}
+      <input type="number" min="1" step="1" value={settings[key]} onChange={(e)=>onSettingsChange(key, e.target.value)} disabled={!!block} className="w-14 border rounded px-1" />分
+    </label>
+  );
+  return (
+    <section className="mt-6 bg-white rounded-2xl shadow p-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <h2 className="text-lg font-semibold">作業ブロック</h2>
+        {num("workMin", "作業")}
+        {num("breakMin", "休憩")}
+        {num("strainBreakMin", "緊張が続いたら休憩を提案")}
+        <div className="ml-auto flex items-center gap-2">
+          {block ? (
+            <>
+              <button onClick={onNext} className="px-3 py-1 rounded-lg border">{block.kind === "work" ? "休憩へ" : "作業へ"}</button>
+              <button onClick={onStop} className="px-3 py-1 rounded-lg border">終了</button>
+            </>
+          ) : (
+            <button onClick={onStart} className="px-3 py-1 rounded-lg bg-slate-800 text-white">作業を開始</button>
+          )}
+        </div>
+      </div>
+      {block && (
+        <div className="mt-3">
+          <div className="flex items-center gap-3">
+            <span className={`px-2 py-0.5 rounded-full text-xs ${block.kind === "work" ? "bg-indigo-100 text-indigo-800" : "bg-slate-200 text-slate-700"}`}>{BLOCK_KIND_LABELS[block.kind]}</span>
+            <span className="font-mono text-2xl">{fmtClock(Math.max(0, block.plannedSec - elapsed))}</span>
+            {!running && <span className="text-xs text-amber-700">カメラ計測（またはデモ）中でないと、このブロックの指標は記録されません</span>}
+          </div>
+          <div className="mt-1 w-full bg-gray-200 rounded-full h-1.5">
+            <div className={`h-1.5 rounded-full ${block.kind === "work" ? "bg-indigo-500" : "bg-slate-400"}`} style={{ width: `${Math.min(100, (elapsed / block.plannedSec) * 100)}%` }} />
+          </div>
+          {strainHint && block.kind === "work" && (
+            <div className="mt-2 p-2 rounded-lg border border-rose-300 bg-rose-50 text-sm text-rose-900 flex items-center gap-2">
+              😣 緊張の状態が{settings.strainBreakMin}分以上続いています。予定より早めに休憩しませんか？
+              <button onClick={onBreakNow} className="ml-auto px-2 py-0.5 rounded border border-rose-300 bg-white">今すぐ休憩</button>
+            </div>
+          )}
+        </div>
+      )}
+      {error && <div className="mt-2 text-sm text-rose-700">ブロックの記録を利用できません: {error}</div>}
+      {!day ? (
+        <div className="mt-3 text-sm text-slate-500">まだ記録されたブロックはありません（{BLOCK_MIN_SEC}秒以上のブロックを保存します）。</div>
+      ) : (
+        <div className="mt-4">
+          <div className="flex items-center gap-2 text-sm">
+            <button onClick={()=>setDayIndex(Math.min(days.length - 1, dayIndex + 1))} disabled={dayIndex >= days.length - 1} className="px-2 rounded border disabled:opacity-40">◀</button>
+            <span className="font-semibold">{day.start.toLocaleDateString("ja-JP", { month: "numeric", day: "numeric", weekday: "short" })}</span>
+            <button onClick={()=>setDayIndex(Math.max(0, dayIndex - 1))} disabled={dayIndex === 0} className="px-2 rounded border disabled:opacity-40">▶</button>
+            <span className="text-xs text-slate-500">作業 {day.blocks.filter((b) => b.kind === "work").length} ブロック・{fmtDuration(day.blocks.filter((b) => b.kind === "work").reduce((a, b) => a + b.summary.durationSec, 0))}</span>
+          </div>
+          <BlockTimeline blocks={day.blocks} />
+          <div className="mt-3 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-xs text-slate-500 text-left">
+                <tr>
+                  <th className="py-1 pr-3">時刻</th>
+                  <th className="py-1 pr-3">種類</th>
+                  <th className="py-1 pr-3">長さ</th>
+                  <th className="py-1 pr-3">平均集中度</th>
+                  <th className="py-1 pr-3">HR差 (bpm)</th>
+                  <th className="py-1 pr-3">RMSSD差 (ms)</th>
+                  <th className="py-1 pr-3">品質カバー率</th>
+                  <th className="py-1 pr-3">主な状態</th>
+                  <th className="py-1 pr-3"></th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {day.blocks.map((b) => {
+                  const m = b.summary;
+                  return (
+                    <tr key={b.id} className="border-t border-slate-100">
+                      <td className="py-1 pr-3 whitespace-nowrap">{fmtTime(Date.parse(b.startedAt))}–{fmtTime(Date.parse(b.endedAt))}</td>
+                      <td className="py-1 pr-3">{BLOCK_KIND_LABELS[b.kind]}</td>
+                      <td className="py-1 pr-3">{fmtDuration(m.durationSec)}</td>
+                      <td className="py-1 pr-3">{fmt(m.meanFocus)}</td>
+                      <td className="py-1 pr-3">{fmtSigned(m.hrDelta, 1)}</td>
+                      <td className="py-1 pr-3">{fmtSigned(m.rmssdDelta)}</td>
+                      <td className="py-1 pr-3">{m.qualityCoverage == null ? "—" : `${Math.round(m.qualityCoverage * 100)}%`}</td>
+                      <td className="py-1 pr-3">{m.dominantState ? FOCUS_STATE_LABELS[m.dominantState] : "—"}</td>
+                      <td className="py-1 pr-3 text-xs text-slate-500">{b.endReason ? BLOCK_END_LABELS[b.endReason] : ""}</td>
+                      <td className="py-1 text-right"><button onClick={()=>onDelete(b)} className="text-xs text-rose-700">削除</button></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="mt-1 text-xs text-slate-400">差は選択中のプロファイルのベースライン（保存時）との差。品質ゲートを通った秒だけで平均します。</div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// 1日のブロックを最初の開始〜最後の終了の帯に並べる（作業は主な状態の色、休憩は灰色）
+function BlockTimeline({ blocks }){
+  const t0 = Math.min(...blocks.map((b) => Date.parse(b.startedAt)));
+  const t1 = Math.max(...blocks.map((b) => Date.parse(b.endedAt)));
+  const span = Math.max(1, t1 - t0);
+  return (
+    <div className="mt-2">
+      <div className="relative h-6 bg-slate-100 rounded">
+        {blocks.map((b) => {
+          const s = Date.parse(b.startedAt), e = Date.parse(b.endedAt);
+          const color = b.kind === "break" ? "bg-slate-300" : FOCUS_STATE_BARS[b.summary.dominantState] ?? "bg-slate-500";
+          return (
+            <div
+              key={b.id}
+              className={`absolute top-0 h-full rounded-sm border-r border-white ${color}`}
+              style={{ left: `${((s - t0) / span) * 100}%`, width: `${Math.max(0.3, ((e - s) / span) * 100)}%` }}
+              title={`${BLOCK_KIND_LABELS[b.kind]} ${fmtTime(s)}–${fmtTime(e)}・集中度 ${fmt(b.summary.meanFocus)}`}
+            />
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-500">
+        <span>{fmtTime(t0)}</span>
+        <span className="flex gap-2">
+          {Object.entries(FOCUS_STATE_BARS).map(([k, c]) => <span key={k} className="inline-flex items-center gap-1"><span className={`inline-block w-2 h-2 rounded-sm ${c}`} />{FOCUS_STATE_LABELS[k]}</span>)}
+          <span className="inline-flex items-center gap-1"><span className="inline-block w-2 h-2 rounded-sm bg-slate-300" />休憩</span>
+        </span>
+        <span>{fmtTime(t1)}</span>
+      </div>
+    </div>
+  );
+}
+
+// 保存済みセッションの履歴（日/週トレンド・一覧・削除・一括エクスポート）
+function HistoryPanel({ sessions, error, onDelete, onReport, onExportJson, onExportCsv }){
+  const [period, setPeriod] = useState("day");
+  const trends = aggregateTrends(sessions.map((s) => s.summary), period);
+  return (
+    <section className="mt-6 bg-white rounded-2xl shadow p-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="text-lg font-semibold">履歴</h2>
+        <span className="text-xs text-slate-500">カメラ計測（{HISTORY_MIN_SEC}秒以上・セッション記録オン）の終了時に、この端末のブラウザ内へ保存</span>
+        <div className="ml-auto flex items-center gap-2 text-sm">
+          <div className="inline-flex rounded-lg border overflow-hidden">
+            {Object.entries(TREND_PERIOD_LABELS).map(([k, label]) => (
+              <button key={k} onClick={() => setPeriod(k)} className={`px-3 py-1 ${period === k ? "bg-slate-800 text-white" : "bg-white"}`}>{label}</button>
+            ))}
+          </div>
+          <button onClick={onExportJson} disabled={!sessions.length} className="px-3 py-1 rounded-lg border disabled:opacity-40">すべてエクスポート (JSON)</button>
+          <button onClick={onExportCsv} disabled={!sessions.length} className="px-3 py-1 rounded-lg border disabled:opacity-40">要約CSV</button>
+        </div>
+      </div>
+      {error && <div className="mt-2 text-sm text-rose-700">履歴を利用できません: {error}</div>}
+      {sessions.length === 0 ? (
+        <div className="mt-3 text-sm text-slate-500">まだ保存されたセッションはありません。</div>
+      ) : (
+        <>
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <TrendBars rows={trends} field="meanHr" label="平均心拍数 (bpm)" color="#e11d48" period={period} />
+            <TrendBars rows={trends} field="meanRmssd" label="平均RMSSD (ms)" color="#10b981" period={period} />
+            <TrendBars rows={trends} field="meanFocus" label="平均集中度" color="#6366f1" period={period} />
+            <TrendBars rows={trends.map((r) => ({ ...r, focusHighMin: r.focusHighSec / 60 }))} field="focusHighMin" label="高集中の時間 (分)" color="#f59e0b" period={period} />
+          </div>
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-xs text-slate-500 text-left">
+                <tr>
+                  <th className="py-1 pr-3">開始</th>
+                  <th className="py-1 pr-3">時間</th>
+                  <th className="py-1 pr-3">平均HR</th>
+                  <th className="py-1 pr-3">RMSSD</th>
+                  <th className="py-1 pr-3">SDNN</th>
+                  <th className="py-1 pr-3">集中度</th>
+                  <th className="py-1 pr-3">集中の帯（{FOCUS_BANDS.map((b) => b.label).join("/")}）</th>
+                  <th className="py-1 pr-3">品質OK</th>
+                  <th className="py-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((s) => {
+                  const m = s.summary;
+                  return (
+                    <tr key={s.id} className="border-t border-slate-100">
+                      <td className="py-1 pr-3 whitespace-nowrap">{fmtDateTime(s.startedAt)}</td>
+                      <td className="py-1 pr-3">{fmtDuration(m.durationSec)}</td>
+                      <td className="py-1 pr-3">{fmt(m.meanHr)}</td>
+                      <td className="py-1 pr-3">{fmt(m.rmssd)}</td>
+                      <td className="py-1 pr-3">{fmt(m.sdnn)}</td>
+                      <td className="py-1 pr-3">{fmt(m.meanFocus)}</td>
+                      <td className="py-1 pr-3">{fmtDuration(m.focusLowSec)} / {fmtDuration(m.focusMidSec)} / {fmtDuration(m.focusHighSec)}</td>
+                      <td className="py-1 pr-3">{m.qualityOk == null ? "—" : `${Math.round(m.qualityOk * 100)}%`}</td>
+                      <td className="py-1 text-right whitespace-nowrap">
+                        <button onClick={() => onReport(s)} className="mr-1 px-2 py-0.5 rounded border text-xs">レポート</button>
+                        <button onClick={() => onDelete(s)} className="px-2 py-0.5 rounded border text-xs text-rose-700">削除</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+// 日/週ごとの値を棒で表示（値がない期間は棒なし）
+function TrendBars({ rows, field, label, color, period }){
+  const W = 300, H = 80;
+  const vals = rows.map((r) => r[field]).filter((v) => v != null);
+  const max = vals.length ? Math.max(...vals) : 1;
+  const bw = W / Math.max(rows.length, 7);
+  const last = [...rows].reverse().find((r) => r[field] != null);
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-500">
+        <span>{label}</span>
+        <span>{last ? `${fmtPeriod(last.start, period)}: ${fmt(last[field], 1)}` : "—"}</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-20 bg-slate-100 rounded-lg">
+        {rows.map((r, i) => r[field] == null ? null : (
+          <rect key={r.key} x={i * bw + bw * 0.15} width={bw * 0.7} y={H - (r[field] / (max || 1)) * (H - 4)} height={(r[field] / (max || 1)) * (H - 4)} fill={color}>
+            <title>{`${fmtPeriod(r.start, period)}: ${fmt(r[field], 1)}（${r.sessions}回）`}</title>
+          </rect>
+        ))}
+      </svg>
+      {rows.length > 0 && (
+        <div className="flex justify-between text-[10px] text-slate-400">
+          <span>{fmtPeriod(rows[0].start, period)}</span>
+          <span>{fmtPeriod(rows[rows.length - 1].start, period)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function SympaParasympaBars({ rmssd, baselineRMSSD }){
   const rm = rmssd ?? baselineRMSSD;
   const p = clamp01(rm / (baselineRMSSD * 1.6));
@@ -597,28 +2108,45 @@ function SympaParasympaBars({ rmssd, baselineRMSSD }){
   );
 }
 
-function RoiOverlay({ videoRef, roi, roiMode, mirror }){
-  // ミラー表示時は左右を反転
-  const leftPos = mirror ? 
-    (roiMode === "center" ? 40 : (1 - roi.x - roi.w) * 100) :
-    (roiMode === "center" ? 40 : roi.x * 100);
-    
+function RoiOverlay({ rois, names, stats, roiMode, mirror }){
   return (
     <>
-      {/* 額の測定領域（緑枠） */}
-      <div style={{ 
-        position: 'absolute', 
-        pointerEvents: 'none', 
-        left: `${leftPos}%`, 
-        top: `${(roiMode==="center"?12:roi.y*100)}%`, 
-        width: `${(roiMode==="center"?20:roi.w*100)}%`, 
-        height: `${(roiMode==="center"?18:roi.h*100)}%` 
-      }}>
-        <div className="w-full h-full rounded-xl border-2 border-emerald-400" />
-        <div className="absolute -top-6 left-0 text-xs text-emerald-600 bg-white px-1 rounded">
-          測定領域（額）
-        </div>
-      </div>
+      {/* 測定領域（ROIごとに色分け。自動ROIは顔ランドマークの多角形。ラベルは融合の重みとSNR） */}
+      {names.map((name) => {
+        const roi = roiMode === "center" ? CENTER_ROI : rois[name];
+        const stat = stats.find((r) => r.name === name);
+        // ミラー表示時は左右を反転
+        const leftPos = mirror ? (1 - roi.x - roi.w) * 100 : roi.x * 100;
+        return (
+          <div key={name} style={{ 
+            position: 'absolute', 
+            pointerEvents: 'none', 
+            left: `${leftPos}%`, 
+            top: `${roi.y * 100}%`, 
+            width: `${roi.w * 100}%`, 
+            height: `${roi.h * 100}%` 
+          }}>
+            {roi.poly ? (
+              // 顔ランドマークの多角形（外接矩形を 0–1 にした座標で描く）
+              <svg viewBox="0 0 1 1" preserveAspectRatio="none" className="w-full h-full overflow-visible">
+                <polygon
+                  points={roi.poly.map((p) => {
+                    const u = roi.w ? (p.x - roi.x) / roi.w : 0;
+                    return `${mirror ? 1 - u : u},${roi.h ? (p.y - roi.y) / roi.h : 0}`;
+                  }).join(" ")}
+                  fill="none" stroke={ROI_COLORS[name]} strokeWidth={2} vectorEffect="non-scaling-stroke" strokeLinejoin="round"
+                />
+              </svg>
+            ) : (
+              <div className="w-full h-full rounded-xl border-2" style={{ borderColor: ROI_COLORS[name] }} />
+            )}
+            <div className="absolute -top-6 left-0 text-xs bg-white px-1 rounded whitespace-nowrap" style={{ color: ROI_COLORS[name] }}>
+              {ROI_LABELS[name]}
+              {names.length > 1 && stat && ` ${Math.round(stat.weight * 100)}% / SNR ${fmt(stat.snr, 1)}`}
+            </div>
+          </div>
+        );
+      })}
       
       {/* 顔検出の目安（自動ROI時のみ、点線） */}
       {roiMode === "auto" && (
@@ -640,133 +2168,158 @@ function RoiOverlay({ videoRef, roi, roiMode, mirror }){
   );
 }
 
+const SESSION_SOURCES = { camera: "カメラ", demo: "デモ", video: "動画", replay: "再生" };
+const HISTORY_MIN_SEC = 30; // これより短いカメラ計測は履歴に残さない
+const CALIBRATION_MESSAGES = {
+  lowQuality: "品質OKの時間が70%未満（動き・照明を確認）",
+  fewHr: "有効な心拍数が不足",
+  fewHrv: "有効な拍（HRV）が不足",
+};
+const OFFSET_RANGE_SEC = 30; // 参照データの手動オフセットの範囲（スライダー）
+const TREND_PERIOD_LABELS = { day: "日", week: "週" };
+const BLOCK_MIN_SEC = 60; // これより短いブロックは保存しない
+// マーカーのプリセット（key はキーボードショートカット）。自由入力の kind は "note"
+const MARKER_PRESETS = [
+  { kind: "meeting", label: "会議開始", key: "1" },
+  { kind: "interrupt", label: "中断", key: "2" },
+  { kind: "coffee", label: "コーヒー", key: "3" },
+  { kind: "break", label: "休憩", key: "4" },
+];
+const BLOCK_KIND_LABELS = { work: "作業", break: "休憩" };
+const BLOCK_END_LABELS = { strain: "緊張のため早めに休憩", skip: "スキップ", stop: "終了" };
+const FOCUS_STATE_BARS = { relaxed: "bg-emerald-400", focused: "bg-indigo-400", strained: "bg-rose-400", fatigued: "bg-amber-400" };
+
+// 品質ゲートの理由（rppg-core の SQI_REASONS）
+const SQI_MESSAGES = {
+  warmup: "信号を収集中",
+  motion: "頭が動いている・横を向いている",
+  lowSnr: "脈波が弱い（SNRが低い）",
+  irregular: "拍の波形が不揃い",
+  spiky: "スパイク状のノイズ",
+};
+
+// 拍を除外した理由（processor の artifact イベントの reason）
+const ARTIFACT_MESSAGES = {
+  motion: "動きのため拍を除外",
+  shape: "波形が崩れた拍を除外",
+};
+
 // ===== Processing helpers =====
-function movingAverageTail(arr, win) {
-  if (arr.length === 0) return 0;
-  const n = Math.min(win, arr.length);
-  let s = 0;
-  for (let i = arr.length - n; i < arr.length; i++) s += arr[i];
-  return s / n;
+// 動き推定の直近の状態（頭の向きがあれば pose として添える）。ランドマークが1秒以上来ていなければ（顔を見失った）使わない
+function currentMotion(estimator, tSec, pose) {
+  const m = estimator.current;
+  if (m.t == null || tSec - m.t > 1) return undefined;
+  return pose ? { ...m, pose } : m;
 }
 
-function getLatestSegment(sig, t, windowSec) {
-  if (sig.length === 0 || t.length === 0) return { segment: [], fsUsed: 30 };
-  const tmax = t[t.length - 1];
-  let i0 = 0;
-  for (let i = t.length - 1; i >= 0; i--) {
-    if (t[i] < tmax - windowSec) { i0 = i + 1; break; }
-  }
-  const segment = sig.slice(i0);
-  const dt = (t[t.length - 1] - t[i0]) / Math.max(1, (t.length - 1 - i0));
-  const fsUsed = dt > 0 ? Math.min(90, Math.max(10, 1 / dt)) : 30;
-  return { segment, fsUsed };
-}
+const ANALYSIS_FPS = 30; // 動画ファイル解析のフレーム刻み
+const REPLAY_SPEEDS = [1, 4, 16, 0]; // セッション再生の倍速（0 = 最大）
+const REPLAY_BUDGET_MS = 30; // 再生で1回の描画あたりに処理に使う時間の上限
+const REPLAY_MAX_IN_FLIGHT = 120; // 再生でワーカーに先送りしておくフレーム数の上限
+const MAX_IN_FLIGHT = 3; // カメラでワーカーの処理待ちがこれ以上あればフレームを間引く
 
-function goertzelSpectrum(x, fs, band, bins = 120) {
-  const [f0, f1] = band;
-  const freqs = [];
-  const powers = [];
-  for (let i = 0; i < bins; i++) {
-    const f = f0 + (f1 - f0) * (i / (bins - 1));
-    const w = 2 * Math.PI * f / fs;
-    let s_prev = 0, s_prev2 = 0;
-    const coeff = 2 * Math.cos(w);
-    for (let n = 0; n < x.length; n++) {
-      const s = x[n] + coeff * s_prev - s_prev2;
-      s_prev2 = s_prev;
-      s_prev = s;
-    }
-    const real = s_prev - s_prev2 * Math.cos(w);
-    const imag = s_prev2 * Math.sin(w);
-    const power = real * real + imag * imag;
-    freqs.push(f);
-    powers.push(power);
-  }
-  return { freqs, powers };
-}
+// 1秒ごとの直近の推定値（st.latest）の初期値
+const EMPTY_LATEST = { hr: null, hrRaw: null, snr: null, rmssd: null, focus: null, focusState: null, resp: null, motion: null, sqiOk: false };
 
-function argmax(a) { let m = 0; for (let i=1;i<a.length;i++) if (a[i] > a[m]) m=i; return m; }
-function median(a) { const b=[...a].sort((x,y)=>x-y); const n=b.length; return n? (n%2? b[(n-1)/2] : 0.5*(b[n/2-1]+b[n/2])):0; }
-function clamp(v,min,max){ return Math.max(min, Math.min(max,v)); }
-function clamp01(v){ return clamp(v, 0, 1); }
+// 集中度モデルの設定の既定（rppg-core の既定値と同じ）
+const FOCUS_SETTINGS_DEFAULTS = {
+  model: FOCUS_MODEL_DEFAULTS.model,
+  smoothingSec: FOCUS_MODEL_DEFAULTS.smoothingSec,
+  ...FOCUS_STATE_THRESHOLDS,
+};
+const FOCUS_MODEL_LABELS = { arousal: "HR↑・RMSSD↓", vagal: "RMSSDのみ" };
+const FOCUS_STATE_LABELS = { relaxed: "リラックス", focused: "集中", strained: "緊張", fatigued: "疲労" };
+const FOCUS_STATE_STYLES = {
+  relaxed: "bg-emerald-100 text-emerald-800",
+  focused: "bg-indigo-100 text-indigo-800",
+  strained: "bg-rose-100 text-rose-800",
+  fatigued: "bg-amber-100 text-amber-800",
+};
 
-// Peak detection with refractory period & adaptive threshold
-function detectPeakAndIBI(st, fs) {
-  const N = st.bvp.length;
-  if (N < 5) return null;
-  const t = st.t;
-  const y = st.bvp;
-  const winS = Math.min(5, st.maxBufSec);
-  let i0 = N - Math.floor(winS * fs);
-  if (i0 < 0) i0 = 0;
-  const seg = y.slice(i0);
-  const mean = seg.reduce((s,v)=>s+v,0)/seg.length;
-  const sd = Math.sqrt(seg.reduce((s,v)=>s+(v-mean)*(v-mean),0)/Math.max(1,seg.length-1));
-  const thr = mean + 0.6 * sd;
-
-  const i = N - 2; // previous sample as candidate peak
-  if (y[i] > thr && y[i] > y[i-1] && y[i] > y[i+1]) {
-    const tPeak = t[i];
-    if (st.lastPeakT < 0 || (tPeak - st.lastPeakT) > 0.33) { // > 180 bpm refractory
-      let ibi = null;
-      if (st.lastPeakT > 0) ibi = tPeak - st.lastPeakT;
-      st.lastPeakT = tPeak;
-      return ibi; // seconds
-    }
-  }
-  return null;
-}
+// 詳細パラメータの既定（rppg-core の既定値と同じ）
+const TUNING_DEFAULTS = {
+  bandLow: DEFAULT_OPTIONS.band[0],
+  bandHigh: DEFAULT_OPTIONS.band[1],
+  hrWindowSec: DEFAULT_OPTIONS.hrWindowSec,
+  peakThreshold: DEFAULT_OPTIONS.peakThreshold,
+};
 
-// RMSSD (ms)
-function computeRMSSD(ibisSec) {
-  if (ibisSec.length < 3) return NaN;
-  const rrMs = ibisSec.map(s=>s*1000);
-  const diffs = [];
-  for (let i=1;i<rrMs.length;i++) diffs.push(rrMs[i]-rrMs[i-1]);
-  const sq = diffs.map(d=>d*d);
-  const mean = sq.reduce((s,v)=>s+v,0)/sq.length;
-  return Math.sqrt(mean);
-}
+// ROIの既定位置（正規化座標、映像はミラー前の向き）。中央ROIモードは額の CENTER_ROI のみ
+const CENTER_ROI = { x: 0.40, y: 0.12, w: 0.20, h: 0.18 }; // 眉間から上の中央額領域
+const DEFAULT_ROIS = {
+  forehead: CENTER_ROI,
+  leftCheek: { x: 0.55, y: 0.42, w: 0.10, h: 0.12 },  // 本人の左頬（映像では右側）
+  rightCheek: { x: 0.35, y: 0.42, w: 0.10, h: 0.12 },
+};
+const ROI_LABELS = { forehead: "額", leftCheek: "左頬", rightCheek: "右頬" };
+const POSE_AXIS_LABELS = { yaw: "左右", pitch: "上下", roll: "傾き" };
 
-// Trim buffers by time window
-function trimBuffers(st) {
-  const { t, gRaw, bvp, maxBufSec } = st;
-  if (t.length === 0) return;
-  const tmax = t[t.length - 1];
-  const cutoff = tmax - maxBufSec;
-  while (t.length && t[0] < cutoff) { t.shift(); gRaw.shift(); bvp.shift(); }
-  while (st.ibis.length > 0 && (t.length > 1) ) {
-    const span = t[t.length - 1] - t[0];
-    if (span <= maxBufSec) break;
-    st.ibis.shift();
-  }
+// 頬も使うのは顔検出で位置が追える自動ROIのときだけ（デモは額1本の合成信号）
+function activeRoiNames({ demo, roiMode }) {
+  return !demo && roiMode === "auto" ? ["forehead", "leftCheek", "rightCheek"] : ["forehead"];
 }
 
+// デバッグ: ワーカーが平均を取ったROIの切り出し（横並び、平均から外した画素は色付き）に、ROIごとの枠・重み・肌の割合を重ねて描く
+function drawRoiTiles(c, { image, names }, stats, skin) {
+  if (!c) return;
+  if (c.width !== image.width) c.width = image.width;
+  if (c.height !== image.height) c.height = image.height;
+  const cx = c.getContext("2d");
+  cx.drawImage(image, 0, 0);
+  image.close?.();
+  const tw = c.width / names.length, th = c.height;
+  cx.lineWidth = 2;
+  cx.font = '12px Arial';
+  names.forEach((name, k) => {
+    const stat = stats?.find((r) => r.name === name);
+    cx.strokeStyle = cx.fillStyle = ROI_COLORS[name];
+    cx.strokeRect(tw * k + 1, 1, tw - 2, th - 2);
+    const w = names.length > 1 && stat ? ` ${Math.round(stat.weight * 100)}%` : "";
+    // 肌の割合（null は肌を見分けられず領域全体で平均したフレーム）
+    const f = skin && name in skin ? ` 肌${skin[name] == null ? "?" : Math.round(skin[name] * 100) + "%"}` : "";
+    cx.fillText(`${ROI_LABELS[name]}${w}${f}`, tw * k + 5, 15);
+  });
+}
 
-// IIR biquads (RBJ cookbook)
-function makeBiquadLP(fs, fc) {
-  const Q = Math.SQRT1_2; return biquad(fs, fc, Q, 'lp');
+// 動画をシークし、表示されたフレームのメディア時刻を返す。
+// requestVideoFrameCallback があれば実フレームの mediaTime を使い、
+// 新しいフレームが出なかった場合は null（同一フレームの重複）。
+function seekFrame(v, t) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (mediaTime) => { if (!settled) { settled = true; resolve(mediaTime); } };
+    const rvfc = typeof v.requestVideoFrameCallback === "function";
+    if (rvfc) v.requestVideoFrameCallback((_now, meta) => finish(meta.mediaTime));
+    v.addEventListener("seeked", () => {
+      if (rvfc) setTimeout(() => finish(null), 250);
+      else finish(v.currentTime);
+    }, { once: true });
+    v.currentTime = t;
+  });
 }
-function makeBiquadHP(fs, fc) {
-  const Q = Math.SQRT1_2; return biquad(fs, fc, Q, 'hp');
+
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
-function biquad(fs, fc, Q, type){
-  const w0 = 2*Math.PI*fc/fs;
-  const cosw0 = Math.cos(w0);
-  const sinw0 = Math.sin(w0);
-  const alpha = sinw0/(2*Q);
-  let b0=0,b1=0,b2=0,a0=1,a1=0,a2=0;
-  if (type==='lp'){
-    b0 = (1 - cosw0)/2; b1 = 1 - cosw0; b2 = (1 - cosw0)/2;
-    a0 = 1 + alpha; a1 = -2*cosw0; a2 = 1 - alpha;
-  } else {
-    b0 = (1 + cosw0)/2; b1 = -(1 + cosw0); b2 = (1 + cosw0)/2;
-    a0 = 1 + alpha; a1 = -2*cosw0; a2 = 1 - alpha;
-  }
-  const bz0=b0/a0, bz1=b1/a0, bz2=b2/a0, az1=a1/a0, az2=a2/a0;
-  let x1=0,x2=0,y1=0,y2=0;
-  return { step(x){ const y = bz0*x + bz1*x1 + bz2*x2 - az1*y1 - az2*y2; x2=x1; x1=x; y2=y1; y1=y; return y; } };
+
+function fmt(v, digits = 0){ return v == null || !isFinite(v) ? "—" : v.toFixed(digits); }
+function fmtDateTime(iso){ return new Date(iso).toLocaleString("ja-JP", { month: "numeric", day: "numeric", weekday: "short", hour: "2-digit", minute: "2-digit" }); }
+function fmtPeriod(d, period){ return `${d.getMonth() + 1}/${d.getDate()}${period === "week" ? "週" : ""}`; }
+function fmtTime(ms){ return new Date(ms).toLocaleTimeString("ja-JP", { hour: "2-digit", minute: "2-digit" }); }
+function fmtSigned(v, digits = 0){ return v == null ? "—" : `${v > 0 ? "+" : v < 0 ? "−" : "±"}${Math.abs(v).toFixed(digits)}`; }
+function fmtClock(sec){ const s = Math.ceil(sec); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`; }
+function fmtDuration(sec){
+  if (sec == null) return "—";
+  const s = Math.round(sec);
+  return s >= 60 ? `${Math.floor(s / 60)}分${s % 60}秒` : `${s}秒`;
 }
+function clamp(v,min,max){ return Math.max(min, Math.min(max,v)); }
+function clamp01(v){ return clamp(v, 0, 1); }
 
 function Callout({ type, title, children }){
   const color = type==="error"?"border-rose-300 bg-rose-50":"warn"===type?"border-amber-300 bg-amber-50":"border-sky-300 bg-sky-50";
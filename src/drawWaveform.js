@@ -1,4 +1,5 @@
-export function drawWaveform(canvas, segment) {
+// markers: [{ pos, label }]（pos は区間内の位置 0〜1）を縦線とラベルで重ねる
+export function drawWaveform(canvas, segment, markers = []) {
   if (!canvas || !segment || segment.length === 0) return;
   
   const ctx = canvas.getContext('2d');
@@ -34,4 +35,19 @@ export function drawWaveform(canvas, segment) {
   }
   
   ctx.stroke();
-}
\ No newline at end of file
+
+  // Draw markers
+  ctx.strokeStyle = '#f59e0b';
+  ctx.fillStyle = '#b45309';
+  ctx.lineWidth = 1;
+  ctx.font = '10px sans-serif';
+  for (const m of markers) {
+    if (m.pos < 0 || m.pos > 1) continue;
+    const x = m.pos * width;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+    ctx.fillText(m.label, Math.min(x + 2, width - ctx.measureText(m.label).width - 2), 10);
+  }
+}
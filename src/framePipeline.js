@@ -0,0 +1,158 @@
+import { createRppgProcessor, createSkinModel, polygonMask, SKIN_LABELS } from './rppg-core';
+
+// フレーム処理のパイプライン本体（Web Worker の中で動かす。Worker が使えないときはメインスレッドで同じものを動かす）
+// メッセージ（post で返すものも含め、すべて送った順に処理される）:
+// - { type: 'create', id, options }                    プロセッサを作り直す（以後 id の違うフレームは処理しない）
+// - { type: 'set', id, fs, hrvWindowSec }              処理レート・HRV窓の変更
+// - { type: 'frame', id, seq, t, rgb }                 ROIごとのRGB平均をそのまま渡す（デモ・再生）
+// - { type: 'frame', id, seq, t, source, boxes, mirror, debug }
+//                                                      映像フレーム（ImageBitmap）から boxes の矩形を切り出し、肌の画素だけを平均する
+//                                                      （boxes[name].poly があればその多角形の内側だけ。rppg-core/skin.js）
+// 各フレームに { type: 'frame', seq, t, rgb, n, events, sampleCount, fps, rejectedBeats, status? } を1つ返す。
+// events はそのフレームで発行されたプロセッサのイベント [type, payload] の列。
+// status（波形・ROIの重み・肌の割合・デバッグ用の切り出し画像）は表示用なので STATUS_INTERVAL_MS に1回だけ付ける。
+
+const EVENT_TYPES = ['sample', 'hr', 'quality', 'ibi', 'hrv', 'resp', 'roi', 'sqi', 'artifact'];
+const STATUS_INTERVAL_MS = 100;
+const WAVEFORM_SEC = 12; // 波形表示の長さ
+const ROI_TILE = { w: 160, h: 120 }; // 切り出しの1ROIぶん（デバッグ表示もこの大きさ）
+// デバッグ表示のマスクの塗り（肌はそのまま、領域外は暗く）
+const MASK_TINT = {
+  [SKIN_LABELS.outside]: { color: [0, 0, 0], alpha: 0.7 },
+  [SKIN_LABELS.nonSkin]: { color: [255, 0, 255], alpha: 0.55 }, // 髪・眉・背景
+  [SKIN_LABELS.highlight]: { color: [0, 255, 255], alpha: 0.55 }, // 白飛び・テカリ
+};
+
+export function createPipelineHost(post) {
+  let proc = null, procId = null;
+  let events = [];
+  let canvas = null, cx = null;
+  let skinModels = {}; // ROIごとの肌色モデル（プロセッサを作り直したら学習し直す）
+  let lastStatus = -Infinity;
+
+  function handle(msg) {
+    if (msg.type === 'create') {
+      proc = createRppgProcessor(msg.options);
+      procId = msg.id;
+      events = [];
+      skinModels = {};
+      for (const type of EVENT_TYPES) proc.on(type, (payload) => events.push([type, payload]));
+      lastStatus = -Infinity;
+    } else if (msg.type === 'set') {
+      if (msg.id !== procId) return;
+      proc.setSampleRate(msg.fs);
+      proc.setHrvWindow(msg.hrvWindowSec);
+    } else if (msg.type === 'frame') {
+      frame(msg);
+    }
+  }
+
+  function frame({ id, seq, t, rgb, source, boxes, mirror, debug, motion }) {
+    let sample = null;
+    if (source) {
+      sample = id === procId ? sampleTiles(source, boxes, mirror) : null;
+      source.close?.();
+      rgb = sample?.rgb ?? null;
+    }
+    if (id !== procId || !rgb) {
+      post({ type: 'frame', seq, t, rgb: null });
+      return;
+    }
+    events = [];
+    proc.push(t, rgb, motion);
+    const msg = {
+      type: 'frame', seq, t, rgb, n: sample?.n ?? null, events,
+      sampleCount: proc.sampleCount, fps: proc.fps, rejectedBeats: proc.rejectedBeats,
+    };
+    const transfer = [];
+    const now = performance.now();
+    if (now - lastStatus >= STATUS_INTERVAL_MS) {
+      lastStatus = now;
+      msg.status = { waveform: proc.getWaveform(WAVEFORM_SEC), waveformEndT: proc.lastSampleT, rois: proc.rois, skin: sample?.skin ?? null };
+      // デバッグ表示用に、平均を取ったのと同じ切り出し画像に肌マスクを重ねて渡す
+      if (debug && sample) {
+        paintMask(sample);
+        const image = canvas.transferToImageBitmap ? canvas.transferToImageBitmap() : canvas;
+        if (image !== canvas) transfer.push(image);
+        msg.status.tiles = { image, names: Object.keys(boxes) };
+      }
+    }
+    post(msg, transfer);
+  }
+
+  // 各ROIを処理用キャンバスに横並びで切り出し、ROIごとに肌の画素のRGB平均を返す（失敗時はnull）
+  // 戻り値: { rgb: { forehead: [R,G,B], ... }, n: { forehead: 平均した画素数, ... }, skin: { forehead: 肌の割合, ... }, image, labels }
+  function sampleTiles(source, boxes, mirror) {
+    const names = Object.keys(boxes);
+    const vw = source.videoWidth ?? source.width, vh = source.videoHeight ?? source.height;
+    const { w: tw, h: th } = ROI_TILE;
+    if (!canvas) {
+      canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(tw, th) : document.createElement('canvas');
+    }
+    if (canvas.width !== tw * names.length || canvas.height !== th || !cx) {
+      canvas.width = tw * names.length;
+      canvas.height = th;
+      cx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    let img;
+    try {
+      names.forEach((name, k) => {
+        const roi = boxes[name];
+        cx.save();
+        if (mirror) { cx.translate(tw * (k + 1), 0); cx.scale(-1, 1); }
+        else cx.translate(tw * k, 0);
+        cx.drawImage(source, vw * roi.x, vh * roi.y, vw * roi.w, vh * roi.h, 0, 0, tw, th);
+        cx.restore();
+      });
+      img = cx.getImageData(0, 0, canvas.width, canvas.height).data;
+    } catch (err) {
+      console.error('❌ ROIの切り出しエラー:', err);
+      return null;
+    }
+    if (!img || img.length === 0) {
+      console.error('❌ 画像データが空です');
+      return null;
+    }
+
+    const rgb = {}, n = {}, skin = {}, labels = [];
+    for (const [k, name] of names.entries()) {
+      const mask = boxes[name].poly ? polygonMask(tilePolygon(boxes[name], mirror), tw, th) : null;
+      const model = skinModels[name] = skinModels[name] ?? createSkinModel();
+      const s = model.sample(img, canvas.width, { x: k * tw, w: tw, h: th }, mask);
+      if (!s.rgb) return null;
+      rgb[name] = s.rgb;
+      n[name] = s.n;
+      skin[name] = s.fallback ? null : s.fraction;
+      labels.push(s.labels);
+    }
+    return { rgb, n, skin, image: img, labels };
+  }
+
+  // 切り出した画像の非肌の画素に色を重ねてキャンバスに戻す
+  function paintMask({ image, labels }) {
+    const { w: tw, h: th } = ROI_TILE;
+    labels.forEach((tile, k) => {
+      for (let y = 0; y < th; y++) {
+        for (let x = 0; x < tw; x++) {
+          const tint = MASK_TINT[tile[y * tw + x]];
+          if (!tint) continue;
+          const i = 4 * (y * canvas.width + k * tw + x);
+          for (let c = 0; c < 3; c++) image[i + c] += (tint.color[c] - image[i + c]) * tint.alpha;
+        }
+      }
+    });
+    cx.putImageData(new ImageData(image, canvas.width, canvas.height), 0, 0);
+  }
+
+  return { handle };
+}
+
+// ROIの多角形（映像の正規化座標）を切り出し画像のピクセル座標に直す
+function tilePolygon({ x, y, w, h, poly }, mirror) {
+  const { w: tw, h: th } = ROI_TILE;
+  return poly.map((p) => {
+    const u = ((p.x - x) / w) * tw;
+    return { x: mirror ? tw - u : u, y: ((p.y - y) / h) * th };
+  });
+}
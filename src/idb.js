@@ -0,0 +1,43 @@
+// アプリのIndexedDB（この端末のブラウザ内だけに保存）
+// - sessions: 計測セッションの履歴（useSessionHistory）
+// - blocks:   作業/休憩ブロックの要約（useWorkBlocks）
+// どちらも keyPath 'id'（自動採番）と startedAt の索引を持つ。
+const DB_NAME = 'rppg-focus-monitor';
+const DB_VERSION = 2;
+const STORES = ['sessions', 'blocks'];
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB が使えません'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of STORES) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'id', autoIncrement: true }).createIndex('startedAt', 'startedAt');
+        }
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ストアに対する1回の操作（トランザクション完了で resolve）
+export async function withStore(name, mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      const req = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,50 @@
+// MediaPipe Face Mesh の読み込み
+// スクリプト・WASM・モデルはアプリと同梱（vite.config.js の mediapipeAssets が <base>mediapipe/ に置く）で、CDNには取りに行かない。
+// loadFaceMesh() は face_mesh.js と drawing_utils.js を読み込み、グローバルに定義される API をまとめて返す。
+// 失敗したら reject し、次の呼び出しで読み込み直す。
+const BASE = `${import.meta.env.BASE_URL}mediapipe/`;
+export const MEDIAPIPE_TIMEOUT_MS = 20000; // スクリプト・モデルの読み込みを待つ上限
+
+let loading = null;
+
+export function mediapipeUrl(pkg, file) {
+  return `${BASE}${pkg}/${file}`;
+}
+
+export function loadFaceMesh() {
+  if (!loading) {
+    loading = Promise.all([
+      loadScript(mediapipeUrl('face_mesh', 'face_mesh.js')),
+      loadScript(mediapipeUrl('drawing_utils', 'drawing_utils.js')),
+    ]).then(() => {
+      const { FaceMesh, drawConnectors, drawLandmarks, FACEMESH_TESSELATION, FACEMESH_FACE_OVAL } = window;
+      if (!FaceMesh || !drawConnectors || !drawLandmarks) throw new Error('MediaPipe の API が見つかりません');
+      return { FaceMesh, drawConnectors, drawLandmarks, FACEMESH_TESSELATION, FACEMESH_FACE_OVAL };
+    });
+    loading.catch(() => { loading = null; });
+  }
+  return loading;
+}
+
+// ms 以内に終わらなければ reject（WASM・モデルの取得が止まったとき）
+export function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`${what}がタイムアウトしました（${ms / 1000}秒）`)), ms); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function loadScript(src) {
+  return withTimeout(new Promise((resolve, reject) => {
+    const s = document.createElement('script');
+    s.src = src;
+    s.async = true;
+    s.onload = resolve;
+    s.onerror = () => {
+      s.remove();
+      reject(new Error(`${src} を読み込めませんでした`));
+    };
+    document.head.appendChild(s);
+  }), MEDIAPIPE_TIMEOUT_MS, `${src} の読み込み`);
+}
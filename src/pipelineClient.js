@@ -0,0 +1,144 @@
+import { DEFAULT_OPTIONS } from './rppg-core';
+import { createPipelineHost } from './framePipeline';
+
+// メインスレッド側の窓口。ROIの切り出しと信号処理を Web Worker（rppgWorker.js）で動かし、
+// createProcessor() は createRppgProcessor() と同じ形（on / push / setSampleRate / options など）のプロセッサを返す。
+// - push(t, rgb, motion, done) / pushFrame(t, source, { boxes, mirror, motion, debug }, done) は
+//   ワーカーが処理し終えたら、そのフレームのイベントを同じ順で発行してから done({ t, rgb, n }) を呼ぶ（返り値の Promise も同じ値）。
+//   切り出しに失敗したフレーム、作り直し前のプロセッサのフレーム、terminate() で打ち切ったフレームは done(null)
+// - "status" イベント { waveform, waveformEndT, rois, skin, tiles? } は表示用に間引いて届く（再レンダーはここで行う）
+// Worker / OffscreenCanvas が使えない、またはワーカーの読み込みに失敗したときはメインスレッドで同期的に処理する。
+
+export function createPipelineClient() {
+  let worker = null, host = null;
+  const pending = new Map(); // seq → { proc, done, resolve }
+  let seq = 0, nextId = 1;
+  let current = null; // 最後に作ったプロセッサの create メッセージ（フォールバック時に送り直す）
+
+  function send(msg, transfer = []) {
+    if (worker) worker.postMessage(msg, transfer);
+    else host?.handle(msg);
+  }
+
+  function receive(msg) {
+    const p = pending.get(msg.seq);
+    if (!p) return;
+    pending.delete(msg.seq);
+    const { proc } = p;
+    const result = msg.rgb ? { t: msg.t, rgb: msg.rgb, n: msg.n } : null;
+    if (result) {
+      proc.sampleCount = msg.sampleCount;
+      proc.fps = msg.fps;
+      proc.rejectedBeats = msg.rejectedBeats;
+      for (const [type, payload] of msg.events) proc.emit(type, payload);
+      if (msg.status) {
+        proc.waveform = msg.status.waveform;
+        proc.lastSampleT = msg.status.waveformEndT;
+        proc.rois = msg.status.rois;
+        proc.emit('status', msg.status);
+      }
+    }
+    p.done?.(result);
+    p.resolve(result);
+  }
+
+  function useMainThread(reason) {
+    if (worker) worker.terminate();
+    worker = null;
+    host = createPipelineHost((msg) => receive(msg));
+    console.warn(`⚠️ Web Worker を使わずメインスレッドで処理します: ${reason}`);
+    // 処理中だったフレームは戻ってこないので捨てる
+    dropPending();
+    if (current) host.handle(current);
+  }
+
+  function dropPending() {
+    for (const [key, p] of pending) { pending.delete(key); p.done?.(null); p.resolve(null); }
+  }
+
+  if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function') {
+    try {
+      worker = new Worker(new URL('./rppgWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (e) => receive(e.data);
+      worker.onerror = (e) => { e.preventDefault?.(); useMainThread(e.message || 'ワーカーの読み込みに失敗'); };
+      console.log('🧵 信号処理を Web Worker で実行');
+    } catch (e) {
+      useMainThread(e.message);
+    }
+  } else {
+    useMainThread('Worker / OffscreenCanvas に未対応');
+  }
+
+  function enqueue(proc, msg, transfer, done) {
+    return new Promise((resolve) => {
+      // terminate() のあとは処理しない
+      if (!worker && !host) { done?.(null); resolve(null); return; }
+      const key = ++seq;
+      pending.set(key, { proc, done, resolve });
+      send({ ...msg, type: 'frame', id: proc.id, seq: key }, transfer);
+    });
+  }
+
+  function createProcessor(options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const listeners = {};
+    const proc = {
+      id: nextId++,
+      options: opts,
+      fps: opts.fs,
+      sampleCount: 0,
+      rejectedBeats: 0,
+      rois: opts.rois.map((name) => ({ name, snr: null, weight: 1 / opts.rois.length })),
+      waveform: [],
+      lastSampleT: null, // waveform の最後のサンプルの時刻
+      get method() { return opts.method; },
+      get sampleRate() { return opts.fs; },
+      on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return () => { listeners[type] = listeners[type].filter((f) => f !== fn); };
+      },
+      emit(type, payload) {
+        for (const fn of listeners[type] || []) fn(payload);
+      },
+      push(t, rgb, motion, done) {
+        return enqueue(proc, { t, rgb, motion }, [], done);
+      },
+      // source: capture() の戻り値（ImageBitmap は転送するので以後使えない）
+      pushFrame(t, source, { boxes, mirror = false, motion, debug = false }, done) {
+        return enqueue(proc, { t, source, boxes, mirror, motion, debug }, worker && source instanceof ImageBitmap ? [source] : [], done);
+      },
+      setSampleRate(fs) {
+        if (fs === opts.fs) return;
+        opts.fs = fs;
+        send({ type: 'set', id: proc.id, fs, hrvWindowSec: opts.hrvWindowSec });
+      },
+      setHrvWindow(sec) {
+        if (sec === opts.hrvWindowSec) return;
+        opts.hrvWindowSec = sec;
+        send({ type: 'set', id: proc.id, fs: opts.fs, hrvWindowSec: sec });
+      },
+      getWaveform(windowSec = opts.hrWindowSec) {
+        return proc.waveform.slice(-Math.round(windowSec * opts.fs));
+      },
+    };
+    current = { type: 'create', id: proc.id, options: opts };
+    send(current);
+    return proc;
+  }
+
+  return {
+    createProcessor,
+    // 映像の今のフレーム。ワーカーへは ImageBitmap で渡し、メインスレッドで処理するときは要素のまま描く
+    capture(video) {
+      return worker ? createImageBitmap(video) : Promise.resolve(video);
+    },
+    get inFlight() { return pending.size; },
+    get usesWorker() { return !!worker; },
+    terminate() {
+      worker?.terminate();
+      worker = null;
+      host = null;
+      dropPending();
+    },
+  };
+}
@@ -0,0 +1,131 @@
+import { createRppgProcessor } from "./processor.js";
+import { parseSession, createMotionReplay } from "./replay.js";
+import { SESSION_FORMAT } from "./recorder.js";
+import { compareHr, agreementStats, REFERENCE_DEFAULTS } from "./reference.js";
+
+// 公開データセットでのベンチマーク（scripts/benchmark.mjs から使う。ファイルの読み書きはしない）
+// - parseUbfcGroundTruth(): UBFC-rPPG の ground_truth.txt（3行: PPG / HR / 時刻[秒]）と
+//                           DATASET_1 の gtdump.xmp（1行ごと 時刻[ms],HR,SpO2,PPG）
+// - parsePureGroundTruth(): PURE の JSON（"/FullPackage" の pulseRate、時刻は "/Image" の最初のフレーム基準）
+// - parseRgbTrace():        事前に抽出したフレームごとのRGB平均（セッションJSON、記録の frames CSV、t,r,g,b のCSV）
+// - evaluateSubject():      トレースをプロセッサに流し、1秒ごとのHRを正解HR（同じ窓で平均）と比べる
+// - summarizeBenchmark():   全被験者をまとめた MAE / RMSE / r（全秒をまとめた値と、被験者ごとのMAEの平均）
+// 正解とトレースの時刻はどちらも最初のフレームを0秒とする。
+
+// 戻り値 { hr: [{ t, bpm }] }
+export function parseUbfcGroundTruth(text) {
+  const lines = text.trim().split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines[0].includes(",")) {
+    // DATASET_1 (gtdump.xmp)
+    const rows = lines.map((l) => l.split(",").map(Number)).filter((r) => r.length >= 2 && r.every(Number.isFinite));
+    if (!rows.length) throw new Error("gtdump.xmp の形式ではありません");
+    const t0 = rows[0][0];
+    return { hr: rows.filter((r) => r[1] > 0).map((r) => ({ t: (r[0] - t0) / 1000, bpm: r[1] })) };
+  }
+  const rows = lines.map((l) => l.split(/\s+/).map(Number));
+  if (rows.length < 3 || rows[1].length !== rows[2].length) throw new Error("ground_truth.txt の形式ではありません（PPG / HR / 時刻 の3行）");
+  const [, hr, ts] = rows;
+  return { hr: hr.map((bpm, i) => ({ t: ts[i] - ts[0], bpm })).filter((h) => Number.isFinite(h.bpm) && h.bpm > 0) };
+}
+
+// 戻り値 { hr: [{ t, bpm }] }（時刻は ns → 秒）
+export function parsePureGroundTruth(input) {
+  const json = typeof input === "string" ? JSON.parse(input) : input;
+  const pkg = json["/FullPackage"];
+  if (!Array.isArray(pkg)) throw new Error("PURE のJSONではありません（/FullPackage がない）");
+  const t0 = json["/Image"]?.[0]?.Timestamp ?? pkg[0].Timestamp;
+  return {
+    hr: pkg
+      .filter((p) => p.Value?.pulseRate > 0)
+      .map((p) => ({ t: (p.Timestamp - t0) / 1e9, bpm: p.Value.pulseRate })),
+  };
+}
+
+// 戻り値 { roiNames, frames: [{ t, rgb: { name: [R,G,B] }, motion, moving }] }
+export function parseRgbTrace(text) {
+  const head = text.trimStart();
+  if (head.startsWith("{")) {
+    const json = JSON.parse(head);
+    if (json.format !== SESSION_FORMAT) throw new Error("セッション記録のJSONではありません");
+    const { roiNames, frames } = parseSession(json);
+    return { roiNames, frames };
+  }
+  const lines = head.trim().split(/\r?\n/);
+  const header = lines[0].split(",").map((h) => h.trim());
+  const tCol = header.findIndex((h) => /^(t|t_sec|time|timestamp)/i.test(h));
+  if (tCol < 0) throw new Error("時刻の列（t_sec / time）がありません");
+  const scale = /\bns\b|_ns$/i.test(header[tCol]) ? 1e-9 : /\bms\b|_ms$/i.test(header[tCol]) ? 1e-3 : 1;
+  // ROIごとの列（<name>_r, <name>_g, <name>_b）か、r, g, b の3列（額として扱う）
+  const rois = {};
+  header.forEach((h, i) => {
+    const m = /^(?:(\w+?)_)?(r|g|b|red|green|blue)$/i.exec(h);
+    if (!m) return;
+    const name = m[1] ?? "forehead";
+    (rois[name] = rois[name] || {})[m[2][0].toLowerCase()] = i;
+  });
+  const roiNames = Object.keys(rois).filter((n) => ["r", "g", "b"].every((c) => rois[n][c] != null));
+  if (!roiNames.length) throw new Error("RGBの列（r,g,b または <ROI>_r,<ROI>_g,<ROI>_b）がありません");
+  const motionCol = header.indexOf("motion_score");
+  const movingCol = header.indexOf("moving");
+
+  const frames = [];
+  let t0 = null;
+  for (const line of lines.slice(1)) {
+    const c = line.split(",");
+    const t = Number(c[tCol]) * scale;
+    if (!Number.isFinite(t)) continue;
+    const rgb = {};
+    for (const name of roiNames) {
+      const cells = ["r", "g", "b"].map((k) => c[rois[name][k]]);
+      if (cells.every((x) => x != null && x !== "" && Number.isFinite(Number(x)))) rgb[name] = cells.map(Number);
+    }
+    if (!Object.keys(rgb).length) continue;
+    if (t0 == null) t0 = t;
+    const motion = motionCol >= 0 && c[motionCol] !== "" ? Number(c[motionCol]) : null;
+    const moving = movingCol >= 0 && c[movingCol] !== "" ? c[movingCol] === "1" : null;
+    frames.push({ t: t - t0, rgb, motion, moving });
+  }
+  if (frames.length < 2) throw new Error("フレームが2つ未満です");
+  return { roiNames, frames };
+}
+
+// trace: parseRgbTrace() の戻り値, gt: { hr: [{ t, bpm }] }
+// 戻り値 { frames, durationSec, all: { pairs, stats }, gated: { pairs, stats } }（gated は品質ゲートを通った秒だけ）
+export function evaluateSubject(trace, gt, { options = {}, hrWindowSec = REFERENCE_DEFAULTS.hrWindowSec } = {}) {
+  const proc = createRppgProcessor({ rois: trace.roiNames, ...options });
+  let hr = null, sqiOk = false;
+  proc.on("hr", ({ bpm }) => { hr = bpm; });
+  proc.on("sqi", ({ ok }) => { sqiOk = ok; });
+
+  const metrics = [];
+  const motion = createMotionReplay();
+  let nextMark = 1;
+  for (const f of trace.frames) {
+    proc.push(f.t, f.rgb, motion.update(f.t, f.motion, f.moving));
+    while (f.t >= nextMark) {
+      metrics.push({ t: nextMark, hr, sqiOk });
+      nextMark += 1;
+    }
+  }
+  const session = { metrics };
+  const ref = { kind: "hr", beats: [], hr: gt.hr };
+  return {
+    frames: trace.frames.length,
+    durationSec: trace.frames[trace.frames.length - 1].t,
+    all: compareHr(session, ref, { hrWindowSec, qualityOnly: false }),
+    gated: compareHr(session, ref, { hrWindowSec, qualityOnly: true }),
+  };
+}
+
+// results: [{ subject, all, gated, ... }]
+export function summarizeBenchmark(results) {
+  const pooled = (key) => {
+    const pairs = results.flatMap((r) => r[key].pairs);
+    const maes = results.map((r) => r[key].stats.mae).filter((v) => v != null);
+    return {
+      ...agreementStats(pairs.map((p) => p.est), pairs.map((p) => p.ref)),
+      subjectMae: maes.length ? maes.reduce((s, v) => s + v, 0) / maes.length : null,
+    };
+  };
+  return { subjects: results.length, all: pooled("all"), gated: pooled("gated") };
+}
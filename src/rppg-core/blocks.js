@@ -0,0 +1,83 @@
+import { FOCUS_STATES } from "./focus.js";
+
+// 作業/休憩ブロック（ポモドーロ）
+// - summarizeBlock():   ブロック中の1秒ごとの指標から、平均集中度・ベースラインとのHR/RMSSDの差・品質のカバー率・状態ごとの時間
+// - createStrainWatch(): 作業中に「緊張」が続いた時間を数え、strainBreakSec を超えたら早めの休憩を勧める
+// - blocksByDay():      保存したブロックをローカル時刻の日ごとにまとめる（日ごとのタイムライン用）
+// タイマー自体（壁時計）は呼び出し側が持つ。
+
+export const BLOCK_DEFAULTS = {
+  workMin: 25,          // 作業ブロックの長さ（分）
+  breakMin: 5,          // 休憩ブロックの長さ（分）
+  strainBreakMin: 5,    // 作業中に緊張がこれだけ続いたら休憩を勧める（分）
+};
+
+export const BLOCK_KINDS = ["work", "break"];
+
+// 途中で終えた理由
+export const BLOCK_END_REASONS = ["strain", "skip", "stop"];
+
+// rows: ブロック中の1秒ごとの { hr, rmssd, focus, focusState, sqiOk }
+// durationSec: ブロックの実際の長さ（計測していない時間はカバーされていない扱い）
+// baseline: プロファイルのベースライン（{ hr: { mean }, rmssd: { mean } }。なければ差は null）
+export function summarizeBlock(rows, durationSec, baseline = null) {
+  const ok = rows.filter((r) => r.sqiOk);
+  const meanHr = meanOf(ok, "hr");
+  const meanRmssd = meanOf(ok, "rmssd");
+  const stateSec = Object.fromEntries(FOCUS_STATES.map((s) => [s, 0]));
+  for (const r of ok) if (r.focusState in stateSec) stateSec[r.focusState] += 1;
+  const top = FOCUS_STATES.reduce((best, s) => (stateSec[s] > (stateSec[best] ?? 0) ? s : best), null);
+  return {
+    durationSec: Math.round(durationSec),
+    meanFocus: meanOf(ok, "focus"),
+    meanHr,
+    meanRmssd,
+    hrDelta: meanHr != null && baseline?.hr ? round(meanHr - baseline.hr.mean, 1) : null,
+    rmssdDelta: meanRmssd != null && baseline?.rmssd ? round(meanRmssd - baseline.rmssd.mean, 1) : null,
+    qualityCoverage: durationSec > 0 ? round(Math.min(1, ok.length / durationSec), 3) : null,
+    stateSec,
+    dominantState: top,
+  };
+}
+
+// update(t, state) → { strainedSec, suggestBreak }。緊張以外の状態になったら数え直す
+export function createStrainWatch({ strainBreakSec = BLOCK_DEFAULTS.strainBreakMin * 60 } = {}) {
+  let since = null;
+  return {
+    update(t, state) {
+      if (state !== "strained") since = null;
+      else if (since == null) since = t;
+      const strainedSec = since == null ? 0 : t - since;
+      return { strainedSec, suggestBreak: strainedSec >= strainBreakSec };
+    },
+    reset() { since = null; },
+  };
+}
+
+// blocks: [{ startedAt, ... }] → [{ key, start, blocks }]（新しい日が先、日の中は古い順）
+export function blocksByDay(blocks) {
+  const groups = new Map();
+  for (const b of blocks) {
+    const d = new Date(b.startedAt);
+    const key = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(b);
+  }
+  return [...groups.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([key, list]) => ({
+      key,
+      start: new Date(key),
+      blocks: list.sort((a, b) => (a.startedAt < b.startedAt ? -1 : 1)),
+    }));
+}
+
+function meanOf(rows, key) {
+  const vals = rows.map((r) => r[key]).filter((v) => v != null && Number.isFinite(v));
+  return vals.length ? round(vals.reduce((s, v) => s + v, 0) / vals.length, 1) : null;
+}
+
+function round(v, digits) {
+  const k = 10 ** digits;
+  return Math.round(v * k) / k;
+}
@@ -0,0 +1,99 @@
+// ベースラインのキャリブレーション（座位安静 2〜5分）
+// 1秒ごとの品質判定つきHR（sample）と、HRV更新（hrv）を集め、品質ゲートを通った値だけで
+// HR と各HRV指標の平均・標準偏差を出す。品質の良い時間が足りなければ失敗とし、理由を返す。
+// HRVの更新は拍ごとに直近 windowSec 秒の窓で計算され、隣どうしの値はほぼ同じ拍から出ている。
+// そのため平均は全更新で取り、SD は窓が重ならない更新（前に採った更新から windowSec 秒以上あと）だけで取る。
+// 重ならない窓が2つ未満なら SD は null（2分の安静・1分窓なら2〜3窓なので、SD はおおよその目安）。
+// 時刻はプロセッサの時刻（秒）。最初の sample を開始時刻とする。
+
+export const CALIBRATION_DEFAULTS = {
+  durationSec: 180,       // 安静の長さ（2〜5分）
+  minQualityRatio: 0.7,   // 品質ゲートを通った秒の割合の下限
+  minHrSamples: 60,       // HRの有効な秒数の下限
+  minHrvSamples: 30,      // HRV更新（拍ごと）の有効な数の下限
+  hrvWindowSec: 60,       // HRVの窓（hrv() に渡す値に windowSec が無いとき）
+};
+
+export const CALIBRATION_DURATIONS = [120, 180, 240, 300];
+
+// ベースラインに含める指標（hr は bpm、それ以外は computeHrv の値）
+export const BASELINE_METRICS = ["hr", "meanNN", "rmssd", "sdnn", "pnn50", "sd1", "sd2", "lfhf"];
+
+export const CALIBRATION_REASONS = ["lowQuality", "fewHr", "fewHrv"];
+
+export function createCalibration(options = {}) {
+  const opts = { ...CALIBRATION_DEFAULTS, ...options };
+  let t0 = null, lastT = null;
+  let seconds = 0, okSeconds = 0;
+  const values = Object.fromEntries(BASELINE_METRICS.map((k) => [k, []]));
+  const windows = Object.fromEntries(BASELINE_METRICS.map((k) => [k, []])); // 重ならない窓の値（SD用）
+  let lastWindowT = -Infinity;
+
+  // 1秒ごと: hr（null可）と、その秒が品質ゲートを通ったか
+  function sample(t, { hr, sqiOk }) {
+    if (t0 == null) t0 = t;
+    if (t - t0 > opts.durationSec) return;
+    lastT = t;
+    seconds++;
+    if (!sqiOk) return;
+    okSeconds++;
+    if (hr != null && Number.isFinite(hr)) values.hr.push(hr);
+  }
+
+  // HRV更新ごと（computeHrv の結果、プロセッサの hrv イベントなら windowSec つき）。品質ゲート中は使わない
+  function hrv(t, h, sqiOk) {
+    if (t0 == null || t - t0 > opts.durationSec || !sqiOk || !h) return;
+    const independent = t - lastWindowT >= (h.windowSec ?? opts.hrvWindowSec);
+    if (independent) lastWindowT = t;
+    for (const k of BASELINE_METRICS) {
+      if (k === "hr" || h[k] == null || !Number.isFinite(h[k])) continue;
+      values[k].push(h[k]);
+      if (independent) windows[k].push(h[k]);
+    }
+  }
+
+  function status() {
+    const elapsedSec = t0 == null ? 0 : lastT - t0;
+    return {
+      elapsedSec,
+      remainingSec: Math.max(0, opts.durationSec - elapsedSec),
+      qualityRatio: seconds ? okSeconds / seconds : null,
+      hrSamples: values.hr.length,
+      hrvSamples: values.rmssd.length,
+      done: elapsedSec >= opts.durationSec,
+    };
+  }
+
+  // 戻り値 { ok, reasons, baseline }。baseline = { createdAt, durationSec, qualityRatio, hr: { mean, sd, n }, rmssd: { mean, sd, n, windows }, ... }
+  function finish() {
+    const s = status();
+    const reasons = [];
+    if (!(s.qualityRatio >= opts.minQualityRatio)) reasons.push("lowQuality");
+    if (s.hrSamples < opts.minHrSamples) reasons.push("fewHr");
+    if (s.hrvSamples < opts.minHrvSamples) reasons.push("fewHrv");
+    const baseline = {
+      createdAt: new Date().toISOString(),
+      durationSec: Math.round(s.elapsedSec),
+      qualityRatio: s.qualityRatio,
+    };
+    for (const k of BASELINE_METRICS) {
+      const m = meanSd(values[k]);
+      if (m && k !== "hr") {
+        const w = meanSd(windows[k]);
+        m.sd = w && w.n > 1 ? w.sd : null;
+        m.windows = w?.n ?? 0;
+      }
+      baseline[k] = m;
+    }
+    return { ok: reasons.length === 0, reasons, baseline };
+  }
+
+  return { options: opts, sample, hrv, status, finish };
+}
+
+function meanSd(a) {
+  if (!a.length) return null;
+  const mean = a.reduce((s, v) => s + v, 0) / a.length;
+  const sd = a.length > 1 ? Math.sqrt(a.reduce((s, v) => s + (v - mean) ** 2, 0) / (a.length - 1)) : 0;
+  return { mean, sd, n: a.length };
+}
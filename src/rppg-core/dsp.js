@@ -0,0 +1,86 @@
+// 汎用DSPヘルパー（DOM/React非依存）
+
+export function movingAverageTail(arr, win) {
+  if (arr.length === 0) return 0;
+  const n = Math.min(win, arr.length);
+  let s = 0;
+  for (let i = arr.length - n; i < arr.length; i++) s += arr[i];
+  return s / n;
+}
+
+// 直近 windowSec 秒の区間と、その区間の実効サンプリング周波数
+export function getLatestSegment(sig, t, windowSec) {
+  if (sig.length === 0 || t.length === 0) return { segment: [], fsUsed: 30 };
+  const tmax = t[t.length - 1];
+  let i0 = 0;
+  for (let i = t.length - 1; i >= 0; i--) {
+    if (t[i] < tmax - windowSec) { i0 = i + 1; break; }
+  }
+  const segment = sig.slice(i0);
+  const dt = (t[t.length - 1] - t[i0]) / Math.max(1, (t.length - 1 - i0));
+  const fsUsed = dt > 0 ? Math.min(90, Math.max(10, 1 / dt)) : 30;
+  return { segment, fsUsed };
+}
+
+export function goertzelSpectrum(x, fs, band, bins = 120) {
+  const [f0, f1] = band;
+  const freqs = [];
+  const powers = [];
+  for (let i = 0; i < bins; i++) {
+    const f = f0 + (f1 - f0) * (i / (bins - 1));
+    const w = 2 * Math.PI * f / fs;
+    let s_prev = 0, s_prev2 = 0;
+    const coeff = 2 * Math.cos(w);
+    for (let n = 0; n < x.length; n++) {
+      const s = x[n] + coeff * s_prev - s_prev2;
+      s_prev2 = s_prev;
+      s_prev = s;
+    }
+    const real = s_prev - s_prev2 * Math.cos(w);
+    const imag = s_prev2 * Math.sin(w);
+    const power = real * real + imag * imag;
+    freqs.push(f);
+    powers.push(power);
+  }
+  return { freqs, powers };
+}
+
+export function argmax(a) { let m = 0; for (let i=1;i<a.length;i++) if (a[i] > a[m]) m=i; return m; }
+export function median(a) { const b=[...a].sort((x,y)=>x-y); const n=b.length; return n? (n%2? b[(n-1)/2] : 0.5*(b[n/2-1]+b[n/2])):0; }
+
+// スペクトルピークのビン間補間（ガウス補間 = 対数パワーへの放物線当てはめ）
+// k: ピークのビン番号。戻り値は補間後の周波数
+export function interpolatePeak(freqs, powers, k) {
+  if (k <= 0 || k >= powers.length - 1) return freqs[k];
+  const eps = 1e-300;
+  const a = Math.log(powers[k - 1] + eps), b = Math.log(powers[k] + eps), c = Math.log(powers[k + 1] + eps);
+  const den = a - 2 * b + c;
+  if (!(den < 0)) return freqs[k]; // 対数パワーが上に凸でなければ補間しない（k が極大かどうかは見ない）
+  const delta = Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / den));
+  return freqs[k] + delta * (freqs[k + 1] - freqs[k]);
+}
+
+// IIR biquads (RBJ cookbook)
+export function makeBiquadLP(fs, fc) {
+  const Q = Math.SQRT1_2; return biquad(fs, fc, Q, 'lp');
+}
+export function makeBiquadHP(fs, fc) {
+  const Q = Math.SQRT1_2; return biquad(fs, fc, Q, 'hp');
+}
+function biquad(fs, fc, Q, type){
+  const w0 = 2*Math.PI*fc/fs;
+  const cosw0 = Math.cos(w0);
+  const sinw0 = Math.sin(w0);
+  const alpha = sinw0/(2*Q);
+  let b0=0,b1=0,b2=0,a0=1,a1=0,a2=0;
+  if (type==='lp'){
+    b0 = (1 - cosw0)/2; b1 = 1 - cosw0; b2 = (1 - cosw0)/2;
+    a0 = 1 + alpha; a1 = -2*cosw0; a2 = 1 - alpha;
+  } else {
+    b0 = (1 + cosw0)/2; b1 = -(1 + cosw0); b2 = (1 + cosw0)/2;
+    a0 = 1 + alpha; a1 = -2*cosw0; a2 = 1 - alpha;
+  }
+  const bz0=b0/a0, bz1=b1/a0, bz2=b2/a0, az1=a1/a0, az2=a2/a0;
+  let x1=0,x2=0,y1=0,y2=0;
+  return { step(x){ const y = bz0*x + bz1*x1 + bz2*x2 - az1*y1 - az2*y2; x2=x1; x1=x; y2=y1; y1=y; return y; } };
+}
@@ -0,0 +1,135 @@
+import { SQI_THRESHOLDS } from "./sqi.js";
+
+// 集中度・ストレス状態のモデル（試行的な指標）
+// 1. z値:   HR と RMSSD を、プロファイルのベースライン（キャリブレーションの平均・SD）で標準化する
+//           （ベースライン未設定なら FOCUS_BASELINE。SD は minSd で下限を切る）
+// 2. スコア: FOCUS_MODELS のモデルで z値 → 0〜100（50 がベースライン相当）
+// 3. 平滑化: z値を時定数 smoothingSec の指数平滑で均す。1回ぶんの重みに品質の重み（0〜1）を掛けるので、
+//           品質ゲート中は値が動かず、品質の良い秒ほど早く追従する
+// 4. 状態:   relaxed / focused / strained / fatigued。閾値を hysteresis だけ越えた状態が minDwellSec 続いたら切り替える
+// ライブ計測とセッション再生の両方で同じモデルを使う。
+
+export const FOCUS_BASELINE = { hr: { mean: 70, sd: 7 }, rmssd: { mean: 40, sd: 10 } }; // ベースライン未設定のときの既定値
+
+// z値 { hrZ, rmssdZ }（HR↑ で hrZ > 0、RMSSD↓ で rmssdZ < 0）→ スコア
+export const FOCUS_MODELS = {
+  // 交感神経優位（HR↑ かつ RMSSD↓）ほど高い
+  arousal: (z, p) => 50 + p.pointsPerSd * (p.hrWeight * z.hrZ - p.rmssdWeight * z.rmssdZ),
+  // RMSSDだけ（カフェインや姿勢でHRが動きやすいとき）
+  vagal: (z, p) => 50 - p.pointsPerSd * z.rmssdZ,
+};
+
+export const FOCUS_STATES = ["relaxed", "focused", "strained", "fatigued"];
+
+export const FOCUS_MODEL_DEFAULTS = {
+  model: "arousal",
+  hrWeight: 0.4,
+  rmssdWeight: 0.6,
+  pointsPerSd: 20,               // z値 1 あたりのスコア
+  minSd: { hr: 2, rmssd: 5 },    // ベースラインのSDの下限（短いキャリブレーションでSDが小さすぎるとき）
+  smoothingSec: 30,              // 指数平滑の時定数
+};
+
+// 状態の閾値（スコアは 0〜100、z値はベースラインのSD単位）
+export const FOCUS_STATE_THRESHOLDS = {
+  relaxedBelow: 40,     // スコアがこれ未満 → relaxed
+  strainedAbove: 70,    // スコアがこれ以上 → strained（その間が focused）
+  fatigueHrZ: 0,        // HRがベースライン以下で
+  fatigueRmssdZ: -1,    // かつ RMSSD がベースラインより 1SD 以上低い → fatigued（スコアより優先）
+  hysteresis: 5,        // 状態を変えるときに閾値を越えなければならない幅（スコア。z値は pointsPerSd で割った幅）
+  minDwellSec: 15,      // 新しい状態がこれだけ続いたら切り替える
+};
+
+// 1秒ごとのSQI（"sqi" イベント）→ 平滑化の重み。品質ゲート中は 0、SNR が下限から 6dB 上で 1
+export function focusQualityWeight(sqi) {
+  if (!sqi?.ok || sqi.snrDb == null) return 0;
+  const snrW = Math.max(0, Math.min(1, 0.5 + (sqi.snrDb - SQI_THRESHOLDS.minSnrDb) / 12));
+  return snrW * (sqi.usable ?? 1);
+}
+
+// baseline: キャリブレーションの { hr: { mean, sd }, rmssd: { mean, sd } }（null の項目は既定値）
+export function focusZScores({ hr, rmssd }, baseline, minSd = FOCUS_MODEL_DEFAULTS.minSd) {
+  const hrB = baseline?.hr ?? FOCUS_BASELINE.hr;
+  const rmB = baseline?.rmssd ?? FOCUS_BASELINE.rmssd;
+  return {
+    hrZ: (hr - hrB.mean) / Math.max(minSd.hr, hrB.sd),
+    rmssdZ: (rmssd - rmB.mean) / Math.max(minSd.rmssd, rmB.sd),
+  };
+}
+
+// 戻り値 { options, update(t, { hr, rmssd, quality }), reset(), current }
+// current: { t, score, rawScore, state, hrZ, rmssdZ, rawHrZ, rawRmssdZ, weight }（最初の有効な更新までは null）
+export function createFocusModel(options = {}) {
+  const opts = {
+    ...FOCUS_MODEL_DEFAULTS,
+    ...options,
+    thresholds: { ...FOCUS_STATE_THRESHOLDS, ...options.thresholds },
+  };
+  const score = FOCUS_MODELS[opts.model];
+  if (!score) throw new Error(`unknown focus model: ${opts.model}`);
+  let lastT = null, z = null, state = null, pending = null;
+  const model = { options: opts, current: null, update, reset };
+
+  function update(t, { hr, rmssd, quality = 1 }) {
+    const dt = lastT == null ? 0 : t - lastT;
+    lastT = t;
+    if (hr == null || rmssd == null || !(quality > 0)) return model.current;
+    const raw = focusZScores({ hr, rmssd }, opts.baseline, opts.minSd);
+    if (!z) {
+      z = { ...raw };
+    } else {
+      const a = (1 - Math.exp(-dt / opts.smoothingSec)) * Math.min(1, quality);
+      z.hrZ += a * (raw.hrZ - z.hrZ);
+      z.rmssdZ += a * (raw.rmssdZ - z.rmssdZ);
+    }
+    const s = clampScore(score(z, opts));
+    updateState(t, s);
+    model.current = {
+      t,
+      score: Math.round(s),
+      rawScore: Math.round(clampScore(score(raw, opts))),
+      state,
+      hrZ: z.hrZ,
+      rmssdZ: z.rmssdZ,
+      rawHrZ: raw.hrZ,
+      rawRmssdZ: raw.rmssdZ,
+      weight: quality,
+    };
+    return model.current;
+  }
+
+  // 閾値どおりの状態が今と違い、hysteresis ぶん越えても同じ状態なら候補にし、minDwellSec 続いたら切り替える
+  function updateState(t, s) {
+    const nominal = classifyFocusState(s, z, opts.thresholds, 0, opts.pointsPerSd);
+    if (state == null) state = nominal;
+    if (nominal === state) { pending = null; return; }
+    const strict = classifyFocusState(s, z, opts.thresholds, opts.thresholds.hysteresis, opts.pointsPerSd);
+    if (strict !== nominal) { pending = null; return; }
+    if (pending?.state !== nominal) pending = { state: nominal, since: t };
+    if (t - pending.since >= opts.thresholds.minDwellSec) {
+      state = nominal;
+      pending = null;
+    }
+  }
+
+  function reset() {
+    lastT = null; z = null; state = null; pending = null;
+    model.current = null;
+  }
+
+  return model;
+}
+
+// margin > 0 なら各閾値をその幅だけ越えていることを求める（どれも満たさなければ null）
+export function classifyFocusState(score, { hrZ, rmssdZ }, thr = FOCUS_STATE_THRESHOLDS, margin = 0, pointsPerSd = FOCUS_MODEL_DEFAULTS.pointsPerSd) {
+  const zm = margin / pointsPerSd;
+  if (hrZ <= thr.fatigueHrZ - zm && rmssdZ <= thr.fatigueRmssdZ - zm) return "fatigued";
+  if (score >= thr.strainedAbove + margin) return "strained";
+  if (score < thr.relaxedBelow - margin) return "relaxed";
+  if (score >= thr.relaxedBelow + margin && score < thr.strainedAbove - margin) return "focused";
+  return null;
+}
+
+function clampScore(s) {
+  return Math.max(0, Math.min(100, s));
+}
@@ -0,0 +1,94 @@
+import { argmax, interpolatePeak } from "./dsp.js";
+
+// 心拍数のトラッキング（スペクトログラム上のオンラインViterbi）
+// 各フレームのスペクトル（同じ周波数ビン）を観測、ビン間の遷移を
+// 「心拍はフレーム間で大きく跳ばない」というガウス型のペナルティとし、
+// 最尤経路の現在の終点を追跡値とする（因果的なので遅延なし）。
+// 一時的な倍音・雑音ピークは跳ぶコストに見合わず無視され、持続する変化には数フレームで追従する。
+// 遷移ペナルティには上限を設け、最初に誤ったピークへロックしても持続する正しいピークへ乗り換えられるようにする。
+
+export const HR_TRACKER_DEFAULTS = {
+  hopSec: 1.0,          // フレーム間隔（これより短い間隔の update は無視）
+  sigmaBpmPerSec: 6,    // 1秒あたりに許容する心拍変化の目安（遷移ペナルティの標準偏差）
+  maxJumpPenalty: 8,    // 遷移ペナルティの上限（対数尤度）。持続する別ピークへ乗り換えるのに要するフレーム数を決める
+  emissionFloor: 1e-3,  // 観測確率の下限（正規化パワーに足す）。雑音だけの帯域で経路が暴れないように
+  maxGapSec: 10,        // これ以上空いたら経路を捨てて取り直す
+};
+
+export function createHrTracker(options = {}) {
+  const opts = { ...HR_TRACKER_DEFAULTS, ...options };
+  let score = null; // ビンごとの対数尤度（最大値が0になるよう正規化）
+  let freqs = null;
+  let lastT = null;
+  let current = null;
+
+  function reset() {
+    score = null;
+    freqs = null;
+    lastT = null;
+    current = null;
+  }
+
+  // spec: goertzelSpectrum の戻り値 { freqs, powers }。戻り値 { bpm, raw, confidence } | null
+  function update(t, spec) {
+    if (lastT != null && t - lastT < opts.hopSec) return current;
+    if (lastT != null && t - lastT > opts.maxGapSec) reset();
+    // 周波数ビンが変わった（帯域・ビン数の変更）ら、経路のビンの意味が変わるので取り直す
+    if (freqs && !sameGrid(freqs, spec.freqs)) reset();
+
+    const total = spec.powers.reduce((s, p) => s + p, 0);
+    if (!(total > 0)) return current;
+    const emit = spec.powers.map((p) => Math.log(p / total + opts.emissionFloor));
+
+    if (!score) {
+      score = emit.slice();
+    } else {
+      const sigma = opts.sigmaBpmPerSec * Math.max(opts.hopSec, t - lastT);
+      const bpm = freqs.map((f) => f * 60);
+      const next = new Array(emit.length);
+      for (let j = 0; j < emit.length; j++) {
+        let best = -Infinity;
+        for (let i = 0; i < score.length; i++) {
+          const d = (bpm[j] - bpm[i]) / sigma;
+          const v = score[i] - Math.min(0.5 * d * d, opts.maxJumpPenalty);
+          if (v > best) best = v;
+        }
+        next[j] = best + emit[j];
+      }
+      score = next;
+    }
+    const m = Math.max(...score);
+    score = score.map((v) => v - m);
+    freqs = spec.freqs;
+    lastT = t;
+
+    // 追跡したビンがスペクトルの極大ならビン間補間する
+    const k = argmax(score);
+    const kRaw = argmax(spec.powers);
+    const p = spec.powers;
+    const isMax = k > 0 && k < p.length - 1 && p[k] >= p[k - 1] && p[k] >= p[k + 1];
+    current = {
+      bpm: (isMax ? interpolatePeak(spec.freqs, p, k) : spec.freqs[k]) * 60,
+      raw: interpolatePeak(spec.freqs, spec.powers, kRaw) * 60,
+      confidence: spec.powers[k] / spec.powers[kRaw], // 生のピークに対する追跡ビンのパワー比（1なら一致）
+    };
+    return current;
+  }
+
+  return {
+    options: opts,
+    update,
+    reset,
+    get current() { return current; },
+  };
+}
+
+// ビン数・両端・間隔が同じなら同じ周波数ビン
+function sameGrid(a, b) {
+  const n = a.length;
+  if (n !== b.length) return false;
+  if (n === 0) return true;
+  const tol = 1e-9 * Math.max(1, Math.abs(a[n - 1]));
+  const step = (f) => (n > 1 ? f[1] - f[0] : 0);
+  return Math.abs(a[0] - b[0]) <= tol && Math.abs(a[n - 1] - b[n - 1]) <= tol && Math.abs(step(a) - step(b)) <= tol;
+}
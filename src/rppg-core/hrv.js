@@ -0,0 +1,129 @@
+// HRV指標（時間領域・周波数領域・非線形）
+// 入力は拍ごとの { t: 拍の時刻[秒], ibi: 直前の拍からの間隔[秒], gapBefore?: 直前に除外した拍がある }。
+// 連続する拍の差（RMSSD・pNN50・SD1）は、除外した拍や範囲外のIBIをまたいで取らない。
+// 周波数領域は不等間隔なIBI系列をそのまま Lomb-Scargle で推定する（補間・再標本化なし）。
+
+export const HRV_WINDOWS = [60, 120, 300]; // 1, 2, 5 分
+
+// 周波数帯 (Hz) — Task Force 1996
+export const HRV_BANDS = {
+  vlf: [0.0033, 0.04],
+  lf: [0.04, 0.15],
+  hf: [0.15, 0.4],
+};
+
+// 帯域パワーを出すのに必要な最小の窓長（秒）
+const MIN_SPAN_LF_HF = 50;   // LF下限 0.04Hz の2周期
+const MIN_SPAN_VLF = 240;    // VLF は5分窓が前提
+
+// RMSSD (ms)
+export function computeRMSSD(ibisSec) {
+  if (ibisSec.length < 3) return NaN;
+  const rrMs = ibisSec.map(s=>s*1000);
+  const diffs = [];
+  for (let i=1;i<rrMs.length;i++) diffs.push(rrMs[i]-rrMs[i-1]);
+  const sq = diffs.map(d=>d*d);
+  const mean = sq.reduce((s,v)=>s+v,0)/sq.length;
+  return Math.sqrt(mean);
+}
+
+// 記録した拍 { t, ibi, accepted }（recorder.js）から採用した拍だけを取り出す。除外した拍の直後の拍には gapBefore を付ける
+export function acceptedBeats(recorded) {
+  const out = [];
+  let gap = false;
+  for (const b of recorded) {
+    if (!b.accepted) { gap = true; continue; }
+    out.push(gap ? { ...b, gapBefore: true } : b);
+    gap = false;
+  }
+  return out;
+}
+
+// 直近 windowSec 秒の拍から全指標を計算する。拍が3つ未満、または連続する拍の差が2つ未満なら null
+export function computeHrv(beats, windowSec = 60) {
+  if (beats.length === 0) return null;
+  const tEnd = beats[beats.length - 1].t;
+  const win = [], diffs = [];
+  let prev = null;
+  for (const b of beats) {
+    if (b.t < tEnd - windowSec) continue;
+    if (b.ibi < 0.3 || b.ibi > 2.0) { prev = null; continue; }
+    if (prev && !b.gapBefore) diffs.push((b.ibi - prev.ibi) * 1000);
+    win.push(b);
+    prev = b;
+  }
+  if (win.length < 3 || diffs.length < 2) return null;
+
+  const rr = win.map((b) => b.ibi * 1000);
+
+  const meanNN = mean(rr);
+  const sdnn = stdev(rr);
+  const rmssd = Math.sqrt(mean(diffs.map((d) => d * d)));
+  const pnn50 = 100 * diffs.filter((d) => Math.abs(d) > 50).length / diffs.length;
+
+  // Poincaré: SD1 = 短期（対角線に直交）、SD2 = 長期（対角線方向）
+  const sdDiff = stdev(diffs);
+  const sd1 = Math.SQRT1_2 * sdDiff;
+  const sd2 = Math.sqrt(Math.max(0, 2 * sdnn * sdnn - 0.5 * sdDiff * sdDiff));
+
+  const span = win[win.length - 1].t - win[0].t;
+  const freq = span >= MIN_SPAN_LF_HF ? bandPowers(win.map((b) => b.t), rr, span) : null;
+
+  return {
+    n: win.length,
+    spanSec: span,
+    meanNN, sdnn, rmssd, pnn50,
+    sd1, sd2,
+    vlf: freq && span >= MIN_SPAN_VLF ? freq.vlf : null,
+    lf: freq?.lf ?? null,
+    hf: freq?.hf ?? null,
+    lfhf: freq && freq.hf > 0 ? freq.lf / freq.hf : null,
+  };
+}
+
+// Lomb-Scargle パワースペクトル（平均除去済み）
+// 戻り値のパワーは、0〜fMax の総和×df が系列の分散になるようにスケールする（単位 ms²/Hz）
+export function lombScargle(t, y, freqs) {
+  const m = mean(y);
+  const yc = y.map((v) => v - m);
+  const powers = freqs.map((f) => {
+    const w = 2 * Math.PI * f;
+    let s2 = 0, c2 = 0;
+    for (const ti of t) { s2 += Math.sin(2 * w * ti); c2 += Math.cos(2 * w * ti); }
+    const tau = Math.atan2(s2, c2) / (2 * w);
+    let yc_c = 0, yc_s = 0, cc = 0, ss = 0;
+    for (let i = 0; i < t.length; i++) {
+      const c = Math.cos(w * (t[i] - tau));
+      const s = Math.sin(w * (t[i] - tau));
+      yc_c += yc[i] * c; yc_s += yc[i] * s;
+      cc += c * c; ss += s * s;
+    }
+    return 0.5 * ((cc > 0 ? yc_c * yc_c / cc : 0) + (ss > 0 ? yc_s * yc_s / ss : 0));
+  });
+  return { freqs, powers };
+}
+
+function bandPowers(t, rr, span) {
+  // 周波数分解能は窓長で決まる。上限は平均心拍のナイキスト（HF上限0.4Hzは十分下回る）
+  const df = Math.min(0.005, 1 / (2 * span));
+  const fMax = Math.min(0.5 / (mean(rr) / 1000), 1.0);
+  const freqs = [];
+  for (let f = HRV_BANDS.vlf[0]; f <= fMax; f += df) freqs.push(f);
+  const { powers } = lombScargle(t, rr, freqs);
+
+  const total = powers.reduce((s, p) => s + p * df, 0);
+  const scale = total > 0 ? variance(rr) / total : 0;
+  const inBand = ([f0, f1]) => {
+    let s = 0;
+    freqs.forEach((f, i) => { if (f >= f0 && f < f1) s += powers[i] * df; });
+    return s * scale;
+  };
+  return { vlf: inBand(HRV_BANDS.vlf), lf: inBand(HRV_BANDS.lf), hf: inBand(HRV_BANDS.hf) };
+}
+
+function mean(a) { return a.length ? a.reduce((s, v) => s + v, 0) / a.length : 0; }
+function variance(a) {
+  const m = mean(a);
+  return a.reduce((s, v) => s + (v - m) * (v - m), 0) / Math.max(1, a.length - 1);
+}
+function stdev(a) { return Math.sqrt(variance(a)); }
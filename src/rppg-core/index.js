@@ -0,0 +1,35 @@
+// rppg-core — フレームワーク非依存のrPPG信号処理パイプライン
+export { createRppgProcessor, DEFAULT_OPTIONS } from "./processor.js";
+export { PULSE_METHODS, createPulseExtractor } from "./pulse.js";
+export { INTERPOLATIONS, createResampler } from "./resample.js";
+export {
+  movingAverageTail, getLatestSegment, goertzelSpectrum,
+  argmax, median, interpolatePeak, makeBiquadHP, makeBiquadLP,
+} from "./dsp.js";
+export { createHrTracker, HR_TRACKER_DEFAULTS } from "./hrTracker.js";
+export { detectPeakAndIBI } from "./peaks.js";
+export { computeRMSSD, computeHrv, acceptedBeats, lombScargle, HRV_WINDOWS, HRV_BANDS } from "./hrv.js";
+export { estimateRespiration, RESP_BAND } from "./respiration.js";
+export { deHaanSnr, createBeatSqi, assessQuality, SQI_THRESHOLDS, SQI_REASONS } from "./sqi.js";
+export { createMotionEstimator, motionWeight, MOTION_THRESHOLDS } from "./motion.js";
+export { poseFromMatrix, poseWeight, poseOffAxis, POSE_THRESHOLDS, POSE_AXES } from "./pose.js";
+export { createSkinModel, polygonMask, SKIN_THRESHOLDS, SKIN_LABELS } from "./skin.js";
+export { createSessionRecorder, SESSION_FORMAT, SESSION_VERSION, METRIC_COLUMNS } from "./recorder.js";
+export { summarizeSession, aggregateTrends, summariesToCsv, FOCUS_BANDS, SUMMARY_COLUMNS } from "./summary.js";
+export {
+  createFocusModel, classifyFocusState, focusZScores, focusQualityWeight,
+  FOCUS_MODELS, FOCUS_STATES, FOCUS_BASELINE, FOCUS_MODEL_DEFAULTS, FOCUS_STATE_THRESHOLDS,
+} from "./focus.js";
+export { parseSession, replayOptions, replaySession, createMotionReplay } from "./replay.js";
+export {
+  parseReference, alignReference, sessionStartMs, compareHr, compareRmssd, agreementStats, REFERENCE_DEFAULTS,
+} from "./reference.js";
+export {
+  parseUbfcGroundTruth, parsePureGroundTruth, parseRgbTrace, evaluateSubject, summarizeBenchmark,
+} from "./benchmark.js";
+export {
+  createCalibration, CALIBRATION_DEFAULTS, CALIBRATION_DURATIONS, BASELINE_METRICS, CALIBRATION_REASONS,
+} from "./calibration.js";
+export { summarizeBlock, createStrainWatch, blocksByDay, BLOCK_DEFAULTS, BLOCK_KINDS, BLOCK_END_REASONS } from "./blocks.js";
+export { buildSessionReport } from "./report.js";
+export { runSelfTests } from "./selfTests.js";
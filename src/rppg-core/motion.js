@@ -0,0 +1,87 @@
+// 顔ランドマークのフレーム間変位から頭の動きを推定する
+// 連続する2フレームの点群（ピクセル座標）を相似変換で重ね合わせ（Procrustes）、
+// 並進・拡大縮小・回転をそれぞれ毎秒の速さにして閾値と比べる。
+// - translation: 重心の移動（顔の大きさ/秒）
+// - scale:       大きさの変化（|log比|/秒、前後の動き）
+// - rotation:    面内回転（度/秒、首かしげ）
+// score = 各量/閾値 の最大。score > 1 のフレームから holdSec 秒は moving（フィルタの余韻を避ける）
+// 点は口・顎を含まない剛体に近いもの（額・鼻・目尻・頬骨）を渡すこと。会話で誤検出しないように。
+
+export const MOTION_THRESHOLDS = {
+  translation: 0.3, // 顔の大きさ/秒
+  scale: 0.15,      // /秒
+  rotation: 10,     // 度/秒
+  holdSec: 0.5,     // 閾値超えのあと moving を保持する時間
+};
+
+const MAX_GAP_SEC = 1.0; // これ以上空いたら（顔を見失ったなど）比較せずに基準を取り直す
+
+export function createMotionEstimator(thresholds = {}) {
+  const thr = { ...MOTION_THRESHOLDS, ...thresholds };
+  let prev = null;
+  let lastOverT = -Infinity;
+  let current = still(null);
+
+  function reset() {
+    prev = null;
+    lastOverT = -Infinity;
+    current = still(null);
+  }
+
+  // t: 秒, points: [{ x, y }]（ピクセル）
+  function update(t, points) {
+    const shape = centeredShape(points);
+    if (!shape) return current;
+    if (!prev || t <= prev.t || t - prev.t > MAX_GAP_SEC || prev.pts.length !== shape.pts.length) {
+      prev = { t, ...shape };
+      return current;
+    }
+    const dt = t - prev.t;
+    const translation = Math.hypot(shape.cx - prev.cx, shape.cy - prev.cy) / prev.size / dt;
+    const scale = Math.abs(Math.log(shape.size / prev.size)) / dt;
+    // 前フレーム→今フレームの最適回転角（中心化した点群の外積/内積の和）
+    let cross = 0, dot = 0;
+    prev.pts.forEach((p, i) => {
+      const q = shape.pts[i];
+      cross += p.x * q.y - p.y * q.x;
+      dot += p.x * q.x + p.y * q.y;
+    });
+    const rotation = Math.abs(Math.atan2(cross, dot)) * 180 / Math.PI / dt;
+
+    const score = Math.max(translation / thr.translation, scale / thr.scale, rotation / thr.rotation);
+    if (score > 1) lastOverT = t;
+    current = { t, translation, scale, rotation, score, moving: t - lastOverT <= thr.holdSec };
+    prev = { t, ...shape };
+    return current;
+  }
+
+  return {
+    thresholds: thr,
+    update,
+    reset,
+    get current() { return current; },
+  };
+}
+
+// 動き状態 → サンプルの重み（0〜1）。moving 中は0、score 0.5〜1 は線形に下げる
+export function motionWeight(motion) {
+  if (!motion) return 1;
+  if (motion.moving) return 0;
+  return Math.max(0, Math.min(1, 2 - 2 * motion.score));
+}
+
+function still(t) {
+  return { t, translation: 0, scale: 0, rotation: 0, score: 0, moving: false };
+}
+
+// 重心を引いた点群と、その大きさ（重心からのRMS距離）
+function centeredShape(points) {
+  if (!points || points.length < 3) return null;
+  let cx = 0, cy = 0;
+  for (const p of points) { cx += p.x; cy += p.y; }
+  cx /= points.length; cy /= points.length;
+  const pts = points.map((p) => ({ x: p.x - cx, y: p.y - cy }));
+  const size = Math.sqrt(pts.reduce((s, p) => s + p.x * p.x + p.y * p.y, 0) / pts.length);
+  if (!(size > 0)) return null;
+  return { cx, cy, size, pts };
+}
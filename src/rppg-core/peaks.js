@@ -0,0 +1,32 @@
+// Peak detection with refractory period & adaptive threshold
+// st: { t, bvp, weight?, lastPeakT, maxBufSec } — 新しいIBI（秒）が確定したら返す
+// weight（動きによるサンプルの重み）があれば、重み minWeight 未満のサンプルは閾値の統計にもピーク候補にも使わない
+// k: 閾値 = 直近5秒の平均 + k × 標準偏差
+export function detectPeakAndIBI(st, fs, k = 0.6, minWeight = 0.5) {
+  const N = st.bvp.length;
+  if (N < 5) return null;
+  const t = st.t;
+  const y = st.bvp;
+  const winS = Math.min(5, st.maxBufSec);
+  let i0 = N - Math.floor(winS * fs);
+  if (i0 < 0) i0 = 0;
+  const w = st.weight;
+  const seg = w ? y.slice(i0).filter((_, k) => w[i0 + k] >= minWeight) : y.slice(i0);
+  if (seg.length < 2) return null;
+  const mean = seg.reduce((s,v)=>s+v,0)/seg.length;
+  const sd = Math.sqrt(seg.reduce((s,v)=>s+(v-mean)*(v-mean),0)/Math.max(1,seg.length-1));
+  const thr = mean + k * sd;
+
+  const i = N - 2; // previous sample as candidate peak
+  if (w && w[i] < minWeight) return null;
+  if (y[i] > thr && y[i] > y[i-1] && y[i] > y[i+1]) {
+    const tPeak = t[i];
+    if (st.lastPeakT < 0 || (tPeak - st.lastPeakT) > 0.33) { // > 180 bpm refractory
+      let ibi = null;
+      if (st.lastPeakT > 0) ibi = tPeak - st.lastPeakT;
+      st.lastPeakT = tPeak;
+      return ibi; // seconds
+    }
+  }
+  return null;
+}
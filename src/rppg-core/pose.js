@@ -0,0 +1,54 @@
+// 頭の向き（yaw / pitch / roll、度。カメラに正対して 0）
+// MediaPipe Face Mesh の顔ジオメトリ（enableFaceGeometry）は、正準顔モデル（canonical face model）を
+// ランドマークに当てはめた姿勢行列（4x4）を返す。poseFromMatrix でその回転を角度にする。
+// - yaw: 左右の向き（縦軸まわり）、pitch: 上下（横軸まわり）、roll: 首かしげ（視線軸まわり）
+// - 回転は R = Ry(yaw)·Rx(pitch)·Rz(roll) として分解する。符号は MediaPipe の座標系のまま（表示は絶対値で扱う）
+// 横を向くと額・頬への光の当たり方が変わり、脈波と無関係な輝度変化が乗る。
+// poseWeight は大きく横を向いたサンプルの重み（soft までは1、limit で0、間は直線）で、
+// 動きの重み（motionWeight）と掛け合わせて HR推定の減衰・拍の除外に使う（processor.js）。
+
+export const POSE_THRESHOLDS = {
+  soft: { yaw: 15, pitch: 20, roll: 20 },  // ここまでは重み1（ノートPCのカメラは見下ろす角度になるので pitch は広め）
+  limit: { yaw: 35, pitch: 40, roll: 40 }, // ここで重み0
+};
+
+export const POSE_AXES = ["yaw", "pitch", "roll"];
+
+// m: 4x4 の姿勢行列（16要素、既定は列優先）。拡大縮小と平行移動は無視する
+export function poseFromMatrix(m, rowMajor = false) {
+  if (!m || m.length < 16) return null;
+  const at = (r, c) => (rowMajor ? m[r * 4 + c] : m[c * 4 + r]);
+  // 列ごとの大きさで割って回転だけにする
+  const scale = [0, 1, 2].map((c) => Math.hypot(at(0, c), at(1, c), at(2, c)));
+  if (scale.some((s) => !(s > 0))) return null;
+  const R = (r, c) => at(r, c) / scale[c];
+  const deg = 180 / Math.PI;
+  return {
+    yaw: Math.atan2(R(0, 2), R(2, 2)) * deg,
+    pitch: Math.atan2(-R(1, 2), Math.hypot(R(1, 0), R(1, 1))) * deg,
+    roll: Math.atan2(R(1, 0), R(1, 1)) * deg,
+  };
+}
+
+// 0〜1。pose が無ければ（顔ジオメトリが取れない）1
+export function poseWeight(pose, thresholds = POSE_THRESHOLDS) {
+  if (!pose) return 1;
+  let w = 1;
+  for (const axis of POSE_AXES) {
+    const soft = thresholds.soft[axis], limit = thresholds.limit[axis];
+    const a = Math.abs(pose[axis]);
+    w = Math.min(w, Math.max(0, Math.min(1, (limit - a) / (limit - soft))));
+  }
+  return w;
+}
+
+// soft を最も大きく超えている軸 { axis, angle }（「カメラの方を向いて」の案内用）。どれも範囲内なら null
+export function poseOffAxis(pose, thresholds = POSE_THRESHOLDS) {
+  if (!pose) return null;
+  let worst = null, ratio = 1;
+  for (const axis of POSE_AXES) {
+    const r = Math.abs(pose[axis]) / thresholds.soft[axis];
+    if (r > ratio) { ratio = r; worst = { axis, angle: Math.abs(pose[axis]) }; }
+  }
+  return worst;
+}
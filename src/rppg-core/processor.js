@@ -0,0 +1,306 @@
+import { createResampler } from "./resample.js";
+import { goertzelSpectrum, argmax, median, interpolatePeak } from "./dsp.js";
+import { createHrTracker } from "./hrTracker.js";
+import { createRoiChannel, fusionWeights } from "./roiChannel.js";
+import { detectPeakAndIBI } from "./peaks.js";
+import { computeHrv, HRV_WINDOWS } from "./hrv.js";
+import { estimateRespiration } from "./respiration.js";
+import { motionWeight } from "./motion.js";
+import { poseWeight } from "./pose.js";
+import { deHaanSnr, createBeatSqi, assessQuality, SQI_THRESHOLDS } from "./sqi.js";
+
+// ストリーミングrPPGプロセッサ
+// push(t秒, [R,G,B]) でサンプルを流し込むと、RGBを一定レート（既定30Hz）の時間格子へ
+// 再標本化してからパルス抽出・フィルタ・スペクトル推定・ピーク検出を行い、以下のイベントを発行する：
+// 複数ROIのときは push(t秒, { forehead: [R,G,B], leftCheek: [...], ... }) とし、
+// ROIごとにパルス抽出・フィルタした脈波をSNRで重み付けして1本に融合してから後段へ流す。
+// 第3引数に頭の動き（createMotionEstimator の状態）を渡すと、動いている区間のサンプルを
+// HR推定では減衰・除外し、その区間にかかる拍はIBI/HRV/呼吸数に使わない。
+// 動きの状態に pose（頭の向き { yaw, pitch, roll }、pose.js）を含めると、大きく横を向いている区間も同じく減衰・除外する。
+// - "sample":  { t, value, weight }  フィルタ後の脈波（BVP、融合後）1サンプルと動きによる重み（0〜1）
+// - "hr":      { t, bpm, raw, confidence, usable }  心拍数。bpm は追跡値（createHrTracker）、raw はその窓の
+//                                   スペクトルピーク（ビン間補間あり）。usable は窓内の動きの平均重み
+// - "quality": { t, snr }          ピーク/中央値パワー比
+// - "ibi":     { t, ibi }          確定した拍間隔（秒）
+// - "hrv":     { t, rmssd, sdnn, pnn50, lfhf, sd1, sd2, ... }  直近 hrvWindowSec 秒の拍からのHRV（computeHrv）
+// - "resp":    { t, rate, quality, estimates }  呼吸数（回/分、BW/AM/FMの融合。estimateRespiration）
+// - "roi":     { t, rois: [{ name, snr, weight }] }  ROIごとのSNRと融合の重み（1秒ごと）
+// - "sqi":     { t, snrDb, templateCorr, skewness, kurtosis, usable, ok, reasons }  信号品質（1秒ごと、sqi.js）
+//              ok=false のとき HR/HRV は信頼できない（reasons: warmup | motion | lowSnr | irregular | spiky）
+// - "artifact": { t, ibi, reason }  除外した拍（reason: motion = 動き, shape = 波形がテンプレートと不一致）
+// ブラウザ/Nodeのどちらでもそのまま動く（DOM・React非依存）。
+
+export const DEFAULT_OPTIONS = {
+  method: "POS",       // GREEN | CHROM | POS
+  fs: 30,              // 再標本化レート (Hz)。フィルタ・推定はこのレートで動く
+  interp: "cubic",     // 再標本化の補間: cubic | linear
+  band: [0.7, 3.0],    // 心拍帯域 (Hz)
+  hrWindowSec: 12,     // スペクトル推定の窓
+  peakThreshold: 0.6,  // ピーク検出の閾値（直近5秒の平均 + k×標準偏差 の k）
+  maxBufSec: 60,       // 保持するバッファ長
+  hrvWindowSec: 60,    // HRV窓: 60 | 120 | 300
+  respWindowSec: 60,   // 呼吸数推定の窓
+  rois: ["forehead"],  // ROI名（push のオブジェクトのキー）。配列で渡したRGBは先頭のROIとして扱う
+  trackHr: true,       // false なら bpm = raw（フレームごとの argmax）
+  minUsable: 0.5,      // HR窓の平均重みがこれ未満なら HR を出さない／拍区間の最小重みがこれ未満なら拍を捨てる／これ未満のサンプルはピーク検出に使わない
+  minBeatCorr: 0.3,    // テンプレート相関がこれ未満の拍はIBI/HRVに使わない（拍の見逃し・雑音ピーク）
+  sqi: SQI_THRESHOLDS, // 品質ゲートの閾値（assessQuality）
+};
+
+const GATE_SETTLE_SEC = 1.5; // 動きの後、デトレンド・HP/LPの過渡応答が収まるまでの時間
+
+export function createRppgProcessor(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const listeners = {};
+  let st;
+
+  function reset() {
+    const fs = opts.fs;
+    st = {
+      lastT: null,
+      fpsEMA: fs, // 入力（カメラ）の実フレームレート。表示用
+      // buffers（全て fs の一定間隔）
+      t: [],
+      nSamples: 0,  // これまでに確定したサンプル数（バッファの切り詰めとは無関係）
+      pulseRaw: [], // パルス抽出後（デトレンド前、融合後）
+      bvp: [],
+      weight: [],   // 動きによるサンプルの重み（0〜1）
+      maxBufSec: opts.maxBufSec,
+      // 全ROIのRGBを1本のベクトルにまとめて再標本化する（ROI間で格子がずれない）
+      resampler: createResampler(fs, { interp: opts.interp }),
+      lastRgb: {}, // ROIごとの直近のRGB（そのフレームで欠けたROIはこれで補う）
+      gate: [],    // 格子点ごとの動きの重み { t, w }（パルス抽出の遅れぶん溜めておく）
+      // 一定レートで動くので、フィルタの内部状態はフレームをまたいで保持する
+      channels: opts.rois.map((name) => {
+        const ch = createRoiChannel(name, opts);
+        ch.weight = 1 / opts.rois.length;
+        return ch;
+      }),
+      // peak & IBI（拍は信号バッファとは別に、最長のHRV窓ぶん保持する）
+      lastPeakT: -1,
+      beats: [],
+      rejectedBeats: 0,
+      gapPending: false, // 直前の拍を除外した（次に採用する拍の ibi の前に抜けがある）
+      // HR追跡（スペクトログラム上のViterbi）
+      tracker: createHrTracker(),
+      lastHr: null,
+      // 信号品質（拍ごとのテンプレート相関・歪度・尖度と、1秒ごとのまとめ）
+      beatSqi: createBeatSqi(),
+      beatQuality: [], // [{ t, corr, skewness, kurtosis }]（直近 hrWindowSec 秒）
+      sqi: null,
+    };
+  }
+
+  // 目標レートが実際に変わったときだけ、フィルタと再標本化を作り直す
+  function setSampleRate(fs) {
+    if (fs === opts.fs) return;
+    opts.fs = fs;
+    reset();
+  }
+
+  function on(type, fn) {
+    (listeners[type] = listeners[type] || []).push(fn);
+    return () => { listeners[type] = listeners[type].filter((f) => f !== fn); };
+  }
+
+  function emit(type, payload) {
+    for (const fn of listeners[type] || []) fn(payload);
+  }
+
+  function push(t, rgb, motion) {
+    const dt = st.lastT == null ? 1 / st.fpsEMA : t - st.lastT;
+    if (dt <= 0) return; // 重複・逆行したタイムスタンプは捨てる
+    st.lastT = t;
+    updateFrameRate(st, dt);
+
+    const values = packRois(rgb);
+    if (!values) return;
+    // 動き（と頭の向き）の重みも同じ格子へ再標本化する（末尾の1要素）
+    values.push(motionWeight(motion) * poseWeight(motion?.pose));
+
+    for (const g of st.resampler.push(t, values)) {
+      st.gate.push({ t: g.t, w: Math.max(0, Math.min(1, g.values[g.values.length - 1])) });
+      // CHROM/POS は窓長ぶん遅れて確定したサンプルのみ流れてくる（全ROIで同じ遅れ）
+      let tOut = null, raw = 0, bvp = 0;
+      st.channels.forEach((ch, i) => {
+        const out = ch.push(g.t, g.values.slice(3 * i, 3 * i + 3));
+        if (!out) return;
+        tOut = out.t;
+        raw += ch.weight * out.raw;
+        bvp += ch.weight * out.bvp;
+      });
+      if (tOut != null) pushPulse(tOut, raw, bvp, gateWeight(tOut));
+    }
+  }
+
+  // 出力サンプルの重み: そのサンプルに足し込まれた全窓（tOut〜現在の格子点）と、
+  // フィルタの過渡応答が残る直前 GATE_SETTLE_SEC 秒の最小値
+  function gateWeight(tOut) {
+    while (st.gate.length && st.gate[0].t < tOut - GATE_SETTLE_SEC) st.gate.shift();
+    return st.gate.reduce((m, g) => Math.min(m, g.w), 1);
+  }
+
+  // 入力（配列 or ROI名→RGB）を全ROIぶんのベクトルへ。まだ一度も来ていないROIがあれば null
+  function packRois(rgb) {
+    const input = Array.isArray(rgb) ? { [opts.rois[0]]: rgb } : rgb;
+    for (const name of opts.rois) if (input[name]) st.lastRgb[name] = input[name];
+    if (opts.rois.some((name) => !st.lastRgb[name])) return null;
+    return opts.rois.flatMap((name) => st.lastRgb[name]);
+  }
+
+  function pushPulse(tSec, raw, y, w) {
+    const fs = opts.fs;
+    st.t.push(tSec);
+    st.pulseRaw.push(raw);
+    st.bvp.push(y);
+    st.weight.push(w);
+    emit("sample", { t: tSec, value: y, weight: w });
+
+    trimBuffers(st);
+
+    // HR via Goertzel on last hrWindowSec（一定間隔なのでサンプル数で切り出せる）
+    // 動きのあるサンプルは重みで減衰させ、窓の大半が動いていればHRを出さない（直前の値を保持）
+    const nSeg = Math.round(opts.hrWindowSec * fs);
+    const segW = st.weight.slice(-nSeg);
+    const segment = st.bvp.slice(-nSeg).map((v, i) => v * segW[i]);
+    const usable = segW.reduce((s, v) => s + v, 0) / Math.max(1, segW.length);
+    if (segment.length > fs * 4 && usable >= opts.minUsable) {
+      const spec = goertzelSpectrum(segment, fs, opts.band, 120);
+      const k = argmax(spec.powers);
+      const raw = interpolatePeak(spec.freqs, spec.powers, k) * 60;
+      const tracked = opts.trackHr ? st.tracker.update(tSec, spec) : null;
+      const med = median(spec.powers);
+      const q = med > 0 ? spec.powers[k] / med : null;
+      if (isFinite(raw)) {
+        st.lastHr = tracked?.bpm ?? raw;
+        emit("hr", { t: tSec, bpm: st.lastHr, raw, confidence: tracked?.confidence ?? 1, usable });
+      }
+      if (q) emit("quality", { t: tSec, snr: q });
+    }
+
+    // ROIの重みと信号品質は1秒ごとに更新する
+    if (++st.nSamples % Math.round(fs) === 0) {
+      updateRoiWeights(tSec);
+      updateSqi(tSec, segment, usable);
+    }
+
+    // Peak→IBI→HRV
+    const prevPeakT = st.lastPeakT;
+    const newIBI = detectPeakAndIBI(st, fs, opts.peakThreshold, opts.minUsable);
+    if (newIBI) {
+      const beat = beatMorphology(st, prevPeakT, fs);
+      if (beat.minWeight < opts.minUsable) {
+        // 動きにかかった拍は捨てる（次の拍はこのピークから数え直す）
+        st.rejectedBeats++;
+        st.gapPending = true;
+        emit("artifact", { t: st.lastPeakT, ibi: newIBI, reason: "motion" });
+        return;
+      }
+      const q = st.beatSqi.score(st.bvp.slice(beat.iStart, beat.iPeak + 1));
+      if (q) {
+        st.beatQuality.push({ t: st.lastPeakT, corr: q.corr, skewness: q.skewness, kurtosis: q.kurtosis });
+        while (st.beatQuality[0].t < st.lastPeakT - opts.hrWindowSec) st.beatQuality.shift();
+      }
+      if (q?.corr != null && q.corr < opts.minBeatCorr) {
+        // 波形がテンプレートと似ていない拍（見逃しで2拍ぶんになった区間や雑音ピーク）
+        st.rejectedBeats++;
+        st.gapPending = true;
+        emit("artifact", { t: st.lastPeakT, ibi: newIBI, reason: "shape" });
+        return;
+      }
+      // テンプレートには採用した拍だけを加える（最初の3拍は相関なしで採用してテンプレートを作る）
+      st.beatSqi.accept(q);
+      st.beats.push({ t: st.lastPeakT, ibi: newIBI, amp: beat.amp, base: beat.base, gapBefore: st.gapPending });
+      st.gapPending = false;
+      const keep = st.lastPeakT - Math.max(...HRV_WINDOWS);
+      while (st.beats.length && st.beats[0].t < keep) st.beats.shift();
+      emit("ibi", { t: st.lastPeakT, ibi: newIBI });
+      const hrv = computeHrv(st.beats, opts.hrvWindowSec);
+      if (hrv) emit("hrv", { t: tSec, windowSec: opts.hrvWindowSec, ...hrv });
+      const resp = estimateRespiration(st.beats, opts.respWindowSec);
+      if (resp?.rate != null) emit("resp", { t: tSec, ...resp });
+    }
+  }
+
+  function updateSqi(tSec, segment, usable) {
+    const hz = st.lastHr != null ? st.lastHr / 60 : null;
+    const snrDb = segment.length > opts.fs * 4 && hz ? deHaanSnr(segment, opts.fs, hz) : null;
+    const recent = st.beatQuality.filter((b) => b.t >= tSec - opts.hrWindowSec);
+    const avg = (key) => {
+      const v = recent.map((b) => b[key]).filter((x) => x != null);
+      return v.length ? v.reduce((s, x) => s + x, 0) / v.length : null;
+    };
+    const metrics = { snrDb, templateCorr: avg("corr"), skewness: avg("skewness"), kurtosis: avg("kurtosis"), usable };
+    st.sqi = { t: tSec, ...metrics, ...assessQuality(metrics, { ...SQI_THRESHOLDS, ...opts.sqi, minUsable: opts.minUsable }) };
+    emit("sqi", st.sqi);
+  }
+
+  function updateRoiWeights(tSec) {
+    st.channels.forEach((ch) => ch.updateQuality());
+    fusionWeights(st.channels).forEach((w, i) => { st.channels[i].weight = w; });
+    emit("roi", { t: tSec, rois: roiStatus() });
+  }
+
+  function roiStatus() {
+    return st.channels.map(({ name, snr, weight }) => ({ name, snr, weight }));
+  }
+
+  // HRV窓の変更（拍は最長窓ぶん保持しているので作り直し不要）
+  function setHrvWindow(sec) {
+    opts.hrvWindowSec = sec;
+  }
+
+  reset();
+
+  return {
+    options: opts,
+    on,
+    push,
+    reset,
+    setSampleRate,
+    setHrvWindow,
+    get method() { return opts.method; },
+    get fps() { return st.fpsEMA; },
+    get sampleRate() { return opts.fs; },
+    // reset() からの確定サンプル数（バッファの切り詰めでは減らない）
+    get sampleCount() { return st.nSamples; },
+    get rejectedBeats() { return st.rejectedBeats; },
+    get sqi() { return st.sqi; },
+    get rois() { return roiStatus(); },
+    // BVPの最後のサンプルの時刻（パルス抽出の窓と再標本化のぶん、最新の入力フレームより遅れる）
+    get lastSampleT() { return st.t.length ? st.t[st.t.length - 1] : null; },
+    // 直近 windowSec 秒のBVP（波形表示用）
+    getWaveform(windowSec = opts.hrWindowSec) {
+      return st.bvp.slice(-Math.round(windowSec * opts.fs));
+    },
+  };
+}
+
+// 入力フレームレートのEMA（表示用。処理レートは opts.fs で固定）
+function updateFrameRate(st, dt) {
+  const instFps = 1 / Math.max(dt, 1 / 120);
+  st.fpsEMA = st.fpsEMA * 0.9 + instFps * 0.1;
+}
+
+// 直前の拍区間（前のピーク〜今のピーク）の振幅と基線（呼吸推定用）、区間内の動きの最小重み
+// detectPeakAndIBI は1サンプル前をピークとして確定する
+function beatMorphology(st, prevPeakT, fs) {
+  const iPeak = st.bvp.length - 2;
+  const iStart = Math.max(0, iPeak - Math.round((st.lastPeakT - prevPeakT) * fs));
+  let trough = Infinity, base = 0, minWeight = 1;
+  for (let i = iStart; i <= iPeak + 1; i++) minWeight = Math.min(minWeight, st.weight[i]);
+  for (let i = iStart; i <= iPeak; i++) {
+    trough = Math.min(trough, st.bvp[i]);
+    base += st.pulseRaw[i];
+  }
+  return { amp: st.bvp[iPeak] - trough, base: base / (iPeak - iStart + 1), minWeight, iStart, iPeak };
+}
+
+// Trim buffers by time window
+function trimBuffers(st) {
+  const { t, pulseRaw, bvp, weight, maxBufSec } = st;
+  if (t.length === 0) return;
+  const tmax = t[t.length - 1];
+  const cutoff = tmax - maxBufSec;
+  while (t.length && t[0] < cutoff) { t.shift(); pulseRaw.shift(); bvp.shift(); weight.shift(); }
+}
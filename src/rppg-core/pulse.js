@@ -0,0 +1,80 @@
+// パルス抽出アルゴリズム（ROIのRGB平均 → 1次元パルス信号）
+// - GREEN: 緑チャンネルのみ（Verkruysse 2008）
+// - CHROM: クロミナンス信号 X=3R-2G, Y=1.5R+G-1.5B（de Haan & Jeanne 2013）
+// - POS:   肌色に直交する平面への射影（Wang et al. 2017）
+// CHROM/POS は短い窓（既定1.6s）ごとに時間正規化して射影し、
+// 1サンプルずつずらした窓をオーバーラップ加算（OLA）で連結する。
+// 出力は窓長ぶん遅延し、全ての窓が足し込まれたサンプルから順に確定する。
+
+export const PULSE_METHODS = ["GREEN", "CHROM", "POS"];
+
+export function createPulseExtractor(method, fs, winSec = 1.6) {
+  const L = Math.max(8, Math.round(winSec * fs));
+  const hann = [];
+  for (let i = 0; i < L; i++) hann.push(0.5 - 0.5 * Math.cos(2 * Math.PI * i / (L - 1)));
+
+  const ts = [];   // 未確定サンプルの時刻
+  const rgbs = []; // 未確定サンプルのRGB平均
+  const acc = [];  // OLA 足し込み先
+
+  function push(t, rgb) {
+    if (method === "GREEN") return { t, value: rgb[1] };
+
+    ts.push(t); rgbs.push(rgb); acc.push(0);
+    let done = null;
+    if (ts.length > L) {
+      // 先頭サンプルを含む窓は全て足し込み済み → 確定
+      done = { t: ts.shift(), value: acc.shift() };
+      rgbs.shift();
+    }
+    if (ts.length === L) {
+      const h = method === "CHROM" ? chromWindow(rgbs, hann) : posWindow(rgbs);
+      for (let i = 0; i < L; i++) acc[i] += h[i];
+    }
+    return done;
+  }
+
+  return { method, windowLength: L, push };
+}
+
+// 窓内の各チャンネル平均で割って時間正規化
+function normalizeWindow(rgbs) {
+  const n = rgbs.length;
+  let mr = 0, mg = 0, mb = 0;
+  for (const [r, g, b] of rgbs) { mr += r; mg += g; mb += b; }
+  mr /= n; mg /= n; mb /= n;
+  return rgbs.map(([r, g, b]) => [r / (mr || 1), g / (mg || 1), b / (mb || 1)]);
+}
+
+// CHROM: S = X - αY, α = σ(X)/σ(Y)。ハン窓をかけてOLA
+// （論文ではX/Yを帯域通過してからαを求めるが、ここでは後段のHP/LPに任せる）
+function chromWindow(rgbs, hann) {
+  const cn = normalizeWindow(rgbs);
+  const X = cn.map(([r, g]) => 3 * r - 2 * g);
+  const Y = cn.map(([r, g, b]) => 1.5 * r + g - 1.5 * b);
+  const sy = stdev(Y);
+  const alpha = sy > 0 ? stdev(X) / sy : 0;
+  const S = X.map((x, i) => x - alpha * Y[i]);
+  const m = mean(S);
+  return S.map((s, i) => (s - m) * hann[i]);
+}
+
+// POS: S1 = G-B, S2 = G+B-2R, h = S1 + (σ(S1)/σ(S2))·S2
+function posWindow(rgbs) {
+  const cn = normalizeWindow(rgbs);
+  const S1 = cn.map(([, g, b]) => g - b);
+  const S2 = cn.map(([r, g, b]) => g + b - 2 * r);
+  const s2 = stdev(S2);
+  const alpha = s2 > 0 ? stdev(S1) / s2 : 0;
+  const h = S1.map((s, i) => s + alpha * S2[i]);
+  const m = mean(h);
+  return h.map((v) => v - m);
+}
+
+function mean(a) { let s = 0; for (const v of a) s += v; return a.length ? s / a.length : 0; }
+function stdev(a) {
+  const m = mean(a);
+  let s = 0;
+  for (const v of a) s += (v - m) * (v - m);
+  return Math.sqrt(s / Math.max(1, a.length - 1));
+}
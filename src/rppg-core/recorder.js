@@ -0,0 +1,188 @@
+// セッション記録（生データと指標のエクスポート）
+// プロセッサのバッファは maxBufSec で切り捨てられるので、解析用のデータはここで全量を保持する。
+// - frames:  フレームごとの時刻・ROIごとのRGB平均・ROI矩形・動きスコアと moving・頭の向き（再生で同じゲートを掛けるため）
+// - bvp:     フィルタ後の脈波と動きの重み（プロセッサの "sample"）
+// - beats:   検出した拍（採用/除外と理由。"ibi" / "artifact"）
+// - metrics: 1秒ごとの HR / RMSSD / SNR / 集中度 など（呼び出し側が metrics() で渡す）
+// - markers: 出来事のマーカー（「会議開始」「中断」など。呼び出し側が marker() で渡す）
+// 時刻はすべて最初のフレームからの秒。toJSON() は版つきのJSON、toCsv() は表ごとのCSVを返す。
+
+export const SESSION_FORMAT = "rppg-session";
+export const SESSION_VERSION = 1;
+
+// metrics の列（CSVの列順もこの順）
+export const METRIC_COLUMNS = [
+  ["hr", "hr_bpm"],
+  ["hrRaw", "hr_raw_bpm"],
+  ["rmssd", "rmssd_ms"],
+  ["snr", "snr_db"],
+  ["focus", "focus"],
+  ["focusState", "focus_state"],
+  ["resp", "resp_per_min"],
+  ["motion", "motion_score"],
+  ["sqiOk", "quality_ok"],
+];
+
+export function createSessionRecorder(meta = {}) {
+  const startedAt = new Date().toISOString();
+  let t0 = null;
+  const frames = [];   // { t, rgb: { name: [r,g,b] }, boxes: { name: {x,y,w,h} }, motion, moving, pose: [yaw, pitch, roll] | null }
+  const bvp = { t: [], value: [], weight: [] };
+  const beats = [];    // { t, ibi, accepted, reason }
+  const metrics = [];  // { t, hr, ... }
+  const markers = [];  // { t, kind, label, at }
+  let detach = null;
+
+  const rel = (t) => round(t - t0, 4);
+
+  // プロセッサのイベントを購読する（作り直されたら付け替える）
+  function attach(proc) {
+    if (detach) detach();
+    const offs = [
+      proc.on("sample", ({ t, value, weight }) => {
+        if (t0 == null) return;
+        bvp.t.push(rel(t));
+        bvp.value.push(round(value, 6));
+        bvp.weight.push(round(weight ?? 1, 3));
+      }),
+      proc.on("ibi", ({ t, ibi }) => {
+        if (t0 != null) beats.push({ t: rel(t), ibi: round(ibi, 4), accepted: true, reason: null });
+      }),
+      proc.on("artifact", ({ t, ibi, reason }) => {
+        if (t0 != null) beats.push({ t: rel(t), ibi: round(ibi, 4), accepted: false, reason });
+      }),
+    ];
+    detach = () => { offs.forEach((off) => off()); detach = null; };
+    return detach;
+  }
+
+  // rgb: [R,G,B]（単一ROI）または { name: [R,G,B] }、boxes: { name: {x,y,w,h} }
+  // motion: 動きスコア、moving: 動き推定の moving（どちらも動き推定がなければ null）
+  // pose: 頭の向き { yaw, pitch, roll }（度、顔ジオメトリがなければ null）
+  function frame(t, { rgb, boxes = {}, motion = null, moving = null, pose = null }) {
+    if (t0 == null) t0 = t;
+    const byRoi = Array.isArray(rgb) ? { forehead: rgb } : rgb;
+    const r = {};
+    for (const [name, v] of Object.entries(byRoi)) r[name] = v.map((x) => round(x, 4));
+    frames.push({
+      t: rel(t), rgb: r, boxes, motion: motion == null ? null : round(motion, 3), moving,
+      pose: pose ? [pose.yaw, pose.pitch, pose.roll].map((v) => round(v, 1)) : null,
+    });
+  }
+
+  function addMetrics(t, row) {
+    if (t0 == null) return;
+    const m = { t: rel(t) };
+    for (const [key] of METRIC_COLUMNS) m[key] = row[key] ?? null;
+    metrics.push(m);
+  }
+
+  // kind: プリセットの種類（自由入力は "note"）、at: 壁時計の時刻（ISO）
+  function marker(t, { kind = "note", label = "", at = new Date().toISOString() }) {
+    if (t0 == null) return null;
+    const m = { t: rel(t), kind, label, at };
+    markers.push(m);
+    return m;
+  }
+
+  function roiNames() {
+    const names = new Set();
+    for (const f of frames) Object.keys(f.rgb).forEach((n) => names.add(n));
+    return [...names];
+  }
+
+  function hasPose() {
+    return frames.some((f) => f.pose);
+  }
+
+  function toJSON() {
+    const names = roiNames();
+    const col = (fn) => frames.map(fn);
+    const rois = {};
+    for (const name of names) {
+      rois[name] = {
+        r: col((f) => f.rgb[name]?.[0] ?? null),
+        g: col((f) => f.rgb[name]?.[1] ?? null),
+        b: col((f) => f.rgb[name]?.[2] ?? null),
+        box: col((f) => {
+          const b = f.boxes[name];
+          return b ? [round(b.x, 4), round(b.y, 4), round(b.w, 4), round(b.h, 4)] : null;
+        }),
+      };
+    }
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      startedAt,
+      meta,
+      frames: {
+        t: col((f) => f.t), motion: col((f) => f.motion), moving: col((f) => f.moving),
+        // 頭の向きは顔ジオメトリが取れたセッションだけ
+        ...(hasPose() && { pose: col((f) => f.pose) }),
+        rois,
+      },
+      bvp,
+      beats,
+      metrics,
+      markers,
+    };
+  }
+
+  // { frames, bvp, beats, metrics, markers } それぞれCSV文字列
+  function toCsv() {
+    const names = roiNames();
+    const pose = hasPose();
+    const frameHeader = ["t_sec"];
+    for (const n of names) frameHeader.push(`${n}_r`, `${n}_g`, `${n}_b`, `${n}_x`, `${n}_y`, `${n}_w`, `${n}_h`);
+    frameHeader.push("motion_score", "moving");
+    if (pose) frameHeader.push("yaw_deg", "pitch_deg", "roll_deg");
+    const frameRows = frames.map((f) => {
+      const row = [f.t];
+      for (const n of names) {
+        const c = f.rgb[n] ?? [null, null, null];
+        const b = f.boxes[n];
+        row.push(...c, ...(b ? [b.x, b.y, b.w, b.h].map((v) => round(v, 4)) : [null, null, null, null]));
+      }
+      row.push(f.motion, f.moving == null ? null : f.moving ? 1 : 0);
+      if (pose) row.push(...(f.pose ?? [null, null, null]));
+      return row;
+    });
+    return {
+      frames: csv(frameHeader, frameRows),
+      bvp: csv(["t_sec", "bvp", "weight"], bvp.t.map((t, i) => [t, bvp.value[i], bvp.weight[i]])),
+      beats: csv(["t_sec", "ibi_sec", "accepted", "reason"], beats.map((b) => [b.t, b.ibi, b.accepted ? 1 : 0, b.reason])),
+      metrics: csv(["t_sec", ...METRIC_COLUMNS.map(([, h]) => h)], metrics.map((m) => [
+        m.t, ...METRIC_COLUMNS.map(([k]) => (typeof m[k] === "boolean" ? (m[k] ? 1 : 0) : m[k])),
+      ])),
+      markers: csv(["t_sec", "kind", "label", "at"], markers.map((m) => [m.t, m.kind, m.label, m.at])),
+    };
+  }
+
+  return {
+    meta,
+    attach,
+    frame,
+    metrics: addMetrics,
+    marker,
+    toJSON,
+    toCsv,
+    stop() { if (detach) detach(); },
+    get frameCount() { return frames.length; },
+    get durationSec() { return frames.length ? frames[frames.length - 1].t : 0; },
+  };
+}
+
+function csv(header, rows) {
+  return [header.join(","), ...rows.map((r) => r.map(cell).join(","))].join("\n");
+}
+
+// 自由入力の文字列（マーカーのラベル）に , " 改行があれば引用符で囲む
+function cell(v) {
+  if (v == null) return "";
+  return typeof v === "string" && /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+function round(v, digits) {
+  const k = 10 ** digits;
+  return Math.round(v * k) / k;
+}
@@ -0,0 +1,203 @@
+import { computeHrv, acceptedBeats } from "./hrv.js";
+import { median } from "./dsp.js";
+
+// 参照機器（胸ベルトなど）のRR/HRとの一致評価
+// - parseReference():  RR間隔またはHRのCSV/テキストを読み、{ kind, t0Ms, beats, hr } へ
+//                      （区切りは , ; タブ 空白。見出しがあれば列名で、なければ「時刻 値」または「値」だけの行として読み、
+//                       RR か HR かは値の範囲で決める）
+// - alignReference():  参照の時刻をセッションの時刻（最初のフレームからの秒）へ。絶対時刻があればそれで合わせ、
+//                      さらに手動のオフセット（秒、+で参照を後ろへずらす）を足す
+// - compareHr():       1秒ごとの推定HRと、同じ長さの窓で平均した参照HRの MAE / RMSE / r / Bland-Altman
+// - compareRmssd():    重ならない窓ごとの RMSSD の誤差
+// セッションは createSessionRecorder().toJSON() の形（startedAt / metrics / beats）。
+
+export const REFERENCE_DEFAULTS = {
+  hrWindowSec: 12,     // 参照HRを平均する窓（推定側のスペクトル窓に合わせる）
+  rmssdWindowSec: 60,  // RMSSDを比べる窓
+  qualityOnly: true,   // 品質ゲートを通った秒だけ比べる
+};
+
+const RR_COLUMN = /\b(rr|rri|ibi|nn)\b|interval/i;
+const HR_COLUMN = /\b(hr|bpm)\b|heart ?rate/i;
+const TIME_COLUMN = /time|date|^t(_sec)?$/i;
+
+export function parseReference(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  if (!lines.length) throw new Error("参照データが空です");
+  const delim = [";", "\t", ","].find((d) => lines[0].includes(d)) ?? /\s+/;
+  let rows = lines.map((l) => l.split(delim).map((c) => c.trim().replace(/^"|"$/g, "")));
+
+  let timeCol = -1, valueCol, kind, unit = null;
+  const hasHeader = rows[0].some((c) => /[a-z]/i.test(c) && !isTimeString(c));
+  if (hasHeader) {
+    const header = rows.shift();
+    const rrCol = header.findIndex((h) => RR_COLUMN.test(h));
+    const hrCol = header.findIndex((h) => HR_COLUMN.test(h));
+    if (rrCol < 0 && hrCol < 0) throw new Error("RR/HRの列が見つかりません（列名に RR / IBI / HR / bpm を含めてください）");
+    kind = rrCol >= 0 ? "rr" : "hr";
+    valueCol = kind === "rr" ? rrCol : hrCol;
+    timeCol = header.findIndex((h) => TIME_COLUMN.test(h));
+    if (kind === "rr") unit = /\bms\b|\[ms\]|msec/i.test(header[rrCol]) ? "ms" : /\[s\]|\bsec\b|\(s\)/i.test(header[rrCol]) ? "s" : null;
+  } else {
+    // 「2024-05-01 10:00:00 812」のように時刻が区切りで分かれた行は、最後の値より前をまとめて時刻にする
+    if (rows[0].length > 2) rows = rows.map((r) => [r.slice(0, -1).join(" "), r[r.length - 1]]);
+    valueCol = rows[0].length - 1;
+    timeCol = rows[0].length > 1 ? 0 : -1;
+  }
+
+  const samples = [];
+  for (const r of rows) {
+    const v = Number(r[valueCol]);
+    if (!Number.isFinite(v) || v <= 0) continue;
+    samples.push({ time: timeCol >= 0 ? parseTime(r[timeCol]) : null, v });
+  }
+  if (samples.length < 2) throw new Error("有効な値が2つ未満です");
+  if (!kind) ({ kind, unit } = inferKind(samples.map((s) => s.v)));
+
+  // 時刻: 絶対時刻（日時・UNIX時刻）なら最初の値を t0Ms に、相対秒ならそのまま。なければRRの累積
+  const times = samples.map((s) => s.time);
+  const hasTime = times.every((x) => x != null);
+  const absolute = hasTime && times[0].absolute;
+  const t0Ms = absolute ? times[0].ms : null;
+
+  if (kind === "rr") {
+    if (!unit) unit = median(samples.map((s) => s.v)) > 3 ? "ms" : "s";
+    const ibis = samples.map((s) => (unit === "ms" ? s.v / 1000 : s.v));
+    // 時刻がなければ最初の拍の直前の拍を t = 0 とし、RRの累積で並べる
+    let acc = 0;
+    const beats = ibis.map((ibi, i) => {
+      acc += ibi;
+      const t = !hasTime ? acc : absolute ? (times[i].ms - t0Ms) / 1000 : times[i].sec;
+      return { t, ibi };
+    });
+    return { kind, t0Ms, beats, hr: beatsToHr(beats) };
+  }
+  const hr = samples.map((s, i) => ({
+    t: !hasTime ? i : absolute ? (times[i].ms - t0Ms) / 1000 : times[i].sec,
+    bpm: s.v,
+  }));
+  return { kind, t0Ms, beats: [], hr };
+}
+
+// sessionStartMs: セッションの t = 0 の絶対時刻（ms）。参照に絶対時刻がなければ参照の t = 0 をセッションの t = 0 とみなす
+export function alignReference(ref, sessionStartMs, offsetSec = 0) {
+  const shift = (ref.t0Ms != null && sessionStartMs != null ? (ref.t0Ms - sessionStartMs) / 1000 : 0) + offsetSec;
+  return {
+    ...ref,
+    shiftSec: shift,
+    beats: ref.beats.map((b) => ({ ...b, t: b.t + shift })),
+    hr: ref.hr.map((h) => ({ ...h, t: h.t + shift })),
+  };
+}
+
+// セッションの t = 0 の絶対時刻（ms）。再生したセッションは元の記録の開始時刻を使う
+export function sessionStartMs(session) {
+  const iso = session.meta?.replayOf?.startedAt ?? session.startedAt;
+  const ms = Date.parse(iso);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// 推定（metrics の hr）と、各秒までの windowSec 秒で平均した参照HRの比較
+export function compareHr(session, ref, { hrWindowSec = REFERENCE_DEFAULTS.hrWindowSec, qualityOnly = REFERENCE_DEFAULTS.qualityOnly } = {}) {
+  const pairs = [];
+  for (const m of session.metrics ?? []) {
+    if (m.hr == null || (qualityOnly && !m.sqiOk)) continue;
+    const r = referenceHrAt(ref, m.t, hrWindowSec);
+    if (r != null) pairs.push({ t: m.t, est: m.hr, ref: r });
+  }
+  return { pairs, stats: agreementStats(pairs.map((p) => p.est), pairs.map((p) => p.ref)) };
+}
+
+// 両方に拍がそろっている区間を windowSec ごとに区切り、RMSSD（ms）を比べる
+export function compareRmssd(session, ref, { rmssdWindowSec = REFERENCE_DEFAULTS.rmssdWindowSec } = {}) {
+  const est = acceptedBeats(session.beats ?? []);
+  if (!est.length || !ref.beats.length) return { windows: [], stats: agreementStats([], []) };
+  const start = Math.max(est[0].t, ref.beats[0].t);
+  const end = Math.min(est[est.length - 1].t, ref.beats[ref.beats.length - 1].t);
+  const windows = [];
+  for (let t0 = start; t0 + rmssdWindowSec <= end; t0 += rmssdWindowSec) {
+    const t1 = t0 + rmssdWindowSec;
+    const inWin = (b) => b.t > t0 && b.t <= t1;
+    const e = computeHrv(est.filter(inWin), Infinity);
+    const r = computeHrv(ref.beats.filter(inWin), Infinity);
+    if (!e || !r) continue;
+    windows.push({ t0, t1, est: e.rmssd, ref: r.rmssd, err: e.rmssd - r.rmssd });
+  }
+  return { windows, stats: agreementStats(windows.map((w) => w.est), windows.map((w) => w.ref)) };
+}
+
+// 推定 est と参照 ref の一致。bias と一致限界（loa = bias ± 1.96 SD）は Bland-Altman
+export function agreementStats(est, ref) {
+  const n = est.length;
+  if (n === 0) return { n, mae: null, rmse: null, r: null, bias: null, sd: null, loa: null };
+  const diff = est.map((e, i) => e - ref[i]);
+  const bias = mean(diff);
+  const sd = n > 1 ? Math.sqrt(diff.reduce((s, d) => s + (d - bias) ** 2, 0) / (n - 1)) : 0;
+  return {
+    n,
+    mae: mean(diff.map(Math.abs)),
+    rmse: Math.sqrt(mean(diff.map((d) => d * d))),
+    r: n > 2 ? pearson(est, ref) : null,
+    bias,
+    sd,
+    loa: [bias - 1.96 * sd, bias + 1.96 * sd],
+  };
+}
+
+// t までの windowSec 秒の参照HR（RRなら 60 / 平均RR、HRなら平均）
+function referenceHrAt(ref, t, windowSec) {
+  if (ref.kind === "rr") {
+    const win = ref.beats.filter((b) => b.t > t - windowSec && b.t <= t && b.ibi >= 0.3 && b.ibi <= 2.0);
+    // 窓の半分以上を拍が覆っていなければ比べない（参照の欠測）
+    const covered = win.reduce((s, b) => s + b.ibi, 0);
+    return win.length >= 2 && covered >= windowSec / 2 ? 60 / (covered / win.length) : null;
+  }
+  const win = ref.hr.filter((h) => h.t > t - windowSec && h.t <= t);
+  return win.length ? mean(win.map((h) => h.bpm)) : null;
+}
+
+// 見出しのない値の種類を中央値の範囲から決める: RR 0.25〜2.5 s / 250〜2500 ms、HR 30〜220 bpm
+function inferKind(values) {
+  const m = median(values);
+  if (m >= 0.25 && m <= 2.5) return { kind: "rr", unit: "s" };
+  if (m >= 250 && m <= 2500) return { kind: "rr", unit: "ms" };
+  if (m >= 30 && m <= 220) return { kind: "hr", unit: null };
+  throw new Error(`値（中央値 ${m}）が RR（0.25〜2.5 s / 250〜2500 ms）にも HR（30〜220 bpm）にも当てはまりません。列名（RR / HR）の見出しを付けてください`);
+}
+
+function beatsToHr(beats) {
+  return beats.filter((b) => b.ibi >= 0.3 && b.ibi <= 2.0).map((b) => ({ t: b.t, bpm: 60 / b.ibi }));
+}
+
+// 日時文字列 → { absolute: true, ms }、数値 → UNIX時刻（s/ms）なら絶対、それ以外は相対秒
+function parseTime(s) {
+  if (s == null || s === "") return null;
+  if (isTimeString(s)) {
+    const ms = Date.parse(s.replace(" ", "T"));
+    return Number.isFinite(ms) ? { absolute: true, ms } : null;
+  }
+  const v = Number(s);
+  if (!Number.isFinite(v)) return null;
+  if (v > 1e12) return { absolute: true, ms: v };
+  if (v > 1e9) return { absolute: true, ms: v * 1000 };
+  return { absolute: false, sec: v };
+}
+
+function isTimeString(s) {
+  return /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(s);
+}
+
+function pearson(a, b) {
+  const ma = mean(a), mb = mean(b);
+  let sab = 0, saa = 0, sbb = 0;
+  for (let i = 0; i < a.length; i++) {
+    sab += (a[i] - ma) * (b[i] - mb);
+    saa += (a[i] - ma) ** 2;
+    sbb += (b[i] - mb) ** 2;
+  }
+  return saa > 0 && sbb > 0 ? sab / Math.sqrt(saa * sbb) : null;
+}
+
+function mean(a) {
+  return a.reduce((s, v) => s + v, 0) / a.length;
+}
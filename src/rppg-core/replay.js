@@ -0,0 +1,92 @@
+import { createRppgProcessor } from "./processor.js";
+import { MOTION_THRESHOLDS } from "./motion.js";
+import { createFocusModel, focusQualityWeight } from "./focus.js";
+import { SESSION_FORMAT, SESSION_VERSION } from "./recorder.js";
+
+// 記録したセッション（createSessionRecorder().toJSON()）の生データをパイプラインに流し直す
+// 入力は記録時刻とROIごとのRGB平均、動きの状態だけなので、同じ設定なら何度流しても同じ出力になる。
+// 設定（帯域・窓長・ピーク閾値など）を変えて同じデータで比較できる。
+// - parseSession():  JSONを検証し、フレーム列 [{ t, rgb: { name: [R,G,B] }, boxes, motion, moving, pose }] へ展開（マーカーはそのまま）
+// - replayOptions(): 記録時の設定（meta）に上書きの設定を重ねたプロセッサのオプション
+// - createMotionReplay(): 動き推定の状態を復元する（moving が記録されていなければスコアと holdSec から推定）
+// - replaySession(): 全フレームを同期的に流し、イベントと集中度をまとめて返す（Node/テスト用）
+
+const EVENT_TYPES = ["sample", "hr", "quality", "ibi", "hrv", "resp", "roi", "sqi", "artifact"];
+// 記録時の meta から引き継ぐプロセッサのオプション
+const META_OPTIONS = ["method", "fs", "interp", "band", "hrWindowSec", "peakThreshold"];
+
+export function parseSession(input) {
+  const s = typeof input === "string" ? JSON.parse(input) : input;
+  if (!s || s.format !== SESSION_FORMAT) throw new Error("セッション記録のJSONではありません");
+  if (s.version > SESSION_VERSION) throw new Error(`未対応のバージョンです (version ${s.version})`);
+  const t = s.frames?.t ?? [];
+  const rois = s.frames?.rois ?? {};
+  const roiNames = Object.keys(rois);
+  if (!t.length || !roiNames.length) throw new Error("フレームが記録されていません");
+
+  const frames = [];
+  t.forEach((ti, i) => {
+    const rgb = {};
+    const boxes = {};
+    for (const name of roiNames) {
+      const c = rois[name];
+      if (c.r[i] == null || c.g[i] == null || c.b[i] == null) continue;
+      rgb[name] = [c.r[i], c.g[i], c.b[i]];
+      const b = c.box?.[i];
+      if (b) boxes[name] = { x: b[0], y: b[1], w: b[2], h: b[3] };
+    }
+    if (Object.keys(rgb).length) {
+      const p = s.frames.pose?.[i];
+      frames.push({
+        t: ti, rgb, boxes, motion: s.frames.motion?.[i] ?? null, moving: s.frames.moving?.[i] ?? null,
+        pose: p ? { yaw: p[0], pitch: p[1], roll: p[2] } : null,
+      });
+    }
+  });
+  return { meta: s.meta ?? {}, startedAt: s.startedAt, roiNames, frames, markers: s.markers ?? [], durationSec: frames[frames.length - 1].t };
+}
+
+export function replayOptions(session, overrides = {}) {
+  const base = { rois: session.roiNames };
+  for (const key of META_OPTIONS) if (session.meta[key] != null) base[key] = session.meta[key];
+  return { ...base, ...overrides };
+}
+
+// 記録した score（各量/閾値 の最大）と moving、頭の向き pose → createMotionEstimator と同じ形の状態（pose 付き）
+export function createMotionReplay(thresholds = {}) {
+  const thr = { ...MOTION_THRESHOLDS, ...thresholds };
+  let lastOverT = -Infinity;
+  return {
+    update(t, score, moving = null, pose = null) {
+      if (score == null) return undefined;
+      if (score > 1) lastOverT = t;
+      const m = { t, score, moving: moving ?? t - lastOverT <= thr.holdSec };
+      return pose ? { ...m, pose } : m;
+    },
+    reset() { lastOverT = -Infinity; },
+  };
+}
+
+// 戻り値 { options, frames, elapsedMs, events: { hr: [...], ..., focus: [{ t, score, state, ... }] } }
+// focus: 集中度モデルのオプション（createFocusModel。baseline はプロファイルのベースライン）
+export function replaySession(session, { options = {}, focus = {} } = {}) {
+  const opts = replayOptions(session, options);
+  const proc = createRppgProcessor(opts);
+  const events = Object.fromEntries([...EVENT_TYPES, "focus"].map((k) => [k, []]));
+  for (const type of EVENT_TYPES) proc.on(type, (e) => events[type].push(e));
+  // 集中度はライブと同じく、1秒ごとのSQIで品質の重みを付けて更新する
+  const model = createFocusModel(focus);
+  let hr = null, rmssd = null;
+  proc.on("hr", ({ bpm }) => { hr = Math.round(bpm); });
+  proc.on("hrv", (h) => { rmssd = Math.round(h.rmssd); });
+  proc.on("sqi", (q) => {
+    const before = model.current;
+    const f = model.update(q.t, { hr, rmssd, quality: focusQualityWeight(q) });
+    if (f && f !== before) events.focus.push(f);
+  });
+
+  const motion = createMotionReplay();
+  const t0 = Date.now();
+  for (const f of session.frames) proc.push(f.t, f.rgb, motion.update(f.t, f.motion, f.moving, f.pose));
+  return { options: proc.options, frames: session.frames.length, elapsedMs: Date.now() - t0, events };
+}
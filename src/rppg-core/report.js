@@ -0,0 +1,287 @@
+import { summarizeSession } from "./summary.js";
+
+// セッションのレポート（1ファイルで完結するHTML。外部のCSS・スクリプト・画像を使わない）
+// 入力は createSessionRecorder().toJSON() か履歴のレコード（startedAt / meta / metrics / beats / markers）。
+// グラフはインラインのSVGなので、そのまま印刷・保存・共有できる。
+// - メタデータ、要約（HR・HRV・集中度・品質のカバー率）
+// - HR / RMSSD / 集中度のトレンド（品質ゲートNGの秒は灰色、マーカーは縦線）と集中度の状態のタイムライン
+// - マーカーの一覧、ベースライン（プロファイル）との比較、前回までのセッションとの比較
+
+const CHART_W = 720;
+const STATE_STYLES = {
+  relaxed: { label: "リラックス", color: "#34d399" },
+  focused: { label: "集中", color: "#818cf8" },
+  strained: { label: "緊張", color: "#fb7185" },
+  fatigued: { label: "疲労", color: "#fbbf24" },
+};
+const SOURCE_LABELS = { camera: "カメラ", demo: "デモ", video: "動画ファイル", replay: "再生" };
+// ベースラインと比べる指標: [要約のキー, ベースラインのキー, 名前, 単位, 小数桁]
+const BASELINE_ROWS = [
+  ["meanHr", "hr", "心拍数", "bpm", 1],
+  ["rmssd", "rmssd", "RMSSD", "ms", 1],
+  ["sdnn", "sdnn", "SDNN", "ms", 1],
+  ["pnn50", "pnn50", "pNN50", "%", 1],
+  ["lfhf", "lfhf", "LF/HF", "", 2],
+];
+
+// options: { baseline, profileName, previous: 履歴のレコード（新しい順）, generatedAt, title }
+export function buildSessionReport(session, options = {}) {
+  const { baseline = null, previous = [], generatedAt = new Date().toISOString(), title = "rPPG セッションレポート" } = options;
+  const meta = session.meta ?? {};
+  const metrics = session.metrics ?? [];
+  const markers = session.markers ?? [];
+  const summary = summarizeSession(session);
+  const durationSec = summary.durationSec;
+  const profileName = options.profileName ?? meta.profile ?? null;
+
+  const metaRows = [
+    ["開始", fmtDateTime(session.startedAt)],
+    ["長さ", fmtDuration(durationSec)],
+    ["入力", SOURCE_LABELS[meta.source] ?? meta.source ?? "—"],
+    ["ファイル", meta.fileName],
+    ["プロファイル", profileName ?? "（未選択）"],
+    ["パルス抽出", meta.method && `${meta.method} / ${meta.fs ?? "?"} Hz（${meta.interp ?? "?"}）`],
+    ["心拍帯域", meta.band && `${meta.band.join("–")} Hz・HR窓 ${meta.hrWindowSec ?? "?"} s`],
+    ["ROI", meta.rois?.join(", ")],
+    ["レポート作成", fmtDateTime(generatedAt)],
+  ].filter(([, v]) => v != null);
+
+  const cards = [
+    ["平均心拍数", fmt(summary.meanHr, 1), "bpm"],
+    ["RMSSD", fmt(summary.rmssd, 1), "ms"],
+    ["SDNN", fmt(summary.sdnn, 1), "ms"],
+    ["pNN50", fmt(summary.pnn50, 1), "%"],
+    ["LF/HF", fmt(summary.lfhf, 2), ""],
+    ["平均集中度", fmt(summary.meanFocus), "/ 100"],
+    ["品質のカバー率", summary.qualityOk == null ? "—" : `${Math.round(summary.qualityOk * 100)}`, "%"],
+    ["拍（採用 / 除外）", `${summary.acceptedBeats} / ${summary.rejectedBeats}`, ""],
+  ];
+
+  const stateSec = Object.fromEntries(Object.keys(STATE_STYLES).map((k) => [k, 0]));
+  for (const m of metrics) if (m.sqiOk && m.focusState in stateSec) stateSec[m.focusState] += 1;
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)} ${esc(fmtDateTime(session.startedAt))}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${esc(title)}</h1>
+<p class="sub">${esc(fmtDateTime(session.startedAt))}・${esc(fmtDuration(durationSec))}${profileName ? `・${esc(profileName)}` : ""}</p>
+
+<section>
+<h2>セッション情報</h2>
+<table class="kv">${metaRows.map(([k, v]) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join("")}</table>
+</section>
+
+<section>
+<h2>要約</h2>
+<div class="cards">${cards.map(([k, v, u]) => `<div class="card"><div class="k">${esc(k)}</div><div class="v">${esc(v)} <small>${esc(u)}</small></div></div>`).join("")}</div>
+<p class="note">平均心拍数・平均集中度は品質ゲートを通った秒だけ、HRVは採用した拍全体から計算しています。</p>
+</section>
+
+<section>
+<h2>トレンド</h2>
+${lineChart(metrics, "hr", { label: "心拍数 (bpm)", color: "#e11d48", durationSec, markers })}
+${lineChart(metrics, "rmssd", { label: "RMSSD (ms)", color: "#10b981", durationSec, markers })}
+${lineChart(metrics, "focus", { label: "集中度 (0–100)", color: "#6366f1", durationSec, markers, range: [0, 100] })}
+${stateBand(metrics, durationSec, markers)}
+<p class="legend">${Object.entries(STATE_STYLES).map(([k, s]) => `<span><i style="background:${s.color}"></i>${s.label} ${esc(fmtDuration(stateSec[k]))}</span>`).join("")}<span><i style="background:#e2e8f0"></i>品質NG・未計測</span></p>
+${qualityBand(metrics, durationSec)}
+</section>
+
+${markers.length ? `<section>
+<h2>マーカー</h2>
+<table class="list"><thead><tr><th>#</th><th>経過</th><th>時刻</th><th>ラベル</th></tr></thead><tbody>
+${markers.map((m, i) => `<tr><td>${i + 1}</td><td>${esc(fmtClock(m.t))}</td><td>${esc(m.at ? new Date(m.at).toLocaleTimeString("ja-JP") : "—")}</td><td>${esc(m.label)}</td></tr>`).join("\n")}
+</tbody></table>
+</section>` : ""}
+
+<section>
+<h2>ベースラインとの比較</h2>
+${baseline ? baselineTable(summary, baseline) : `<p class="note">プロファイルのベースラインがありません（キャリブレーションすると比較できます）。</p>`}
+</section>
+
+<section>
+<h2>前回までのセッションとの比較</h2>
+${previous.length ? previousTable(summary, session.startedAt, previous) : `<p class="note">比較できる過去のセッションがありません。</p>`}
+</section>
+
+<footer>rPPG Focus Monitor で端末内で作成。本レポートは医療目的のものではありません。</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+// 1秒ごとの指標の折れ線。品質ゲートNGの秒は灰色の帯、マーカーは番号つきの縦線
+function lineChart(metrics, key, { label, color, durationSec, markers, range }) {
+  const H = 110, top = 8, bottom = 18, left = 36;
+  const w = CHART_W - left;
+  const vals = metrics.map((m) => m[key]).filter((v) => v != null && Number.isFinite(v));
+  if (!vals.length) return `<div class="chart"><div class="k">${esc(label)}</div><p class="note">データなし</p></div>`;
+  let [min, max] = range ?? [Math.min(...vals), Math.max(...vals)];
+  if (max - min < 1e-9) { min -= 1; max += 1; }
+  const x = (t) => left + (Math.max(0, Math.min(durationSec, t)) / Math.max(1, durationSec)) * w;
+  const y = (v) => top + (1 - (v - min) / (max - min)) * (H - top - bottom);
+  const paths = [];
+  let cur = "";
+  for (const m of metrics) {
+    if (m[key] == null) { if (cur) paths.push(cur); cur = ""; continue; }
+    cur += `${cur ? "L" : "M"}${x(m.t).toFixed(1)},${y(m[key]).toFixed(1)}`;
+  }
+  if (cur) paths.push(cur);
+  return `<div class="chart"><div class="k">${esc(label)}</div>
+<svg viewBox="0 0 ${CHART_W} ${H}" role="img" aria-label="${esc(label)}">
+${gaps(metrics, x, top, H - bottom)}
+<text x="${left - 4}" y="${top + 8}" text-anchor="end">${fmt(max, 0)}</text><text x="${left - 4}" y="${H - bottom}" text-anchor="end">${fmt(min, 0)}</text>
+<line x1="${left}" x2="${CHART_W}" y1="${H - bottom}" y2="${H - bottom}" stroke="#cbd5e1"/>
+${timeTicks(durationSec, x, H - bottom)}
+${paths.map((d) => `<path d="${d}" fill="none" stroke="${color}" stroke-width="1.5"/>`).join("")}
+${markerLines(markers, x, top, H - bottom)}
+</svg></div>`;
+}
+
+// 集中度の状態（品質ゲートを通った秒）を色の帯で
+function stateBand(metrics, durationSec, markers) {
+  const H = 34, left = 36;
+  const x = (t) => left + (Math.max(0, Math.min(durationSec, t)) / Math.max(1, durationSec)) * (CHART_W - left);
+  const rects = runs(metrics, (m) => (m.sqiOk ? m.focusState ?? null : null))
+    .filter((r) => r.value)
+    .map((r) => `<rect x="${x(r.t0 - 1).toFixed(1)}" y="4" width="${Math.max(0.5, x(r.t1) - x(r.t0 - 1)).toFixed(1)}" height="18" fill="${STATE_STYLES[r.value]?.color ?? "#94a3b8"}"><title>${esc(STATE_STYLES[r.value]?.label ?? r.value)} ${esc(fmtClock(r.t0 - 1))}–${esc(fmtClock(r.t1))}</title></rect>`);
+  return `<div class="chart"><div class="k">集中度の状態</div>
+<svg viewBox="0 0 ${CHART_W} ${H}" role="img" aria-label="集中度の状態">
+<rect x="${left}" y="4" width="${CHART_W - left}" height="18" fill="#e2e8f0"/>
+${rects.join("")}
+${markerLines(markers, x, 4, 22)}
+${timeTicks(durationSec, x, 22)}
+</svg></div>`;
+}
+
+// 品質ゲートを通った秒（緑）とそれ以外（灰色）
+function qualityBand(metrics, durationSec) {
+  const H = 30, left = 36;
+  const x = (t) => left + (Math.max(0, Math.min(durationSec, t)) / Math.max(1, durationSec)) * (CHART_W - left);
+  const ok = metrics.filter((m) => m.sqiOk).length;
+  const rects = runs(metrics, (m) => !!m.sqiOk)
+    .filter((r) => r.value)
+    .map((r) => `<rect x="${x(r.t0 - 1).toFixed(1)}" y="4" width="${Math.max(0.5, x(r.t1) - x(r.t0 - 1)).toFixed(1)}" height="12" fill="#22c55e"/>`);
+  const pct = metrics.length ? Math.round((ok / metrics.length) * 100) : 0;
+  return `<div class="chart"><div class="k">品質のカバー率 ${pct}%（品質ゲートを通った ${esc(fmtDuration(ok))} / ${esc(fmtDuration(metrics.length))}）</div>
+<svg viewBox="0 0 ${CHART_W} ${H}" role="img" aria-label="品質のカバー率">
+<rect x="${left}" y="4" width="${CHART_W - left}" height="12" fill="#e2e8f0"/>
+${rects.join("")}
+${timeTicks(durationSec, x, 16)}
+</svg></div>`;
+}
+
+function baselineTable(summary, baseline) {
+  const rows = BASELINE_ROWS.map(([sk, bk, name, unit, digits]) => {
+    const v = summary[sk];
+    const b = baseline[bk];
+    const diff = v != null && b ? v - b.mean : null;
+    const z = diff != null && b.sd > 0 ? diff / b.sd : null;
+    return `<tr><th>${esc(name)}${unit ? ` (${esc(unit)})` : ""}</th><td>${fmt(v, digits)}</td><td>${b ? `${fmt(b.mean, digits)} ± ${fmt(b.sd, digits)}` : "—"}</td><td>${fmtSigned(diff, digits)}</td><td>${z == null ? "—" : `${fmtSigned(z, 1)} SD`}</td></tr>`;
+  });
+  return `<table class="list"><thead><tr><th>指標</th><th>このセッション</th><th>ベースライン（平均 ± SD）</th><th>差</th><th>z</th></tr></thead><tbody>
+${rows.join("\n")}
+</tbody></table>
+<p class="note">ベースライン: ${esc(fmtDateTime(baseline.createdAt))} に ${esc(fmtDuration(baseline.durationSec))} の座位安静で作成（品質OK ${Math.round((baseline.qualityRatio ?? 0) * 100)}%）。</p>`;
+}
+
+// このセッションより前のもの（最大5件）と、その平均
+function previousTable(summary, startedAt, previous) {
+  const prev = previous.filter((p) => p.startedAt < startedAt && p.summary).slice(0, 5);
+  if (!prev.length) return `<p class="note">比較できる過去のセッションがありません。</p>`;
+  const cols = [["durationSec", null], ["meanHr", 1], ["rmssd", 1], ["sdnn", 1], ["meanFocus", 0], ["qualityOk", null]];
+  const cell = (s, [k, digits]) => (k === "durationSec" ? esc(fmtDuration(s[k])) : k === "qualityOk" ? (s[k] == null ? "—" : `${Math.round(s[k] * 100)}%`) : fmt(s[k], digits));
+  const avg = Object.fromEntries(cols.map(([k]) => {
+    const v = prev.map((p) => p.summary[k]).filter((x) => x != null);
+    return [k, v.length ? v.reduce((a, b) => a + b, 0) / v.length : null];
+  }));
+  return `<table class="list"><thead><tr><th>開始</th><th>長さ</th><th>平均HR</th><th>RMSSD</th><th>SDNN</th><th>集中度</th><th>品質OK</th></tr></thead><tbody>
+<tr class="this"><td>このセッション</td>${cols.map((c) => `<td>${cell(summary, c)}</td>`).join("")}</tr>
+${prev.map((p) => `<tr><td>${esc(fmtDateTime(p.startedAt))}</td>${cols.map((c) => `<td>${cell(p.summary, c)}</td>`).join("")}</tr>`).join("\n")}
+<tr class="avg"><td>過去${prev.length}件の平均</td>${cols.map((c) => `<td>${cell(avg, c)}</td>`).join("")}</tr>
+</tbody></table>`;
+}
+
+// 1秒ごとの行を同じ値の連続区間 [{ value, t0, t1 }] へ
+function runs(metrics, fn) {
+  const out = [];
+  for (const m of metrics) {
+    const value = fn(m);
+    const last = out[out.length - 1];
+    if (last && last.value === value && m.t - last.t1 <= 1.5) last.t1 = m.t;
+    else out.push({ value, t0: m.t, t1: m.t });
+  }
+  return out;
+}
+
+function gaps(metrics, x, y0, y1) {
+  return runs(metrics, (m) => !m.sqiOk)
+    .filter((r) => r.value)
+    .map((r) => `<rect x="${x(r.t0 - 1).toFixed(1)}" y="${y0}" width="${Math.max(0.5, x(r.t1) - x(r.t0 - 1)).toFixed(1)}" height="${y1 - y0}" fill="#f1f5f9"/>`)
+    .join("");
+}
+
+function markerLines(markers, x, y0, y1) {
+  return markers.map((m, i) => `<line x1="${x(m.t).toFixed(1)}" x2="${x(m.t).toFixed(1)}" y1="${y0}" y2="${y1}" stroke="#f59e0b" stroke-dasharray="3 2"><title>${esc(m.label)}</title></line><text x="${(x(m.t) + 2).toFixed(1)}" y="${y0 + 8}" class="mk">${i + 1}</text>`).join("");
+}
+
+// 目盛りは 8 本以下になる分刻み
+function timeTicks(durationSec, x, y) {
+  const steps = [30, 60, 120, 300, 600, 900, 1800, 3600];
+  const step = steps.find((s) => durationSec / s <= 8) ?? 7200;
+  const out = [];
+  for (let t = 0; t <= durationSec; t += step) out.push(`<text x="${x(t).toFixed(1)}" y="${y + 12}" text-anchor="middle">${fmtClock(t)}</text>`);
+  return out.join("");
+}
+
+const STYLE = `
+body{font-family:system-ui,-apple-system,"Hiragino Sans","Noto Sans JP",sans-serif;color:#0f172a;background:#f8fafc;margin:0}
+main{max-width:800px;margin:0 auto;padding:24px;background:#fff}
+h1{font-size:22px;margin:0}h2{font-size:16px;margin:0 0 8px;border-bottom:1px solid #e2e8f0;padding-bottom:4px}
+section{margin-top:20px;break-inside:avoid}.sub,.note{color:#64748b;font-size:12px}
+table{border-collapse:collapse;font-size:13px;width:100%}th,td{text-align:left;padding:3px 8px 3px 0}
+.kv th{width:120px;color:#64748b;font-weight:normal}.list thead th{color:#64748b;font-weight:normal;font-size:12px}
+.list tbody tr{border-top:1px solid #f1f5f9}.list .this{font-weight:600}.list .avg{color:#64748b}
+.cards{display:grid;grid-template-columns:repeat(4,1fr);gap:8px}.card{border:1px solid #e2e8f0;border-radius:8px;padding:8px}
+.card .k,.chart .k{font-size:12px;color:#64748b}.card .v{font-size:20px;font-weight:600}.card small{font-size:11px;color:#94a3b8;font-weight:normal}
+.chart{margin-top:10px}svg{width:100%;height:auto;display:block}svg text{font-size:10px;fill:#64748b}svg .mk{fill:#b45309}
+.legend{font-size:12px;color:#475569;display:flex;flex-wrap:wrap;gap:12px}.legend i{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:4px;vertical-align:middle}
+footer{margin-top:24px;font-size:11px;color:#94a3b8}
+@media print{body{background:#fff}main{padding:0}}
+`;
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function fmt(v, digits = 0) {
+  return v == null || !Number.isFinite(v) ? "—" : v.toFixed(digits);
+}
+
+function fmtSigned(v, digits = 0) {
+  return v == null ? "—" : `${v > 0 ? "+" : v < 0 ? "−" : "±"}${Math.abs(v).toFixed(digits)}`;
+}
+
+function fmtClock(sec) {
+  const s = Math.max(0, Math.round(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function fmtDuration(sec) {
+  if (sec == null) return "—";
+  const s = Math.round(sec);
+  return s >= 60 ? `${Math.floor(s / 60)}分${s % 60}秒` : `${s}秒`;
+}
+
+function fmtDateTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString("ja-JP", { year: "numeric", month: "numeric", day: "numeric", weekday: "short", hour: "2-digit", minute: "2-digit" });
+}
@@ -0,0 +1,78 @@
+// 不等間隔サンプル（rAFのジッタを含むフレーム時刻）を一定レートの時間格子へ再標本化する
+// - "linear": 直前2点の線形補間（遅延なし）
+// - "cubic":  区分3次エルミート補間（接線は不等間隔の中心差分）。1サンプルぶん遅延する
+// push(t, values) は新たに確定した格子点 [{ t, values }] を返す（0個のこともある）。
+// maxGapSec を超える欠落（カメラ停止など）があれば格子を張り直す。
+
+export const INTERPOLATIONS = ["cubic", "linear"];
+
+export function createResampler(fs, { interp = "cubic", maxGapSec = 1.0 } = {}) {
+  const dtGrid = 1 / fs;
+  let pts = [];      // 直近の入力点 { t, v }（最大4点）
+  let t0 = null;     // 格子の起点（誤差が累積しないよう t0 + k/fs で格子時刻を作る）
+  let k = 0;
+
+  function reset() {
+    pts = [];
+    t0 = null;
+    k = 0;
+  }
+
+  function push(t, values) {
+    const last = pts[pts.length - 1];
+    if (last && t <= last.t) return []; // 重複・逆行は捨てる
+    if (last && t - last.t > maxGapSec) reset();
+
+    pts.push({ t, v: values });
+    if (pts.length > 4) pts.shift();
+    if (t0 == null) t0 = t;
+    let nextT = t0 + k * dtGrid;
+
+    const out = [];
+    if (interp === "linear") {
+      if (pts.length < 2) return out;
+      const a = pts[pts.length - 2], b = pts[pts.length - 1];
+      while (nextT <= b.t) {
+        out.push({ t: nextT, values: lerp(a, b, nextT) });
+        nextT = t0 + ++k * dtGrid;
+      }
+      return out;
+    }
+
+    // cubic: 区間 [p1, p2] は p3 が届いた時点で確定（先頭区間は p0 = p1 として扱う）
+    if (pts.length < 3) return out;
+    const n = pts.length;
+    const p1 = pts[n - 3], p2 = pts[n - 2], p3 = pts[n - 1];
+    const p0 = n >= 4 ? pts[n - 4] : p1;
+    const m1 = slope(p0, p2);
+    const m2 = slope(p1, p3);
+    while (nextT < p2.t) {
+      out.push({ t: nextT, values: hermite(p1, p2, m1, m2, nextT) });
+      nextT = t0 + ++k * dtGrid;
+    }
+    return out;
+  }
+
+  return { fs, interp, push, reset };
+}
+
+function lerp(a, b, t) {
+  const u = (t - a.t) / (b.t - a.t);
+  return a.v.map((va, i) => va + (b.v[i] - va) * u);
+}
+
+function slope(a, b) {
+  const dt = b.t - a.t;
+  return a.v.map((va, i) => (dt > 0 ? (b.v[i] - va) / dt : 0));
+}
+
+function hermite(p1, p2, m1, m2, t) {
+  const h = p2.t - p1.t;
+  const u = (t - p1.t) / h;
+  const u2 = u * u, u3 = u2 * u;
+  const h00 = 2 * u3 - 3 * u2 + 1;
+  const h10 = u3 - 2 * u2 + u;
+  const h01 = -2 * u3 + 3 * u2;
+  const h11 = u3 - u2;
+  return p1.v.map((v1, i) => h00 * v1 + h10 * h * m1[i] + h01 * p2.v[i] + h11 * h * m2[i]);
+}
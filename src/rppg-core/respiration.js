@@ -0,0 +1,74 @@
+import { lombScargle } from "./hrv.js";
+
+// 脈波からの呼吸数推定
+// 呼吸は脈波を3通りに変調する。拍ごとに以下を取り出し、それぞれの周期性から呼吸数を求める：
+// - bw: 基線変動（baseline wander） … 拍区間の生パルス信号の平均
+// - am: 振幅変調（amplitude modulation）… 拍のピーク−谷の振幅
+// - fm: 周波数変調（RSA）             … IBI
+// 各系列は拍の時刻で不等間隔なので Lomb-Scargle で 6–30 回/分 の帯域を調べ、
+// 帯域内パワーのうちピーク周辺が占める割合（白色雑音なら0になるよう補正）を品質（0–1）とする。
+// 融合は最も品質の高い推定を軸に、それと 4 回/分 以内で一致する推定だけを品質で重み付け平均し、
+// 推定どうしのばらつきで全体の品質を下げる。
+
+export const RESP_BAND = [0.1, 0.5]; // Hz（6–30 回/分）
+const MIN_SPAN = 20;      // 推定に必要な最小区間（秒）
+const MIN_QUALITY = 0.3;  // これ未満の推定は融合に使わない
+const PEAK_HALF_WIDTH = 0.03; // 品質計算でピークとみなす幅 (Hz)
+const AGREE_BPM = 4;      // 融合に含める一致幅（回/分）
+
+// beats: [{ t, ibi, amp, base }]
+export function estimateRespiration(beats, windowSec = 60) {
+  if (beats.length === 0) return null;
+  const tEnd = beats[beats.length - 1].t;
+  const win = beats.filter((b) => b.t >= tEnd - windowSec);
+  if (win.length < 8 || tEnd - win[0].t < MIN_SPAN) return null;
+
+  const t = win.map((b) => b.t);
+  const estimates = {
+    bw: modulationRate(t, win.map((b) => b.base)),
+    am: modulationRate(t, win.map((b) => b.amp)),
+    fm: modulationRate(t, win.map((b) => b.ibi)),
+  };
+
+  const usable = Object.values(estimates).filter((e) => e && e.quality >= MIN_QUALITY);
+  if (usable.length === 0) return { rate: null, quality: 0, estimates };
+  const best = usable.reduce((a, e) => (e.quality > a.quality ? e : a));
+  const fused = usable.filter((e) => Math.abs(e.rate - best.rate) <= AGREE_BPM);
+  const wSum = fused.reduce((s, e) => s + e.quality, 0);
+  const rate = fused.reduce((s, e) => s + e.rate * e.quality, 0) / wSum;
+
+  // 使える推定のうち一致しないものがあれば品質を下げる
+  const quality = (wSum / fused.length) * (fused.length / usable.length);
+
+  return { rate, quality, estimates };
+}
+
+// 1系列の呼吸数（回/分）と品質
+function modulationRate(t, y) {
+  if (y.some((v) => v == null || !isFinite(v))) return null;
+  const span = t[t.length - 1] - t[0];
+  const df = Math.min(0.005, 1 / (4 * span));
+  const freqs = [];
+  for (let f = RESP_BAND[0]; f <= RESP_BAND[1]; f += df) freqs.push(f);
+  const { powers } = lombScargle(t, y, freqs);
+
+  let k = 0;
+  for (let i = 1; i < powers.length; i++) if (powers[i] > powers[k]) k = i;
+  const total = powers.reduce((s, p) => s + p, 0);
+  if (!(total > 0)) return null;
+
+  // ピーク周辺に集中しているほど周期的。白色雑音での期待値 noise を0に合わせる
+  let near = 0;
+  freqs.forEach((f, i) => { if (Math.abs(f - freqs[k]) <= PEAK_HALF_WIDTH) near += powers[i]; });
+  const noise = Math.min(0.9, (2 * PEAK_HALF_WIDTH + df) / (RESP_BAND[1] - RESP_BAND[0]));
+  const quality = Math.max(0, (near / total - noise) / (1 - noise));
+
+  // 放物線補間でビン間のピーク位置を求める
+  let f0 = freqs[k];
+  if (k > 0 && k < powers.length - 1) {
+    const a = powers[k - 1], b = powers[k], c = powers[k + 1];
+    const den = a - 2 * b + c;
+    if (den !== 0) f0 += 0.5 * (a - c) / den * df;
+  }
+  return { rate: f0 * 60, quality };
+}
@@ -0,0 +1,65 @@
+import { createPulseExtractor } from "./pulse.js";
+import { movingAverageTail, goertzelSpectrum, argmax, median, makeBiquadHP, makeBiquadLP } from "./dsp.js";
+
+// ROI 1つぶんの信号チェーン（パルス抽出 → デトレンド → HP/LP）
+// 入力は一定レートの格子点。出力はROIごとに振幅がまちまちなので、
+// 融合しやすいよう直近の標準偏差（EMA）で正規化して返す。
+// updateQuality() で直近 hrWindowSec 秒のSNR（ピーク/中央値パワー比）を更新する。
+
+const NORM_TAU_SEC = 5;   // 振幅正規化のEMA時定数
+const BASE_TAU_SEC = 10;  // 生信号の平均（基線）のEMA時定数
+
+export function createRoiChannel(name, opts) {
+  const fs = opts.fs;
+  const pulse = createPulseExtractor(opts.method, fs);
+  const hp = makeBiquadHP(fs, opts.band[0]);
+  const lp = makeBiquadLP(fs, opts.band[1]);
+  const detrendWin = Math.max(5, Math.floor(1.0 * fs));
+  const raw = [];  // デトレンド用（直近1秒）
+  const bvp = [];  // SNR用（直近 hrWindowSec 秒、正規化前）
+  let power = 0;
+  let base = 0;
+  let n = 0;
+
+  const ch = {
+    name,
+    snr: null,
+    weight: 0,
+    // 格子点1つ → 確定したサンプル { t, bvp, raw }（CHROM/POSの窓が埋まるまでは null）
+    push(t, rgb) {
+      const out = pulse.push(t, rgb);
+      if (!out) return null;
+
+      // Detrend ~1s moving average
+      raw.push(out.value);
+      if (raw.length > detrendWin) raw.shift();
+      const detr = out.value - movingAverageTail(raw, detrendWin);
+      const y = lp.step(hp.step(detr));
+      bvp.push(y);
+      if (bvp.length > opts.hrWindowSec * fs) bvp.shift();
+
+      // 立ち上がりは累積平均、時定数ぶん溜まったらEMA
+      n++;
+      power += (y * y - power) / Math.min(n, NORM_TAU_SEC * fs);
+      base += (out.value - base) / Math.min(n, BASE_TAU_SEC * fs);
+      const sd = Math.sqrt(power) || 1;
+      return { t: out.t, bvp: y / sd, raw: (out.value - base) / sd };
+    },
+    updateQuality() {
+      if (bvp.length < fs * 4) return (ch.snr = null);
+      const spec = goertzelSpectrum(bvp, fs, opts.band, 120);
+      const med = median(spec.powers);
+      ch.snr = med > 0 ? spec.powers[argmax(spec.powers)] / med : null;
+      return ch.snr;
+    },
+  };
+  return ch;
+}
+
+// SNRに応じたROIの重み（合計1）。雑音レベル（SNR≈1）以下のROIは使わない。
+// どのROIも基準に満たなければ均等に扱う
+export function fusionWeights(channels) {
+  const raw = channels.map((c) => Math.max(0, (c.snr ?? 1) - 1));
+  const sum = raw.reduce((s, v) => s + v, 0);
+  return raw.map((v) => (sum > 0 ? v / sum : 1 / channels.length));
+}
@@ -0,0 +1,923 @@
+import { createRppgProcessor } from "./processor.js";
+import { createPulseExtractor } from "./pulse.js";
+import { createResampler } from "./resample.js";
+import { goertzelSpectrum, argmax, interpolatePeak, makeBiquadHP, makeBiquadLP } from "./dsp.js";
+import { createHrTracker } from "./hrTracker.js";
+import { deHaanSnr, createBeatSqi } from "./sqi.js";
+import { createSessionRecorder, SESSION_FORMAT, SESSION_VERSION } from "./recorder.js";
+import { summarizeSession, aggregateTrends } from "./summary.js";
+import { parseSession, replaySession } from "./replay.js";
+import { parseReference, alignReference, sessionStartMs, compareHr, compareRmssd } from "./reference.js";
+import { parseUbfcGroundTruth, parsePureGroundTruth, parseRgbTrace, evaluateSubject, summarizeBenchmark } from "./benchmark.js";
+import { createCalibration } from "./calibration.js";
+import { createFocusModel } from "./focus.js";
+import { summarizeBlock, createStrainWatch, blocksByDay } from "./blocks.js";
+import { buildSessionReport } from "./report.js";
+import { computeRMSSD, computeHrv } from "./hrv.js";
+import { estimateRespiration } from "./respiration.js";
+import { createMotionEstimator, MOTION_THRESHOLDS } from "./motion.js";
+import { createSkinModel, polygonMask, SKIN_LABELS } from "./skin.js";
+import { poseFromMatrix, poseWeight, poseOffAxis } from "./pose.js";
+
+// アルゴリズム妥当性の自己テスト（UIの「自己テスト」と `npm test` の両方から実行）
+// 乱数はシード固定なので、結果は毎回同じになる。
+// 戻り値: [{ name, pass, detail }]
+export function runSelfTests() {
+  const tests = [
+    testGoertzelHR,
+    testPeakInterpolation,
+    testHrTrackerHarmonics,
+    testHrTrackerFollows,
+    testHrTrackerRelock,
+    testHrTrackerGridChange,
+    testRMSSD,
+    testHrvTimeDomain,
+    testHrvGaps,
+    testHrvFrequency(0.25, "HF"),
+    testHrvFrequency(0.1, "LF"),
+    testRespirationFusion,
+    testBiquadHP,
+    testBiquadLP,
+    testPulseMethod("GREEN", 0),
+    testPulseMethod("CHROM", 0.1),
+    testPulseMethod("POS", 0.1),
+    testResampleLinear,
+    testResampleCubic,
+    testProcessorHR,
+    testProcessorIBI,
+    testProcessorSampleCount,
+    testProcessorJitter,
+    testProcessorRespiration,
+    testMultiRoiFusion,
+    testMotionEstimator,
+    testProcessorMotionGate,
+    testSkinMask,
+    testHeadPose,
+    testDeHaanSnr,
+    testBeatSqi,
+    testProcessorSqiGate,
+    testSessionRecorder,
+    testSessionSummary,
+    testSessionReplay,
+    testReferenceAgreement,
+    testReferenceHeaderless,
+    testBenchmarkFormats,
+    testCalibration,
+    testFocusModel,
+    testWorkBlocks,
+    testSessionReport,
+    testProcessorDeterministic,
+  ];
+  return tests.map((fn) => {
+    try {
+      return fn();
+    } catch (e) {
+      return { name: fn.name || "unknown", pass: false, detail: `threw ${e?.message ?? e}` };
+    }
+  });
+}
+
+// HR spectral test at ~72 bpm
+function testGoertzelHR() {
+  const rand = mulberry32(1);
+  const fs = 30, dur = 12;
+  const x = [];
+  for (let n = 0; n < fs * dur; n++) {
+    const t = n / fs;
+    x.push(8 * Math.sin(2 * Math.PI * 1.2 * t) + (rand() - 0.5) * 1.5);
+  }
+  const spec = goertzelSpectrum(x, fs, [0.7, 3.0], 120);
+  const hr = spec.freqs[argmax(spec.powers)] * 60;
+  return { name: "HR推定(72bpm)", pass: Math.abs(hr - 72) <= 3, detail: `got ${hr.toFixed(1)} bpm` };
+}
+
+// RMSSD test with known IBIs
+// 73.7bpm はビン（約1.16bpm刻み）の間に落ちる。補間でビン幅より十分細かく求まる
+function testPeakInterpolation() {
+  const fs = 30, hz = 73.7 / 60;
+  const x = Array.from({ length: fs * 12 }, (_, n) => Math.sin(2 * Math.PI * hz * n / fs));
+  const spec = goertzelSpectrum(x, fs, [0.7, 3.0], 120);
+  const k = argmax(spec.powers);
+  const binErr = Math.abs(spec.freqs[k] * 60 - 73.7);
+  const interpErr = Math.abs(interpolatePeak(spec.freqs, spec.powers, k) * 60 - 73.7);
+  return { name: "ピークのビン間補間", pass: interpErr < 0.2 && interpErr < binErr, detail: `誤差 ビン ${binErr.toFixed(2)} → 補間 ${interpErr.toFixed(2)} bpm` };
+}
+
+// ビン数が同じまま帯域だけ変わっても（0.7〜3.0Hz → 0.3〜3.0Hz）、前の経路を引き継がずに取り直す
+// 引き継ぐと、72bpm だったビン番号が新しい格子では 53bpm になり、そこの小さなピークに留まってしまう
+function testHrTrackerGridChange() {
+  const tracker = createHrTracker();
+  for (let s = 0; s < 20; s++) tracker.update(s, syntheticSpectrum([[72, 1]], s));
+  const r = tracker.update(20, syntheticSpectrum([[72, 1], [53, 0.3]], 20, [0.3, 3.0]));
+  return { name: "HR追跡(周波数ビンの変更)", pass: Math.abs(r.bpm - 72) <= 1, detail: `変更直後 ${r.bpm.toFixed(1)} bpm` };
+}
+
+// 72bpm の中に、ときどき倍音（144bpm）や雑音ピーク（100bpm）が最大になるフレームが混ざる
+function testHrTrackerHarmonics() {
+  const tracker = createHrTracker();
+  const raw = [], tracked = [];
+  for (let s = 0; s < 60; s++) {
+    const peaks = [[72, 1]];
+    if (s % 7 === 3) peaks.push([144, 2.5]);
+    if (s % 11 === 5) peaks.push([100, 2]);
+    const r = tracker.update(s, syntheticSpectrum(peaks, s));
+    raw.push(r.raw);
+    tracked.push(r.bpm);
+  }
+  const maxErr = (a) => Math.max(...a.slice(3).map((b) => Math.abs(b - 72)));
+  return { name: "HR追跡(倍音・雑音ピーク)", pass: maxErr(tracked) <= 2, detail: `最大誤差 生 ${maxErr(raw).toFixed(0)} → 追跡 ${maxErr(tracked).toFixed(1)} bpm` };
+}
+
+// 持続する変化（20秒で72→96bpm）には遅れずについていく
+function testHrTrackerFollows() {
+  const tracker = createHrTracker();
+  let r, lag = 0;
+  for (let s = 0; s < 40; s++) {
+    const hr = s < 10 ? 72 : Math.min(96, 72 + 1.2 * (s - 10));
+    r = tracker.update(s, syntheticSpectrum([[hr, 1]], s));
+    lag = Math.max(lag, Math.abs(r.bpm - hr));
+  }
+  return { name: "HR追跡(72→96bpm 漸増)", pass: lag <= 3 && Math.abs(r.bpm - 96) <= 1, detail: `最終 ${r.bpm.toFixed(1)} bpm, 最大ずれ ${lag.toFixed(1)} bpm` };
+}
+
+// 開始直後は倍音（150bpm）が最大 → 以後は基本波（75bpm）が最大。誤ロックから戻れる
+function testHrTrackerRelock() {
+  const tracker = createHrTracker();
+  let r, back = null;
+  for (let s = 0; s < 40; s++) {
+    const peaks = s < 5 ? [[75, 1], [150, 2]] : [[75, 2], [150, 1]];
+    r = tracker.update(s, syntheticSpectrum(peaks, s));
+    if (back == null && s >= 5 && Math.abs(r.bpm - 75) <= 2) back = s - 5;
+  }
+  return { name: "HR追跡(誤ロックからの復帰)", pass: back != null && back <= 15 && Math.abs(r.bpm - 75) <= 2, detail: `復帰まで ${back ?? "—"} 秒, 最終 ${r.bpm.toFixed(1)} bpm` };
+}
+
+function testRMSSD() {
+  const rm = computeRMSSD([1.0, 1.0, 1.0, 1.04, 1.0]);
+  // manual RMSSD = sqrt(mean([0,0,40,-40]^2)) = sqrt(mean([0,0,1600,1600])) = sqrt(800) ≈ 28.3ms
+  return { name: "RMSSD推定", pass: Math.abs(rm - 28.3) <= 0.5, detail: `got ${rm.toFixed(1)} ms` };
+}
+
+// 0.8s/0.9s の交互IBI: 差分は常に ±100ms
+function testHrvTimeDomain() {
+  const beats = [];
+  let t = 0;
+  for (let i = 0; i < 60; i++) { const ibi = i % 2 ? 0.9 : 0.8; t += ibi; beats.push({ t, ibi }); }
+  const h = computeHrv(beats, 60);
+  const pass = Math.abs(h.meanNN - 850) < 2 && Math.abs(h.rmssd - 100) < 0.5
+    && h.pnn50 === 100 && Math.abs(h.sd1 - 100 * Math.SQRT1_2) < 2;
+  return {
+    name: "HRV時間領域(交互IBI)",
+    pass,
+    detail: `meanNN ${h.meanNN.toFixed(0)}, RMSSD ${h.rmssd.toFixed(1)}, pNN50 ${h.pnn50.toFixed(0)}%, SD1 ${h.sd1.toFixed(1)}, SD2 ${h.sd2.toFixed(1)}`,
+  };
+}
+
+// 一定のIBIの途中で拍を除外（前後でIBIが 0.8s → 0.9s に変わる）。範囲外のIBIも1つ混ぜる
+// 除外をまたいだ差を取らなければ RMSSD・pNN50・SD1 は 0 のまま
+function testHrvGaps() {
+  const beats = [];
+  let t = 0;
+  for (let i = 0; i < 60; i++) {
+    if (i === 20) { t += 0.8; continue; } // 動きで除外した拍（記録されない）
+    const ibi = i === 40 ? 2.5 : i > 20 ? 0.9 : 0.8;
+    t += ibi;
+    beats.push({ t, ibi, gapBefore: i === 21 });
+  }
+  const h = computeHrv(beats, 60);
+  const naive = computeHrv(beats.map(({ t, ibi }) => ({ t, ibi })), 60);
+  const pass = h.rmssd < 1e-6 && h.pnn50 === 0 && h.sd1 < 1e-6 && naive.rmssd > 10;
+  return {
+    name: "HRV: 除外した拍をまたがない",
+    pass,
+    detail: `RMSSD ${h.rmssd.toFixed(2)} (跨ぐと ${naive.rmssd.toFixed(1)}), pNN50 ${h.pnn50.toFixed(0)}%, SD1 ${h.sd1.toFixed(2)}`,
+  };
+}
+
+// IBIを fMod Hz で変調 → 対応する帯域（LF/HF）が優勢になるか（Lomb-Scargle）
+function testHrvFrequency(fMod, band) {
+  const test = () => {
+    const beats = [];
+    let t = 0;
+    while (t < 300) {
+      const ibi = 0.85 + 0.05 * Math.sin(2 * Math.PI * fMod * t);
+      t += ibi;
+      beats.push({ t, ibi });
+    }
+    const h = computeHrv(beats, 300);
+    const pass = band === "HF" ? h.hf > 5 * h.lf : h.lf > 5 * h.hf;
+    return {
+      name: `HRV周波数領域(${fMod}Hz→${band})`,
+      pass,
+      detail: `LF ${h.lf.toFixed(0)} ms², HF ${h.hf.toFixed(0)} ms², LF/HF ${h.lfhf.toFixed(2)}`,
+    };
+  };
+  Object.defineProperty(test, "name", { value: `HRV周波数領域(${band})` });
+  return test;
+}
+
+// 0.25Hz（15回/分）の呼吸で BW/AM/FM を変調した拍列（AMだけ雑音）
+function testRespirationFusion() {
+  const rand = mulberry32(9);
+  const beats = [];
+  let t = 0;
+  while (t < 60) {
+    const resp = Math.sin(2 * Math.PI * 0.25 * t);
+    const ibi = 0.85 + 0.04 * resp;
+    t += ibi;
+    beats.push({ t, ibi, amp: 1 + rand(), base: 0.5 * resp + 0.05 * (rand() - 0.5) });
+  }
+  const r = estimateRespiration(beats, 60);
+  const q = (k) => `${k} ${r.estimates[k].rate.toFixed(1)}(${r.estimates[k].quality.toFixed(2)})`;
+  return {
+    name: "呼吸数融合(15回/分)",
+    pass: Math.abs(r.rate - 15) <= 1 && r.quality > 0.5,
+    detail: `got ${r.rate.toFixed(1)} /min, q ${r.quality.toFixed(2)} — ${["bw", "am", "fm"].map(q).join(", ")}`,
+  };
+}
+
+// HPは直流を落とす
+function testBiquadHP() {
+  const hp = makeBiquadHP(30, 0.7);
+  let y = 0;
+  for (let n = 0; n < 300; n++) y = hp.step(1);
+  return { name: "ハイパス(直流除去)", pass: Math.abs(y) < 0.01, detail: `DC出力 ${y.toFixed(4)}` };
+}
+
+// LPは直流を通し、帯域外(10Hz)を減衰させる
+function testBiquadLP() {
+  const fs = 30;
+  const lp = makeBiquadLP(fs, 3.0);
+  let dc = 0;
+  for (let n = 0; n < 300; n++) dc = lp.step(1);
+  const lp2 = makeBiquadLP(fs, 3.0);
+  let peak = 0;
+  for (let n = 0; n < 300; n++) {
+    const y = lp2.step(Math.sin(2 * Math.PI * 10 * n / fs));
+    if (n > 150) peak = Math.max(peak, Math.abs(y));
+  }
+  const pass = Math.abs(dc - 1) < 0.01 && peak < 0.2;
+  return { name: "ローパス(3Hz)", pass, detail: `DC ${dc.toFixed(3)}, 10Hz振幅 ${peak.toFixed(3)}` };
+}
+
+// 照明のゆらぎ（flicker, 全チャンネル共通の乗算成分）下で72bpmを復元できるか
+function testPulseMethod(method, flicker) {
+  const test = () => {
+    const fs = 30;
+    const rgbs = syntheticRgb({ fs, dur: 20, hz: 1.2, flicker, seed: 2 });
+    const ex = createPulseExtractor(method, fs);
+    const out = [];
+    rgbs.forEach(({ t, rgb }) => { const o = ex.push(t, rgb); if (o) out.push(o.value); });
+    const mean = out.reduce((s, v) => s + v, 0) / out.length;
+    const spec = goertzelSpectrum(out.map((v) => v - mean), fs, [0.7, 3.0], 120);
+    const hr = spec.freqs[argmax(spec.powers)] * 60;
+    const cond = flicker ? `照明ゆらぎ${flicker * 100}%` : "照明一定";
+    return { name: `${method}抽出(72bpm, ${cond})`, pass: Math.abs(hr - 72) <= 3, detail: `got ${hr.toFixed(1)} bpm` };
+  };
+  Object.defineProperty(test, "name", { value: `${method}抽出` });
+  return test;
+}
+
+// プロセッサ全体（RGB → HR）
+function testProcessorHR() {
+  const { events } = runProcessor({ method: "POS" }, syntheticRgb({ fs: 30, dur: 30, hz: 1.2, flicker: 0.05, seed: 3 }));
+  const hr = events.hr.at(-1)?.bpm;
+  return { name: "プロセッサHR(POS, 72bpm)", pass: hr != null && Math.abs(hr - 72) <= 3, detail: `got ${hr?.toFixed(1) ?? "none"} bpm` };
+}
+
+// 一次関数は線形補間で厳密に再現され、格子は 1/fs 刻み
+function testResampleLinear() {
+  const rs = createResampler(30, { interp: "linear" });
+  const out = [];
+  const ts = [0, 0.031, 0.07, 0.09, 0.141, 0.18, 0.2];
+  for (const t of ts) out.push(...rs.push(t, [2 * t + 1]));
+  const maxErr = Math.max(...out.map((g) => Math.abs(g.values[0] - (2 * g.t + 1))));
+  const steps = out.slice(1).map((g, i) => g.t - out[i].t);
+  const pass = out.length === 7 && maxErr < 1e-9 && steps.every((d) => Math.abs(d - 1 / 30) < 1e-9);
+  return { name: "再標本化(線形)", pass, detail: `${out.length} points, max err ${maxErr.toExponential(1)}` };
+}
+
+// ジッタのある時刻で取った正弦波を3次補間で一定格子に戻す
+function testResampleCubic() {
+  const rand = mulberry32(6);
+  const rs = createResampler(30, { interp: "cubic" });
+  let maxErr = 0, n = 0;
+  for (let t = 0; t < 5; t += 1 / 30 + (rand() - 0.5) * 0.012) {
+    for (const g of rs.push(t, [Math.sin(2 * Math.PI * 1.2 * t)])) {
+      maxErr = Math.max(maxErr, Math.abs(g.values[0] - Math.sin(2 * Math.PI * 1.2 * g.t)));
+      n++;
+    }
+  }
+  return { name: "再標本化(3次, ジッタ±6ms)", pass: n > 140 && maxErr < 0.02, detail: `${n} points, max err ${maxErr.toFixed(4)}` };
+}
+
+// プロセッサ全体（RGB → IBI）
+function testProcessorIBI() {
+  const { events } = runProcessor({ method: "POS" }, syntheticRgb({ fs: 30, dur: 30, hz: 1.2, flicker: 0, seed: 4 }));
+  const ibis = events.ibi.map((e) => e.ibi);
+  const mean = ibis.reduce((s, v) => s + v, 0) / Math.max(1, ibis.length);
+  const pass = ibis.length >= 15 && Math.abs(mean - 1 / 1.2) <= 0.05;
+  return { name: "プロセッサIBI(0.83s)", pass, detail: `${ibis.length} beats, mean ${mean.toFixed(3)} s` };
+}
+
+// バッファ（10秒）を超えて流しても sampleCount は確定したサンプル数を数え続ける
+function testProcessorSampleCount() {
+  const { proc, events } = runProcessor({ method: "POS", maxBufSec: 10 }, syntheticRgb({ fs: 30, dur: 20, hz: 1.2, seed: 4 }));
+  const buffered = proc.getWaveform(Infinity).length;
+  const pass = proc.sampleCount === events.sample.length && proc.sampleCount > buffered;
+  return { name: "プロセッサのサンプル数(切り詰め後)", pass, detail: `sampleCount ${proc.sampleCount}, sample イベント ${events.sample.length}, バッファ ${buffered}` };
+}
+
+// フレームレートが揺れても（18→30fps、ジッタ±10ms）HRがぶれない
+function testProcessorJitter() {
+  const rand = mulberry32(7);
+  const times = [];
+  for (let t = 0; t < 40; ) {
+    times.push(t);
+    const fps = t < 20 ? 18 + 12 * (t / 20) : 30;
+    t += 1 / fps + (rand() - 0.5) * 0.02;
+  }
+  const input = syntheticRgb({ times, hz: 1.2, flicker: 0, seed: 8 });
+  const { events } = runProcessor({ method: "POS" }, input);
+  const late = events.hr.filter((e) => e.t > 15).map((e) => e.bpm);
+  const spread = late.length ? Math.max(...late) - Math.min(...late) : Infinity;
+  const pass = late.length > 0 && late.every((b) => Math.abs(b - 72) <= 3);
+  return { name: "FPS変動下のHR安定性", pass, detail: `HR ${Math.min(...late).toFixed(1)}–${Math.max(...late).toFixed(1)} bpm (幅 ${spread.toFixed(1)})` };
+}
+
+// 合成信号の 0.25Hz 成分（RSA相当）から呼吸数を推定
+function testProcessorRespiration() {
+  const { events } = runProcessor({ method: "POS" }, syntheticRgb({ fs: 30, dur: 80, hz: 1.2, flicker: 0, seed: 10 }));
+  const r = events.resp.at(-1);
+  return { name: "プロセッサ呼吸数(15回/分)", pass: r != null && Math.abs(r.rate - 15) <= 1.5, detail: `got ${r?.rate.toFixed(1) ?? "none"} /min, q ${r?.quality.toFixed(2) ?? "—"}` };
+}
+
+// 額が前髪などで雑音まみれでも、頬の良いROIに重みが寄ってHRが取れる
+function testMultiRoiFusion() {
+  const rand = mulberry32(11);
+  const fore = syntheticRgb({ fs: 30, dur: 30, hz: 1.2, flicker: 0, seed: 12 });
+  const left = syntheticRgb({ fs: 30, dur: 30, hz: 1.2, flicker: 0, seed: 13 });
+  const right = syntheticRgb({ fs: 30, dur: 30, hz: 1.2, flicker: 0, seed: 14 });
+  const input = fore.map(({ t, rgb }, i) => ({
+    t,
+    rgb: {
+      forehead: rgb.map((v) => v + (rand() - 0.5) * 12),
+      leftCheek: left[i].rgb,
+      rightCheek: right[i].rgb,
+    },
+  }));
+  const { events } = runProcessor({ method: "POS", rois: ["forehead", "leftCheek", "rightCheek"] }, input);
+  const hr = events.hr.at(-1)?.bpm;
+  const w = Object.fromEntries((events.roi.at(-1)?.rois ?? []).map((r) => [r.name, r.weight]));
+  const pass = hr != null && Math.abs(hr - 72) <= 3 && w.forehead < w.leftCheek && w.forehead < w.rightCheek;
+  const ws = ["forehead", "leftCheek", "rightCheek"].map((n) => (w[n] ?? 0).toFixed(2)).join("/");
+  return { name: "マルチROI融合(額に雑音)", pass, detail: `HR ${hr?.toFixed(1) ?? "none"} bpm, 重み 額/左頬/右頬 ${ws}` };
+}
+
+// 剛体の点群を 30fps で 毎フレーム 並進3px・回転0.5° → 並進/大きさ・15°/秒
+function testMotionEstimator() {
+  const shape = Array.from({ length: 12 }, (_, i) => ({ x: 100 * Math.cos(i), y: 80 * Math.sin(2 * i) }));
+  const size = Math.sqrt(shape.reduce((s, p) => s + p.x * p.x + p.y * p.y, 0) / shape.length);
+  const est = createMotionEstimator();
+  let m;
+  for (let k = 0; k < 10; k++) {
+    const a = (0.5 * k * Math.PI) / 180;
+    const pts = shape.map((p) => ({
+      x: 320 + 3 * k + p.x * Math.cos(a) - p.y * Math.sin(a),
+      y: 240 + p.x * Math.sin(a) + p.y * Math.cos(a),
+    }));
+    m = est.update(k / 30, pts);
+  }
+  const still = createMotionEstimator();
+  still.update(0, shape);
+  const s0 = still.update(1 / 30, shape);
+  const pass = Math.abs(m.translation - 90 / size) < 0.03 && Math.abs(m.rotation - 15) < 0.1 && m.scale < 1e-9 && m.moving && !s0.moving;
+  return { name: "動き推定(並進+回転)", pass, detail: `並進 ${m.translation.toFixed(3)}/s (期待 ${(90 / size).toFixed(3)}), 回転 ${m.rotation.toFixed(2)}°/s, score ${m.score.toFixed(2)}` };
+}
+
+// 額の切り出し（前髪・眉・テカリ・白飛び入り）から肌の画素だけを平均する
+function testSkinMask() {
+  const square = polygonMask([{ x: 2, y: 2 }, { x: 6, y: 2 }, { x: 6, y: 6 }, { x: 2, y: 6 }], 8, 8);
+  const SKIN = [200, 150, 120];
+  const stride = 50, x0 = 10, w = 40, h = 30;
+  const kind = (x, y) => (y < 6 ? "hair" : y < 9 ? "brow" : x >= 20 && x < 24 && y >= 15 && y < 19 ? "shine" : x >= 30 && x < 32 && y >= 20 && y < 22 ? "white" : "skin");
+  const colors = { hair: [40, 30, 25], brow: [90, 60, 45], shine: [240, 220, 205], white: [255, 255, 255] };
+  // 角を落とした六角形（切り出しの外側は使わない）
+  const mask = polygonMask([{ x: 5, y: 0 }, { x: 35, y: 0 }, { x: 40, y: 15 }, { x: 35, y: 30 }, { x: 5, y: 30 }, { x: 0, y: 15 }], w, h);
+  const rand = mulberry32(24);
+  const model = createSkinModel();
+  let s, naive;
+  for (let f = 0; f < 30; f++) {
+    const data = new Uint8ClampedArray(4 * stride * h);
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const c = colors[kind(x, y)] ?? SKIN.map((v) => v + 8 * (rand() - 0.5));
+        const i = 4 * (y * stride + x0 + x);
+        for (let k = 0; k < 3; k++) data[i + k] = c[k];
+        if (mask[y * w + x]) { for (let k = 0; k < 3; k++) sum[k] += data[i + k]; count++; }
+      }
+    }
+    naive = sum.map((v) => v / count);
+    s = model.sample(data, stride, { x: x0, w, h }, mask);
+  }
+  const err = (rgb) => Math.max(...rgb.map((v, k) => Math.abs(v - SKIN[k])));
+  const labelsOf = (name) => new Set(s.labels.filter((_, k) => mask[k] && kind(k % w, Math.floor(k / w)) === name));
+  const only = (name, label) => { const set = labelsOf(name); return set.size === 1 && set.has(label); };
+  const pass = square.reduce((a, v) => a + v, 0) === 16 && !s.fallback && err(s.rgb) < 1 && err(naive) > 10
+    && only("hair", SKIN_LABELS.nonSkin) && only("brow", SKIN_LABELS.nonSkin)
+    && only("shine", SKIN_LABELS.highlight) && only("white", SKIN_LABELS.highlight) && s.labels[0] === SKIN_LABELS.outside;
+  return {
+    name: "肌マスク(多角形+肌色+テカリ)",
+    pass,
+    detail: `誤差 ${err(s.rgb).toFixed(2)} (矩形平均 ${err(naive).toFixed(1)}), 肌 ${Math.round(s.fraction * 100)}% / ${s.region}px`,
+  };
+}
+
+// 姿勢行列（拡大・平行移動つき）から yaw/pitch/roll を復元し、横を向いた区間のサンプルの重みを下げる
+function testHeadPose() {
+  const rad = Math.PI / 180;
+  const rot = (axis, a) => {
+    const c = Math.cos(a * rad), s = Math.sin(a * rad);
+    if (axis === "x") return [[1, 0, 0], [0, c, -s], [0, s, c]];
+    if (axis === "y") return [[c, 0, s], [0, 1, 0], [-s, 0, c]];
+    return [[c, -s, 0], [s, c, 0], [0, 0, 1]];
+  };
+  const mul = (A, B) => A.map((row) => [0, 1, 2].map((j) => row.reduce((acc, v, k) => acc + v * B[k][j], 0)));
+  const R = mul(rot("y", 25), mul(rot("x", -10), rot("z", 5)));
+  const T = [2, -3, -40], scale = 1.3;
+  const at = (r, c) => (r < 3 ? (c < 3 ? scale * R[r][c] : T[r]) : c < 3 ? 0 : 1);
+  const colMajor = Array.from({ length: 16 }, (_, i) => at(i % 4, Math.floor(i / 4)));
+  const rowMajor = Array.from({ length: 16 }, (_, i) => at(Math.floor(i / 4), i % 4));
+  const p = poseFromMatrix(colMajor), q = poseFromMatrix(rowMajor, true);
+  const close = (a) => Math.abs(a.yaw - 25) < 1e-6 && Math.abs(a.pitch + 10) < 1e-6 && Math.abs(a.roll - 5) < 1e-6;
+  // 10〜14秒だけ大きく横を向く（動きはなし）
+  const proc = createRppgProcessor({ method: "GREEN" });
+  const samples = [];
+  proc.on("sample", (e) => samples.push(e));
+  for (const { t, rgb } of syntheticRgb({ fs: 30, dur: 20, hz: 1.2, seed: 25 })) {
+    proc.push(t, rgb, { score: 0, moving: false, pose: { yaw: t >= 10 && t < 14 ? 40 : 5, pitch: 0, roll: 0 } });
+  }
+  const turned = samples.filter((e) => e.t >= 10.5 && e.t < 14);
+  const front = samples.filter((e) => e.t >= 4 && e.t < 9);
+  const pass = close(p) && close(q) && Math.abs(poseWeight(p) - 0.5) < 1e-6 && poseWeight(null) === 1
+    && poseOffAxis(p)?.axis === "yaw" && poseOffAxis({ yaw: 5, pitch: 10, roll: -3 }) === null
+    && turned.length > 0 && turned.every((e) => e.weight === 0) && front.length > 0 && front.every((e) => e.weight === 1);
+  return {
+    name: "頭の向き(姿勢行列→角度, 重み)",
+    pass,
+    detail: `yaw ${p.yaw.toFixed(2)}, pitch ${p.pitch.toFixed(2)}, roll ${p.roll.toFixed(2)}, 重み ${poseWeight(p).toFixed(2)}`,
+  };
+}
+
+// 動きアーチファクト（RGBへの段差と揺れ）の区間をゲートすると、外れたIBIが混ざらない
+function testProcessorMotionGate() {
+  const moving = (t) => (t >= 12 && t < 14) || (t >= 22 && t < 25);
+  const input = syntheticRgb({ fs: 30, dur: 40, hz: 1.2, flicker: 0, seed: 15 }).map(({ t, rgb }) => ({
+    t,
+    rgb: moving(t) ? rgb.map((v, c) => v + 8 * Math.sin(2 * Math.PI * (1.5 + 0.6 * c) * t + c)) : rgb,
+  }));
+  // 推定器と同じく、動きが止まってから holdSec の間も moving とする
+  const flagged = (t) => moving(t) || moving(t - MOTION_THRESHOLDS.holdSec);
+  const run = (gate) => {
+    const proc = createRppgProcessor({ method: "POS" });
+    const ibis = [], hrs = [];
+    proc.on("ibi", (e) => ibis.push(e.ibi));
+    proc.on("hr", (e) => hrs.push(e.bpm));
+    for (const { t, rgb } of input) proc.push(t, rgb, gate && flagged(t) ? { score: 3, moving: true } : undefined);
+    return { ibis, hrs, rejected: proc.rejectedBeats };
+  };
+  const off = run(false), on = run(true);
+  const bad = (ibis) => ibis.filter((v) => Math.abs(v - 1 / 1.2) > 0.15).length;
+  const hrErr = (hrs) => Math.max(...hrs.map((b) => Math.abs(b - 72)));
+  const pass = bad(on.ibis) === 0 && on.rejected > 0 && on.ibis.length >= 25 && hrErr(on.hrs) <= 5;
+  return {
+    name: "動きゲート(IBI外れ値除外)",
+    pass,
+    detail: `外れIBI ${bad(off.ibis)}/${off.ibis.length} → ${bad(on.ibis)}/${on.ibis.length}（除外 ${on.rejected} 拍）, HR最大誤差 ${hrErr(off.hrs).toFixed(0)} → ${hrErr(on.hrs).toFixed(0)} bpm`,
+  };
+}
+
+// 基本波+倍音の脈波は高SNR、同じ振幅の白色雑音を足すと下がる
+function testDeHaanSnr() {
+  const fs = 30, hz = 1.2, rand = mulberry32(21);
+  const clean = Array.from({ length: fs * 12 }, (_, n) => Math.sin(2 * Math.PI * hz * n / fs) + 0.3 * Math.sin(4 * Math.PI * hz * n / fs));
+  const noisy = clean.map((v) => v + 3 * (rand() - 0.5) * 2);
+  const a = deHaanSnr(clean, fs, hz), b = deHaanSnr(noisy, fs, hz);
+  return { name: "de Haan SNR", pass: a > 10 && b < a - 10, detail: `clean ${a.toFixed(1)} dB, noisy ${b.toFixed(1)} dB` };
+}
+
+// 揃った拍はテンプレート相関が高く、スパイクを含む拍は尖度が大きい
+// 雑音の拍が続いても、除外した拍（相関 0.3 未満）はテンプレートに入らないので正常な拍の相関は保たれる
+function testBeatSqi() {
+  const sqi = createBeatSqi();
+  const beat = (n) => Array.from({ length: n }, (_, i) => Math.cos(2 * Math.PI * i / (n - 1)));
+  let q;
+  for (const n of [25, 26, 24, 25, 25]) q = sqi.push(beat(n));
+  const spiky = beat(25).map((v, i) => (i === 12 ? 12 : 0.1 * v));
+  const qs = sqi.push(spiky);
+
+  const gated = createBeatSqi();
+  const rand = mulberry32(31);
+  const gate = (segment) => {
+    const r = gated.score(segment);
+    if (!(r.corr != null && r.corr < 0.3)) gated.accept(r);
+    return r;
+  };
+  for (const n of [25, 26, 24, 25, 25]) gate(beat(n));
+  const noise = Array.from({ length: 8 }, () => gate(Array.from({ length: 25 }, () => rand() - 0.5)));
+  const after = gate(beat(25));
+  const accepted = noise.filter((r) => r.corr >= 0.3).length;
+  const pass = q.corr > 0.99 && q.kurtosis < 2 && qs.corr < 0.3 && qs.kurtosis > 10 && after.corr > 0.95;
+  return {
+    name: "拍SQI(相関・尖度)",
+    pass,
+    detail: `正常 r=${q.corr.toFixed(2)} 尖度 ${q.kurtosis.toFixed(1)} / スパイク r=${qs.corr.toFixed(2)} 尖度 ${qs.kurtosis.toFixed(1)} / 雑音8拍（採用 ${accepted}）のあと r=${after.corr.toFixed(2)}`,
+  };
+}
+
+// 合成脈波は品質OK、雑音だけの入力は理由つきでNG
+function testProcessorSqiGate() {
+  const last = (input) => {
+    const proc = createRppgProcessor({ method: "POS" });
+    let s = null;
+    proc.on("sqi", (e) => { s = e; });
+    for (const { t, rgb } of input) proc.push(t, rgb);
+    return s;
+  };
+  const good = last(syntheticRgb({ fs: 30, dur: 30, hz: 1.2, flicker: 0, seed: 22 }));
+  const rand = mulberry32(23);
+  const noise = Array.from({ length: 900 }, (_, n) => ({ t: n / 30, rgb: [150, 128, 110].map((b) => b + (rand() - 0.5) * 2) }));
+  const bad = last(noise);
+  const pass = good.ok && !bad.ok && bad.reasons.length > 0;
+  return {
+    name: "品質ゲート(SQI)",
+    pass,
+    detail: `脈波 ${good.snrDb.toFixed(1)} dB r=${good.templateCorr?.toFixed(2)} → ${good.ok ? "OK" : good.reasons.join(",")} / 雑音 ${bad.snrDb?.toFixed(1)} dB → ${bad.ok ? "OK" : bad.reasons.join(",")}`,
+  };
+}
+
+// 記録したセッションが全フレーム・全拍を持ち、JSON/CSVに書き出せる
+function testSessionRecorder() {
+  const input = syntheticRgb({ fs: 30, dur: 20, hz: 1.2, flicker: 0, seed: 24 }).map((f) => ({ t: f.t + 100, rgb: f.rgb }));
+  const proc = createRppgProcessor({ method: "POS" });
+  const rec = createSessionRecorder({ source: "test" });
+  rec.attach(proc);
+  let ibis = 0, nextMark = 101;
+  proc.on("ibi", () => ibis++);
+  const early = rec.marker(99, { kind: "coffee", label: "コーヒー" }); // 最初のフレームより前は残さない
+  for (const { t, rgb } of input) {
+    rec.frame(t, { rgb, boxes: { forehead: { x: 0.4, y: 0.12, w: 0.2, h: 0.18 } } });
+    proc.push(t, rgb);
+    if (t >= nextMark) { rec.metrics(t, { hr: 72, sqiOk: true }); nextMark++; }
+    if (t === input[150].t) rec.marker(t, { label: '会議, "定例"', at: "2025-01-01T10:00:00.000Z" });
+  }
+  const json = JSON.parse(JSON.stringify(rec.toJSON()));
+  const csv = rec.toCsv();
+  const lines = (s) => s.split("\n").length - 1;
+  const pass = json.format === SESSION_FORMAT && json.version === SESSION_VERSION
+    && json.frames.t.length === input.length && json.frames.t[0] === 0
+    && json.frames.rois.forehead.g.length === input.length
+    && json.beats.filter((b) => b.accepted).length === ibis && ibis > 10
+    && lines(csv.frames) === input.length && lines(csv.bvp) === json.bvp.t.length && lines(csv.metrics) === json.metrics.length
+    && csv.frames.startsWith("t_sec,forehead_r,forehead_g,forehead_b,forehead_x") && csv.frames.split("\n")[0].endsWith("motion_score,moving")
+    && early === null && json.markers.length === 1 && json.markers[0].t === 5 && json.markers[0].kind === "note"
+    && csv.markers.split("\n")[1] === '5,note,"会議, ""定例""",2025-01-01T10:00:00.000Z'
+    && parseSession(json).markers.length === 1;
+  return { name: "セッション記録(JSON/CSV)", pass, detail: `${json.frames.t.length} frames, ${json.bvp.t.length} BVP, ${json.beats.length} beats, ${json.metrics.length} s, ${json.markers.length} markers` };
+}
+
+// セッションの要約（品質ゲートを通った行だけで集中度の帯を数える）と日/週トレンド
+function testSessionSummary() {
+  const beats = Array.from({ length: 60 }, (_, i) => ({ t: 0.8 * (i + 1), ibi: i % 2 ? 0.78 : 0.82, accepted: true, reason: null }));
+  beats[30] = { ...beats[30], accepted: false, reason: "motion" }; // 途中の拍を除外（前後の拍の差は取らない）
+  const metrics = Array.from({ length: 48 }, (_, i) => ({
+    t: i + 1, hr: 75, rmssd: 40, snr: 6, focus: i < 10 ? 30 : i < 30 ? 55 : 80, sqiOk: i % 12 !== 11,
+  }));
+  const day = new Date(2024, 4, 15, 10, 0); // 水曜
+  const at = (min) => new Date(day.getTime() + min * 60000).toISOString();
+  const s = summarizeSession({ startedAt: at(0), beats, metrics });
+  const s2 = summarizeSession({ startedAt: at(30), beats, metrics: metrics.map((m) => ({ ...m, hr: 85 })) });
+  const days = aggregateTrends([s, s2], "day");
+  const weeks = aggregateTrends([s, s2, { ...s, startedAt: new Date(2024, 4, 22, 10).toISOString() }], "week");
+  const pass = s.durationSec === 48 && s.meanHr === 75 && s.rmssd === 40
+    && s.focusLowSec === 10 && s.focusMidSec === 18 && s.focusHighSec === 16 && s.qualityOk === 0.917
+    && s.acceptedBeats === 59 && s.rejectedBeats === 1
+    && days.length === 1 && days[0].sessions === 2 && days[0].meanHr === 80 && days[0].focusHighSec === 32
+    && weeks.length === 2 && weeks[0].start.getDay() === 1 && weeks[0].sessions === 2;
+  return {
+    name: "セッション要約/トレンド",
+    pass,
+    detail: `${s.durationSec}s, HR ${s.meanHr}, RMSSD ${s.rmssd}, 集中 低/中/高 ${s.focusLowSec}/${s.focusMidSec}/${s.focusHighSec}s, 品質 ${s.qualityOk}, 日 ${days.length} 週 ${weeks.length}`,
+  };
+}
+
+// 書き出したセッションを流し直すと記録時と同じ拍が出て、再生どうしは完全に一致する
+function testSessionReplay() {
+  const input = syntheticRgb({ fs: 30, dur: 40, hz: 1.1, flicker: 0.05, seed: 31 });
+  const proc = createRppgProcessor({ method: "CHROM", fs: 30 });
+  const rec = createSessionRecorder({ source: "test", method: "CHROM", fs: 30, interp: "cubic" });
+  rec.attach(proc);
+  for (const { t, rgb } of input) {
+    rec.frame(t, { rgb });
+    proc.push(t, rgb);
+  }
+  const live = rec.toJSON().beats.filter((b) => b.accepted);
+  const session = parseSession(JSON.stringify(rec.toJSON()));
+  const a = replaySession(session);
+  const b = replaySession(session);
+  const same = JSON.stringify(a.events) === JSON.stringify(b.events);
+  const maxDiff = live.length === a.events.ibi.length
+    ? Math.max(...live.map((x, i) => Math.abs(x.ibi - a.events.ibi[i].ibi))) : Infinity;
+  const tuned = replaySession(session, { options: { band: [0.8, 2.5], hrWindowSec: 8 } });
+  const speed = session.durationSec / Math.max(1e-3, a.elapsedMs / 1000);
+  const pass = same && maxDiff < 0.005 && a.options.method === "CHROM" && a.events.focus.length > 0
+    && tuned.options.hrWindowSec === 8 && JSON.stringify(tuned.events.hr) !== JSON.stringify(a.events.hr) && speed > 1;
+  return {
+    name: "セッション再生(決定性)",
+    pass,
+    detail: `記録 ${live.length} 拍 / 再生 ${a.events.ibi.length} 拍（最大差 ${(maxDiff * 1000).toFixed(1)} ms）, 再生2回 ${same ? "一致" : "不一致"}, ${speed.toFixed(0)}倍速`,
+  };
+}
+
+// 胸ベルト形式のRR（日時つき、セッション開始の5秒後から）を読み、時刻で合わせて一致を評価する
+// 推定HRは参照の12秒平均 +2bpm ±1bpm なので bias ≈ 2、拍は同じなので RMSSD誤差は0
+function testReferenceAgreement() {
+  const rand = mulberry32(41);
+  const start = new Date(2024, 4, 15, 10, 0, 0);
+  const pad = (v, n = 2) => String(v).padStart(n, "0");
+  const local = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+  const beats = [];
+  let t = 0;
+  for (let i = 0; t < 180; i++) {
+    const ibi = Math.round(800 + 80 * Math.sin(i / 25) + (i % 2 ? 15 : -15)) / 1000;
+    t += ibi;
+    beats.push({ t: t + 5, ibi });
+  }
+  const text = ["Phone timestamp;RR-interval [ms]",
+    ...beats.map((b) => `${local(new Date(start.getTime() + b.t * 1000))};${Math.round(b.ibi * 1000)}`)].join("\n");
+  const metrics = [];
+  for (let s = 1; s <= 185; s++) {
+    const win = beats.filter((b) => b.t > s - 12 && b.t <= s);
+    const covered = win.reduce((a, b) => a + b.ibi, 0);
+    if (win.length < 2 || covered < 6) continue;
+    metrics.push({ t: s, hr: Math.round(60 / (covered / win.length) + 2 + 2 * (rand() - 0.5)), sqiOk: true });
+  }
+  const session = { startedAt: start.toISOString(), metrics, beats: beats.map((b) => ({ ...b, accepted: true })) };
+
+  const ref = parseReference(text);
+  const aligned = alignReference(ref, sessionStartMs(session));
+  const hr = compareHr(session, aligned).stats;
+  const rm = compareRmssd(session, aligned);
+  const shifted = compareHr(session, alignReference(ref, sessionStartMs(session), 8)).stats;
+  const pass = ref.kind === "rr" && ref.beats.length === beats.length && Math.abs(aligned.shiftSec - beats[0].t) < 0.01
+    && hr.n > 150 && Math.abs(hr.bias - 2) < 0.3 && hr.mae < 2.6 && hr.r > 0.9 && hr.loa[1] - hr.loa[0] < 3
+    && rm.windows.length === 2 && rm.stats.mae < 0.01 && shifted.mae > hr.mae;
+  return {
+    name: "参照RRとの一致(Bland-Altman)",
+    pass,
+    detail: `HR n=${hr.n} MAE ${hr.mae.toFixed(2)} RMSE ${hr.rmse.toFixed(2)} r=${hr.r.toFixed(3)} bias ${hr.bias.toFixed(2)} [${hr.loa.map((v) => v.toFixed(1)).join(", ")}], RMSSD ${rm.windows.length}窓 誤差 ${rm.stats.mae.toFixed(2)} ms, +8s ずらすと MAE ${shifted.mae.toFixed(2)}`,
+  };
+}
+
+// 見出しのない参照データは値の範囲で HR / RR（ms・s）を見分け、どれにも当てはまらなければエラー。空白区切りの「日付 時刻 値」は日付と時刻をまとめて絶対時刻として読む
+function testReferenceHeaderless() {
+  const hr = parseReference(["12:00:01 72", "12:00:02 73", "12:00:03 71"].join("\n"));
+  const rrMs = parseReference(["812", "790", "805", "798"].join("\n"));
+  const rrSec = parseReference(["0.5,0.81", "1.3,0.80", "2.1,0.79"].join("\n"));
+  const dated = parseReference(["2024-05-01 10:00:00.000 812", "2024-05-01 10:00:00.800 800", "2024-05-01 10:00:01.610 810"].join("\n"));
+  let error = null;
+  try { parseReference("5\n6\n7"); } catch (e) { error = e.message; }
+  const pass = hr.kind === "hr" && hr.hr.length === 3 && hr.hr[0].bpm === 72 && hr.beats.length === 0
+    && rrMs.kind === "rr" && Math.abs(rrMs.beats[0].ibi - 0.812) < 1e-9 && Math.abs(rrMs.beats[3].t - 3.205) < 1e-9
+    && rrSec.kind === "rr" && rrSec.beats[1].ibi === 0.8 && rrSec.beats[1].t === 1.3
+    && dated.kind === "rr" && dated.t0Ms === new Date(2024, 4, 1, 10, 0, 0).getTime() && Math.abs(dated.beats[2].t - 1.61) < 1e-9
+    && error != null;
+  return {
+    name: "参照データ(見出しなし)の種類判別",
+    pass,
+    detail: `HR → ${hr.kind} ${hr.hr.map((h) => h.bpm).join("/")}, ms → ${rrMs.kind} ${rrMs.beats[0].ibi}s, s → ${rrSec.kind}, 日時 空白区切り → ${dated.t0Ms == null ? "時刻なし" : `t ${dated.beats.map((b) => b.t.toFixed(2)).join("/")}`}, 範囲外 → ${error ? "エラー" : "判別してしまう"}`,
+  };
+}
+
+// UBFC（ground_truth.txt）/ PURE（JSON）の正解とRGBトレースCSVを読み、被験者ごとのHR誤差を出す
+function testBenchmarkFormats() {
+  const subjects = [[1.15, 51], [1.4, 52]].map(([hz, seed]) => {
+    const frames = syntheticRgb({ fs: 30, dur: 30, hz, flicker: 0.05, seed });
+    const ts = frames.map((f) => f.t + 12.5);
+    return { hz, frames, ts };
+  });
+  const ubfc = subjects[0];
+  const gtUbfc = parseUbfcGroundTruth([
+    ubfc.ts.map(() => "0").join(" "),
+    ubfc.ts.map(() => (ubfc.hz * 60).toExponential(7)).join("  "),
+    ubfc.ts.map((t) => t.toExponential(7)).join("  "),
+  ].join("\n"));
+  const traceUbfc = parseRgbTrace(["t_sec,r,g,b", ...ubfc.frames.map((f, i) => [ubfc.ts[i], ...f.rgb].join(","))].join("\n"));
+  const pure = subjects[1];
+  const ns = (t) => 1.5e18 + Math.round(t * 1e9);
+  const gtPure = parsePureGroundTruth(JSON.stringify({
+    "/FullPackage": pure.ts.filter((_, i) => i % 2 === 0).map((t) => ({ Timestamp: ns(t), Value: { pulseRate: pure.hz * 60 } })),
+    "/Image": pure.ts.map((t) => ({ Timestamp: ns(t) })),
+  }));
+  const tracePure = parseRgbTrace(["timestamp_ns,forehead_R,forehead_G,forehead_B", ...pure.frames.map((f, i) => [ns(pure.ts[i]), ...f.rgb].join(","))].join("\n"));
+  const results = [
+    { subject: "ubfc", ...evaluateSubject(traceUbfc, gtUbfc) },
+    { subject: "pure", ...evaluateSubject(tracePure, gtPure) },
+  ];
+  const sum = summarizeBenchmark(results);
+  const pass = gtUbfc.hr.length === 900 && gtUbfc.hr[0].t === 0 && gtPure.hr.length === 450 && traceUbfc.frames[0].t === 0
+    && Math.abs(tracePure.frames[1].t - 1 / 30) < 1e-6 && results.every((r) => r.all.stats.n > 20) && sum.all.mae < 1.5;
+  return {
+    name: "ベンチマーク(UBFC/PURE形式)",
+    pass,
+    detail: results.map((r) => `${r.subject} MAE ${r.all.stats.mae?.toFixed(2)} bpm (n=${r.all.stats.n})`).join(", ") + `, 全体 RMSE ${sum.all.rmse?.toFixed(2)}`,
+  };
+}
+
+// 品質ゲートを通った値だけで平均・SDを出し、品質の悪いキャリブレーションは理由つきで失敗にする
+function testCalibration() {
+  const run = (badEvery) => {
+    const cal = createCalibration({ durationSec: 120 });
+    for (let t = 0; t <= 130; t++) {
+      const ok = t % badEvery !== 0;
+      cal.sample(t, { hr: ok ? 60 + (t % 2 ? 2 : -2) : 150, sqiOk: ok });
+      cal.hrv(t + 0.5, { rmssd: ok ? 40 : 5, sdnn: 50, pnn50: 20, lfhf: 1.5 }, ok);
+    }
+    return { status: cal.status(), result: cal.finish() };
+  };
+  const good = run(10);
+  const bad = run(2);
+  const { hr, rmssd } = good.result.baseline;
+  // 30秒窓のHRVが30秒ごとに 35 / 45 と入れ替わる: 毎秒の更新は重なった窓なので、SD は重ならない5つの窓（t = 0, 30, …, 120）の値から
+  const cal = createCalibration({ durationSec: 120 });
+  for (let t = 0; t <= 120; t++) {
+    cal.sample(t, { hr: 60, sqiOk: true });
+    const v = Math.floor(t / 30) % 2 ? 45 : 35;
+    cal.hrv(t, { windowSec: 30, meanNN: 1000, rmssd: v, sdnn: 50, pnn50: 20, sd1: v / Math.SQRT2, sd2: 60, lfhf: 1.5 }, true);
+  }
+  const drift = cal.finish().baseline;
+  const pass = good.status.done && good.status.remainingSec === 0 && good.result.ok
+    && Math.abs(hr.mean - 60) < 0.5 && Math.abs(hr.sd - 2) < 0.1 && rmssd.mean === 40 && rmssd.sd === 0 && rmssd.windows === 2
+    && !bad.result.ok && bad.result.reasons.includes("lowQuality") && !bad.result.reasons.includes("fewHrv")
+    && drift.rmssd.windows === 5 && drift.rmssd.n === 121 && Math.abs(drift.rmssd.sd - Math.sqrt(120 / 4)) < 1e-9
+    && drift.meanNN.mean === 1000 && drift.sd1.windows === 5 && drift.sd2.sd === 0;
+  return {
+    name: "ベースラインのキャリブレーション",
+    pass,
+    detail: `HR ${hr.mean.toFixed(1)}±${hr.sd.toFixed(1)} (品質 ${(good.status.qualityRatio * 100).toFixed(0)}%), 低品質 → ${bad.result.reasons.join(",")}, 重ならない窓 ${drift.rmssd.windows} 個で RMSSD SD ${drift.rmssd.sd.toFixed(2)}`,
+  };
+}
+
+// 平滑化でステップに急に飛ばず、閾値付近の揺れでは状態がばたつかず、品質の重み 0 の間は動かない
+function testFocusModel() {
+  const baseline = { hr: { mean: 65, sd: 3 }, rmssd: { mean: 45, sd: 8 } };
+  const model = createFocusModel({ baseline });
+  const states = [];
+  let t = 0;
+  const run = (sec, fn) => {
+    for (let i = 0; i < sec; i++, t++) {
+      const f = model.update(t, fn(i));
+      if (states[states.length - 1] !== f.state) states.push(f.state);
+    }
+    return model.current;
+  };
+  const rest = run(60, (i) => ({ hr: 65 + (i % 2 ? 1 : -1), rmssd: 45, quality: 1 }));
+  const step = run(1, () => ({ hr: 80, rmssd: 25, quality: 1 }));
+  const strained = run(120, () => ({ hr: 80, rmssd: 25, quality: 1 }));
+  const frozen = run(20, () => ({ hr: 50, rmssd: 90, quality: 0 }));
+  // 平滑化前のスコアが 80 / 60 を1秒ごとに行き来する（平均は緊張の閾値 70 ちょうど）
+  const before = states.length;
+  let rawFlips = 0;
+  run(120, (i) => {
+    if (i > 0 && (model.current.rawScore >= 70) !== (i % 2 === 0)) rawFlips++;
+    return { hr: 65 + 3 * (i % 2 ? 0.5 : 2.0), rmssd: 45 - 8 * (i % 2 ? 0.47 : 1.2), quality: 1 };
+  });
+  const flips = states.length - before;
+  const fatigued = run(120, () => ({ hr: 62, rmssd: 30, quality: 0.8 }));
+  const pass = rest.state === "focused" && Math.abs(rest.score - 50) <= 2 && step.score < 60 && step.rawScore === 100
+    && strained.state === "strained" && strained.score > 90 && frozen.score === strained.score && flips <= 1
+    && rawFlips > 100 && fatigued.state === "fatigued";
+  return {
+    name: "集中度モデル(平滑化・ヒステリシス)",
+    pass,
+    detail: `安静 ${rest.score}, ステップ直後 ${step.score}（生 ${step.rawScore}）→ ${strained.score}, 閾値付近の切替 ${flips} 回（平滑化前 ${rawFlips} 回）, 状態 ${states.join("→")}`,
+  };
+}
+
+// ブロックの要約（品質ゲートを通った秒だけ・ベースラインとの差・カバー率）、緊張の継続での休憩提案、日ごとのまとめ
+function testWorkBlocks() {
+  // 25分のうち計測したのは20分、そのうち品質OKは 18分（緊張 6分・集中 12分）
+  const rows = Array.from({ length: 1200 }, (_, i) => ({
+    hr: i < 360 ? 80 : 70, rmssd: i < 360 ? 30 : 42, focus: i < 360 ? 75 : 55,
+    focusState: i < 360 ? "strained" : "focused", sqiOk: i < 1080,
+  }));
+  const sum = summarizeBlock(rows, 1500, { hr: { mean: 68, sd: 3 }, rmssd: { mean: 45, sd: 8 } });
+  const noBase = summarizeBlock(rows, 1500, null);
+  const watch = createStrainWatch({ strainBreakSec: 300 });
+  let hintAt = null;
+  for (let t = 0; t < 600 && hintAt == null; t++) {
+    const state = t === 100 ? "focused" : "strained"; // 途中で1秒だけ緊張が切れると数え直す
+    if (watch.update(t, state).suggestBreak) hintAt = t;
+  }
+  const at = (d, h) => new Date(2025, 0, d, h).toISOString();
+  const days = blocksByDay([{ startedAt: at(6, 9) }, { startedAt: at(7, 14) }, { startedAt: at(7, 10) }]);
+  const pass = sum.meanHr === 73.3 && sum.hrDelta === 5.3 && sum.rmssdDelta === -7 && sum.qualityCoverage === 0.72
+    && sum.stateSec.strained === 360 && sum.dominantState === "focused" && Math.abs(sum.meanFocus - 61.7) < 0.05
+    && noBase.hrDelta == null && hintAt === 401
+    && days.length === 2 && days[0].blocks.length === 2 && days[0].blocks[0].startedAt === at(7, 10);
+  return {
+    name: "作業ブロック(要約・休憩提案)",
+    pass,
+    detail: `HR ${sum.meanHr} (${sum.hrDelta >= 0 ? "+" : ""}${sum.hrDelta}), RMSSD ${sum.meanRmssd} (${sum.rmssdDelta}), 集中度 ${sum.meanFocus}, カバー率 ${sum.qualityCoverage}, 休憩提案 ${hintAt}s, ${days.length} 日`,
+  };
+}
+
+function testSessionReport() {
+  // 2分のセッション（後半30秒は品質NG）、マーカー1つ（ラベルはエスケープされること）
+  const metrics = Array.from({ length: 120 }, (_, i) => ({
+    t: i + 1, hr: 72 + (i % 5), rmssd: 40, focus: 55, focusState: "focused", sqiOk: i < 90,
+  }));
+  const beats = Array.from({ length: 140 }, (_, i) => ({ t: i * 0.85, ibi: 0.85 + (i % 2 ? 0.02 : -0.02), accepted: true }));
+  const session = {
+    startedAt: "2025-01-07T01:00:00.000Z", meta: { source: "camera", method: "CHROM", profile: "A" },
+    metrics, beats, markers: [{ t: 30, kind: "note", label: "<会議>", at: "2025-01-07T01:00:30.000Z" }],
+  };
+  const baseline = { createdAt: "2025-01-06T01:00:00.000Z", durationSec: 180, qualityRatio: 0.9, hr: { mean: 70, sd: 4 }, rmssd: { mean: 45, sd: 5 } };
+  const previous = [
+    { startedAt: "2025-01-08T01:00:00.000Z", summary: { durationSec: 60, meanHr: 90 } }, // このセッションより後 → 比較しない
+    { startedAt: "2025-01-06T01:00:00.000Z", summary: { durationSec: 600, meanHr: 68, rmssd: 44, qualityOk: 0.8 } },
+  ];
+  const html = buildSessionReport(session, { baseline, previous });
+  const bare = buildSessionReport({ ...session, markers: [] });
+  const pass = html.startsWith("<!DOCTYPE html>") && !/<script|<link|src="http/.test(html)
+    && html.includes("&lt;会議&gt;") && !html.includes("<会議>")
+    && (html.match(/<svg /g) ?? []).length === 5 && html.includes("品質のカバー率 75%")
+    && html.includes("+1.0 SD") && html.includes("−1.0 SD") && html.includes("過去1件の平均") && !html.includes(">90.0<")
+    && !bare.includes("<h2>マーカー</h2>") && bare.includes("プロファイルのベースラインがありません");
+  return {
+    name: "セッションレポート(HTML)",
+    pass,
+    detail: `${Math.round(html.length / 1024)} KB, svg ${(html.match(/<svg /g) ?? []).length}`,
+  };
+}
+
+// 同じ入力・同じ設定なら同じ出力
+function testProcessorDeterministic() {
+  const input = syntheticRgb({ fs: 30, dur: 20, hz: 1.3, flicker: 0.05, seed: 5 });
+  const a = runProcessor({ method: "CHROM" }, input).events;
+  const b = runProcessor({ method: "CHROM" }, input).events;
+  const same = JSON.stringify(a) === JSON.stringify(b);
+  return { name: "決定性(同一入力→同一出力)", pass: same, detail: same ? `${a.sample.length} samples identical` : "outputs differ" };
+}
+
+// ===== helpers =====
+function runProcessor(options, input) {
+  const proc = createRppgProcessor(options);
+  const events = { sample: [], hr: [], quality: [], ibi: [], hrv: [], resp: [], roi: [] };
+  for (const type of Object.keys(events)) proc.on(type, (e) => events[type].push(e));
+  for (const { t, rgb } of input) proc.push(t, rgb);
+  return { proc, events };
+}
+
+// 合成スペクトル: 0.7–3.0Hz の120ビンに、[bpm, 高さ] のガウス型ピークと弱い雑音を置く
+function syntheticSpectrum(peaks, seed, [f0, f1] = [0.7, 3.0]) {
+  const rand = mulberry32(seed + 100);
+  const freqs = Array.from({ length: 120 }, (_, i) => f0 + (f1 - f0) * (i / 119));
+  const powers = freqs.map((f) => {
+    let p = 0.02 * rand();
+    for (const [bpm, h] of peaks) p += h * Math.exp(-0.5 * ((f * 60 - bpm) / 2) ** 2);
+    return p;
+  });
+  return { freqs, powers };
+}
+
+// 合成RGB: 脈波はPBV [0.33, 0.77, 0.53] の比で各チャンネルに乗り、
+// 照明ゆらぎ（1.0Hz）は全チャンネルに共通の乗算で乗る
+// times を渡すとその時刻列（不等間隔でもよい）で、省略時は fs × dur の等間隔で生成する
+export function syntheticRgb({ fs, dur, times, hz, flicker = 0, seed = 1 }) {
+  const rand = mulberry32(seed);
+  const base = [150, 128, 110];
+  const pbv = [0.33, 0.77, 0.53];
+  const ts = times ?? Array.from({ length: fs * dur }, (_, n) => n / fs);
+  const out = [];
+  for (const t of ts) {
+    const sig = 1.5 * Math.sin(2 * Math.PI * hz * t) + 0.5 * Math.sin(2 * Math.PI * 0.25 * t);
+    const illum = 1 + flicker * Math.sin(2 * Math.PI * 1.0 * t);
+    out.push({ t, rgb: base.map((b, c) => b * illum + pbv[c] * sig + (rand() - 0.5) * 0.5) });
+  }
+  return out;
+}
+
+// 再現性のためのシード付き乱数
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
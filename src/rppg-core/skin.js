@@ -0,0 +1,169 @@
+// 肌画素の選別（ROIの平均から髪・眉・背景・テカリを除く）
+// 1. polygonMask: 顔ランドマークの多角形の内側だけを対象にする
+// 2. 固定の肌色範囲（YCbCr: Chai & Ngan 1999、HSV の色相・彩度）で明らかな非肌を落とす
+// 3. 本人の肌色モデル（肌と判定した画素の Cb/Cr/Y の中央値・MADから求めたSD を EMA で追従）から離れた画素を落とす
+//    中央値とMADにするのは、学習し始めに混ざる眉や前髪で肌色の幅が広がらないようにするため
+// 4. 白飛び（どれかのチャンネルが saturated 以上）と、本人の肌より明るすぎる画素（テカリ）を落とす
+// 肌と判定できた画素が少なすぎるフレームは、白飛び以外の領域内の画素で平均する（fallback）。
+// 肌色モデルはROIごとに1つ作る（額と頬で明るさが違うため）。
+
+export const SKIN_THRESHOLDS = {
+  cb: [77, 127],     // YCbCr の肌色範囲
+  cr: [133, 173],
+  hue: [-20, 50],    // HSV の色相（度、赤〜橙。負は 360 から折り返す）
+  sat: [0.1, 0.7],   // HSV の彩度
+  minY: 40,          // これより暗い画素は髪・影
+  saturated: 250,    // どれかのチャンネルがこれ以上なら白飛び
+  adaptZ: 2.5,       // 本人の Cb/Cr の平均から adaptZ·SD 以上離れたら肌ではない
+  highlightZ: 2.0,   // 輝度が本人の肌の平均 + highlightZ·SD を超えたらテカリ
+  rate: 0.05,        // 肌色モデルの更新の速さ（1フレームあたり）
+  warmupFrames: 15,  // これだけ学習するまでは固定範囲だけで判定する
+  minSd: 3,          // 肌色モデルのSDの下限（狭まりすぎて肌を落とさないように）
+  minFraction: 0.2,  // 領域内で肌と判定された割合がこれ未満なら fallback
+};
+
+// sample() が返す labels の値
+export const SKIN_LABELS = { outside: 0, skin: 1, nonSkin: 2, highlight: 3 };
+
+// 多角形（ピクセル座標の [{ x, y }]）の内側を 1 にしたマスク（画素中心で判定、偶奇規則）
+export function polygonMask(points, width, height) {
+  const mask = new Uint8Array(width * height);
+  const n = points.length;
+  if (n < 3) return mask;
+  const xs = [];
+  for (let y = 0; y < height; y++) {
+    const cy = y + 0.5;
+    xs.length = 0;
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+      const a = points[i], b = points[j];
+      if ((a.y > cy) !== (b.y > cy)) xs.push(a.x + ((cy - a.y) / (b.y - a.y)) * (b.x - a.x));
+    }
+    xs.sort((p, q) => p - q);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const x0 = Math.max(0, Math.ceil(xs[k] - 0.5)), x1 = Math.min(width - 1, Math.floor(xs[k + 1] - 0.5));
+      for (let x = x0; x <= x1; x++) mask[y * width + x] = 1;
+    }
+  }
+  return mask;
+}
+
+export function createSkinModel(thresholds = {}) {
+  const thr = { ...SKIN_THRESHOLDS, ...thresholds };
+  const { outside, skin, nonSkin, highlight } = SKIN_LABELS;
+  let model = null; // { y, cb, cr: [中央値, SD] }
+  let frames = 0, misses = 0;
+
+  function reset() {
+    model = null;
+    frames = 0;
+    misses = 0;
+  }
+
+  const sd = ([, v]) => Math.max(thr.minSd, v);
+
+  // data: RGBA の画素列（ImageData.data）、stride: 1行の画素数
+  // tile: { x, w, h } data の中の対象範囲（x 列目から幅 w、先頭行から h 行）
+  // mask: polygonMask（tile の大きさ、null なら tile 全体）
+  // 戻り値: { rgb: [R,G,B] | null, n: 平均した画素数, region: 領域内の画素数, fraction: 肌の割合, fallback, labels }
+  function sample(data, stride, tile, mask = null) {
+    const { x: x0, w, h } = tile;
+    const labels = new Uint8Array(w * h);
+    const adapt = model && frames >= thr.warmupFrames;
+    const ref = adapt && {
+      cb: model.cb[0], cbSd: sd(model.cb), cr: model.cr[0], crSd: sd(model.cr),
+      yMax: model.y[0] + thr.highlightZ * sd(model.y),
+    };
+    const skinSum = [0, 0, 0], allSum = [0, 0, 0];
+    const hist = { y: new Uint32Array(256), cb: new Uint32Array(256), cr: new Uint32Array(256) };
+    let n = 0, region = 0, usable = 0;
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const k = y * w + x;
+        if (mask && !mask[k]) { labels[k] = outside; continue; }
+        region++;
+        const i = 4 * (y * stride + x0 + x);
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        if (r >= thr.saturated || g >= thr.saturated || b >= thr.saturated) { labels[k] = highlight; continue; }
+        allSum[0] += r; allSum[1] += g; allSum[2] += b;
+        usable++;
+        const Y = 0.299 * r + 0.587 * g + 0.114 * b;
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        // テカリは白っぽく色が抜けるので、色の判定より先に明るさで見る
+        let label = skin;
+        if (ref && Y > ref.yMax) label = highlight;
+        else if (Y < thr.minY || cb < thr.cb[0] || cb > thr.cb[1] || cr < thr.cr[0] || cr > thr.cr[1] || !hsvSkin(r, g, b)) label = nonSkin;
+        else if (ref && (Math.abs(cb - ref.cb) > thr.adaptZ * ref.cbSd || Math.abs(cr - ref.cr) > thr.adaptZ * ref.crSd)) label = nonSkin;
+        labels[k] = label;
+        if (label !== skin) continue;
+        skinSum[0] += r; skinSum[1] += g; skinSum[2] += b;
+        hist.y[Math.round(Y)]++;
+        hist.cb[Math.round(cb)]++;
+        hist.cr[Math.round(cr)]++;
+        n++;
+      }
+    }
+
+    const fraction = region ? n / region : 0;
+    if (n > 0 && fraction >= thr.minFraction) {
+      learn(hist, n);
+      return { rgb: skinSum.map((v) => v / n), n, region, fraction, fallback: false, labels };
+    }
+    // 肌がほとんど見つからない（照明の急変・顔の向きなど）。長く続いたら肌色モデルを学習し直す
+    if (++misses > thr.warmupFrames) reset();
+    return { rgb: usable ? allSum.map((v) => v / usable) : null, n: usable, region, fraction, fallback: true, labels };
+  }
+
+  function learn(hist, n) {
+    misses = 0;
+    frames++;
+    // 学習し始めは速く追従させる
+    const a = Math.max(thr.rate, 1 / frames);
+    if (!model) model = { y: [0, 0], cb: [0, 0], cr: [0, 0] };
+    for (const key of ["y", "cb", "cr"]) {
+      const med = histMedian(hist[key], n);
+      const dev = new Uint32Array(256);
+      hist[key].forEach((c, v) => { dev[Math.abs(v - med)] += c; });
+      const robustSd = 1.4826 * histMedian(dev, n);
+      model[key][0] += a * (med - model[key][0]);
+      model[key][1] += a * (robustSd - model[key][1]);
+    }
+  }
+
+  function hsvSkin(r, g, b) {
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const s = max ? (max - min) / max : 0;
+    if (s < thr.sat[0] || s > thr.sat[1]) return false;
+    const d = max - min;
+    let hue;
+    if (max === r) hue = 60 * (((g - b) / d) % 6);
+    else if (max === g) hue = 60 * ((b - r) / d + 2);
+    else hue = 60 * ((r - g) / d + 4);
+    if (hue > 180) hue -= 360;
+    return hue >= thr.hue[0] && hue <= thr.hue[1];
+  }
+
+  return {
+    sample,
+    reset,
+    // 学習済みの肌色（平均・SD）。未学習なら null
+    get stats() {
+      if (!model) return null;
+      return {
+        frames,
+        y: [model.y[0], sd(model.y)], cb: [model.cb[0], sd(model.cb)], cr: [model.cr[0], sd(model.cr)],
+      };
+    },
+  };
+}
+
+// 256階調のヒストグラム（合計 n）の中央値
+function histMedian(hist, n) {
+  let acc = 0;
+  for (let v = 0; v < hist.length; v++) {
+    acc += hist[v];
+    if (acc * 2 >= n) return v;
+  }
+  return hist.length - 1;
+}
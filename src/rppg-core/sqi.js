@@ -0,0 +1,126 @@
+import { goertzelSpectrum } from "./dsp.js";
+
+// 信号品質指標（SQI）
+// - snrDb:        de Haan & Jeanne 2013 のSNR。心拍の基本波と第2高調波の周辺（±SNR_HALF_WIDTH）の
+//                 パワーと、それ以外の帯域（0.6–4Hz）のパワーの比（dB）
+// - templateCorr: 拍ごとの波形（ピーク〜ピーク）を一定長へ揃え、直近の拍の平均（テンプレート）との相関
+// - skewness / kurtosis: 拍ごとの波形の歪度・尖度（尖度は正規分布で3。スパイク状の雑音で大きくなる）
+// assessQuality() はこれらと動きの重みから計測値を信頼してよいかと、だめな理由を返す。
+
+export const SQI_THRESHOLDS = {
+  minSnrDb: -3,          // de Haan SNR の下限
+  minTemplateCorr: 0.5,  // 直近の拍の平均テンプレート相関の下限
+  maxKurtosis: 5,        // 直近の拍の平均尖度の上限
+  minUsable: 0.5,        // 窓内の動きの平均重みの下限
+};
+
+export const SQI_REASONS = ["warmup", "motion", "lowSnr", "irregular", "spiky"];
+
+const SNR_BAND = [0.6, 4.0];   // Hz
+const SNR_HALF_WIDTH = 0.1;    // Hz（±6bpm）
+const SNR_DF = 0.02;           // Hz
+const SHAPE_LENGTH = 32;       // 拍の波形を揃える点数
+const TEMPLATE_BEATS = 8;      // テンプレートに使う直近の拍数
+
+// BVP区間と心拍の基本周波数 hz から de Haan SNR（dB）
+export function deHaanSnr(x, fs, hz) {
+  const band = [SNR_BAND[0], Math.min(SNR_BAND[1], 0.45 * fs)];
+  const bins = Math.round((band[1] - band[0]) / SNR_DF) + 1;
+  const { freqs, powers } = goertzelSpectrum(x, fs, band, bins);
+  let sig = 0, noise = 0;
+  freqs.forEach((f, i) => {
+    const near = Math.abs(f - hz) <= SNR_HALF_WIDTH || Math.abs(f - 2 * hz) <= 2 * SNR_HALF_WIDTH;
+    if (near) sig += powers[i]; else noise += powers[i];
+  });
+  return sig > 0 && noise > 0 ? 10 * Math.log10(sig / noise) : null;
+}
+
+// 拍ごとのSQIを計算しテンプレートを更新する
+// score() は評価だけ。テンプレートには accept() した（採用した）拍だけを加え、除外した拍で崩れないようにする
+export function createBeatSqi() {
+  let shapes = []; // 直近の拍の波形（正規化済み）
+
+  function reset() {
+    shapes = [];
+  }
+
+  // segment: 拍区間のBVP。戻り値 { corr, skewness, kurtosis, shape }（テンプレートが育つまで corr は null）
+  function score(segment) {
+    const shape = normalizeShape(segment);
+    if (!shape) return null;
+    let corr = null;
+    if (shapes.length >= 3) {
+      const template = shape.map((_, i) => shapes.reduce((s, sh) => s + sh[i], 0) / shapes.length);
+      corr = correlation(shape, template);
+    }
+    const { skewness, kurtosis } = moments(segment);
+    return { corr, skewness, kurtosis, shape };
+  }
+
+  // q: score() の戻り値
+  function accept(q) {
+    if (!q) return;
+    shapes.push(q.shape);
+    if (shapes.length > TEMPLATE_BEATS) shapes.shift();
+  }
+
+  // 評価してそのままテンプレートに加える（拍を選別しないとき）
+  function push(segment) {
+    const q = score(segment);
+    accept(q);
+    return q;
+  }
+
+  return { score, accept, push, reset };
+}
+
+// 直近のSQIから計測値を信頼してよいか。reasons は SQI_REASONS のうち該当するもの
+export function assessQuality({ snrDb, templateCorr, kurtosis, usable }, thresholds = SQI_THRESHOLDS) {
+  const reasons = [];
+  if (snrDb == null) reasons.push("warmup");
+  if (usable != null && usable < thresholds.minUsable) reasons.push("motion");
+  if (snrDb != null && snrDb < thresholds.minSnrDb) reasons.push("lowSnr");
+  if (templateCorr != null && templateCorr < thresholds.minTemplateCorr) reasons.push("irregular");
+  if (kurtosis != null && kurtosis > thresholds.maxKurtosis) reasons.push("spiky");
+  return { ok: reasons.length === 0, reasons };
+}
+
+// 一定長へ線形補間し、平均0・分散1に正規化
+function normalizeShape(segment) {
+  if (segment.length < 4) return null;
+  const out = [];
+  for (let i = 0; i < SHAPE_LENGTH; i++) {
+    const x = (i / (SHAPE_LENGTH - 1)) * (segment.length - 1);
+    const i0 = Math.floor(x), i1 = Math.min(segment.length - 1, i0 + 1);
+    out.push(segment[i0] + (segment[i1] - segment[i0]) * (x - i0));
+  }
+  const m = out.reduce((s, v) => s + v, 0) / out.length;
+  const sd = Math.sqrt(out.reduce((s, v) => s + (v - m) * (v - m), 0) / out.length);
+  if (!(sd > 0)) return null;
+  return out.map((v) => (v - m) / sd);
+}
+
+function correlation(a, b) {
+  const ma = a.reduce((s, v) => s + v, 0) / a.length;
+  const mb = b.reduce((s, v) => s + v, 0) / b.length;
+  let sab = 0, saa = 0, sbb = 0;
+  for (let i = 0; i < a.length; i++) {
+    sab += (a[i] - ma) * (b[i] - mb);
+    saa += (a[i] - ma) ** 2;
+    sbb += (b[i] - mb) ** 2;
+  }
+  return saa > 0 && sbb > 0 ? sab / Math.sqrt(saa * sbb) : 0;
+}
+
+function moments(x) {
+  const n = x.length;
+  const m = x.reduce((s, v) => s + v, 0) / n;
+  let m2 = 0, m3 = 0, m4 = 0;
+  for (const v of x) {
+    const d = v - m;
+    m2 += d * d; m3 += d * d * d; m4 += d * d * d * d;
+  }
+  m2 /= n; m3 /= n; m4 /= n;
+  if (!(m2 > 0)) return { skewness: 0, kurtosis: 0 };
+  return { skewness: m3 / Math.pow(m2, 1.5), kurtosis: m4 / (m2 * m2) };
+}
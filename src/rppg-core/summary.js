@@ -0,0 +1,135 @@
+import { computeHrv, acceptedBeats } from "./hrv.js";
+
+// セッションの要約と日/週ごとのトレンド
+// summarizeSession() は createSessionRecorder().toJSON() の形（少なくとも startedAt / beats / metrics）を受け取り、
+// 履歴に保存する要約統計を返す。集中度の帯ごとの時間は、品質ゲートを通った1秒ごとの行だけで数える。
+// aggregateTrends() は要約の配列をローカル時刻の日（または月曜始まりの週）ごとにまとめる。
+
+// 集中度の帯（下限以上・上限未満）
+export const FOCUS_BANDS = [
+  { key: "low", label: "低", min: 0, max: 40 },
+  { key: "mid", label: "中", min: 40, max: 70 },
+  { key: "high", label: "高", min: 70, max: Infinity },
+];
+
+// 要約のCSV列（CSVの列順もこの順）
+export const SUMMARY_COLUMNS = [
+  ["durationSec", "duration_sec"],
+  ["meanHr", "mean_hr_bpm"],
+  ["meanRmssd", "mean_rmssd_ms"],
+  ["sdnn", "sdnn_ms"],
+  ["rmssd", "rmssd_ms"],
+  ["pnn50", "pnn50_pct"],
+  ["lfhf", "lf_hf"],
+  ["meanFocus", "mean_focus"],
+  ["focusLowSec", "focus_low_sec"],
+  ["focusMidSec", "focus_mid_sec"],
+  ["focusHighSec", "focus_high_sec"],
+  ["meanSnrDb", "mean_snr_db"],
+  ["qualityOk", "quality_ok_ratio"],
+  ["acceptedBeats", "accepted_beats"],
+  ["rejectedBeats", "rejected_beats"],
+];
+
+export function summarizeSession(session) {
+  const metrics = session.metrics ?? [];
+  const beats = session.beats ?? [];
+  const accepted = acceptedBeats(beats);
+  const ok = metrics.filter((m) => m.sqiOk);
+  const durationSec = Math.max(
+    metrics.length ? metrics[metrics.length - 1].t : 0,
+    beats.length ? beats[beats.length - 1].t : 0,
+  );
+
+  // 全体の拍から時間領域HRV（周波数領域は50秒以上あるときだけ）。除外した拍をまたぐ差は取らない
+  const hrv = computeHrv(accepted, Infinity);
+
+  const focusSec = Object.fromEntries(FOCUS_BANDS.map((b) => [b.key, 0]));
+  for (const m of ok) {
+    if (m.focus == null) continue;
+    const band = FOCUS_BANDS.find((b) => m.focus >= b.min && m.focus < b.max);
+    if (band) focusSec[band.key] += 1;
+  }
+
+  return {
+    startedAt: session.startedAt,
+    durationSec: round(durationSec, 1),
+    meanHr: meanOf(ok, "hr"),
+    meanRmssd: meanOf(ok, "rmssd"),
+    sdnn: hrv ? round(hrv.sdnn, 1) : null,
+    rmssd: hrv ? round(hrv.rmssd, 1) : null,
+    pnn50: hrv ? round(hrv.pnn50, 1) : null,
+    lfhf: hrv?.lfhf != null ? round(hrv.lfhf, 2) : null,
+    meanFocus: meanOf(ok, "focus"),
+    focusLowSec: focusSec.low,
+    focusMidSec: focusSec.mid,
+    focusHighSec: focusSec.high,
+    meanSnrDb: meanOf(metrics, "snr"),
+    qualityOk: metrics.length ? round(ok.length / metrics.length, 3) : null,
+    acceptedBeats: accepted.length,
+    rejectedBeats: beats.length - accepted.length,
+  };
+}
+
+// 要約の配列 → [{ key, start, sessions, durationSec, meanHr, meanRmssd, meanFocus, focusHighSec, ... }]（古い順）
+// 平均は各セッションの長さで重み付けする
+export function aggregateTrends(summaries, period = "day") {
+  const groups = new Map();
+  for (const s of summaries) {
+    const start = periodStart(new Date(s.startedAt), period);
+    const key = start.getTime();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  }
+  return [...groups.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([key, list]) => ({
+      key,
+      start: new Date(key),
+      sessions: list.length,
+      durationSec: list.reduce((a, s) => a + (s.durationSec ?? 0), 0),
+      meanHr: weightedMean(list, "meanHr"),
+      meanRmssd: weightedMean(list, "meanRmssd"),
+      meanFocus: weightedMean(list, "meanFocus"),
+      meanSnrDb: weightedMean(list, "meanSnrDb"),
+      qualityOk: weightedMean(list, "qualityOk"),
+      focusLowSec: list.reduce((a, s) => a + (s.focusLowSec ?? 0), 0),
+      focusMidSec: list.reduce((a, s) => a + (s.focusMidSec ?? 0), 0),
+      focusHighSec: list.reduce((a, s) => a + (s.focusHighSec ?? 0), 0),
+    }));
+}
+
+// 履歴レコード { startedAt, source, summary } の配列 → CSV文字列（started_at, source, ...SUMMARY_COLUMNS）
+export function summariesToCsv(rows) {
+  const header = ["started_at", "source", ...SUMMARY_COLUMNS.map(([, h]) => h)];
+  const lines = rows.map(({ startedAt, source, summary }) =>
+    [startedAt, source, ...SUMMARY_COLUMNS.map(([k]) => summary[k])].map((v) => v ?? "").join(","));
+  return [header.join(","), ...lines].join("\n");
+}
+
+// ローカル時刻の0時（week なら直前の月曜0時）
+function periodStart(date, period) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function meanOf(rows, key) {
+  const vals = rows.map((r) => r[key]).filter((v) => v != null && Number.isFinite(v));
+  return vals.length ? round(vals.reduce((s, v) => s + v, 0) / vals.length, 1) : null;
+}
+
+function weightedMean(list, key) {
+  let sw = 0, sv = 0;
+  for (const s of list) {
+    if (s[key] == null) continue;
+    const w = Math.max(1, s.durationSec ?? 0);
+    sw += w; sv += w * s[key];
+  }
+  return sw > 0 ? round(sv / sw, 2) : null;
+}
+
+function round(v, digits) {
+  const k = 10 ** digits;
+  return Math.round(v * k) / k;
+}
@@ -0,0 +1,5 @@
+import { createPipelineHost } from './framePipeline';
+
+// rPPGパイプラインの Web Worker（ROIの切り出しから HR/HRV まで）。メッセージは framePipeline.js を参照
+const host = createPipelineHost((msg, transfer) => self.postMessage(msg, transfer));
+self.onmessage = (e) => host.handle(e.data);
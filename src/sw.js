@@ -0,0 +1,38 @@
+// Service Worker（ビルド時に vite.config.js の serviceWorker プラグインが <base>sw.js として書き出す）
+// 先頭に VERSION（ビルド内容のハッシュ）と PRECACHE（base からの相対パス一覧）が差し込まれる。
+// - install: ビルド成果物・public・MediaPipe の WASM/モデルをまとめてキャッシュ（オフラインでも起動・顔追跡できる）
+// - 新しい版は待機状態で止め、画面の「更新」で SKIP_WAITING を受けてから切り替える（計測中に勝手に入れ替わらない）
+// - fetch: キャッシュ優先。ページ遷移はキャッシュした index.html を返す
+const CACHE_PREFIX = 'rppg-focus-';
+const CACHE = CACHE_PREFIX + VERSION;
+const SCOPE = self.registration.scope;
+const INDEX = new URL('index.html', SCOPE).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.map((path) => new URL(path, SCOPE).href))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith(CACHE_PREFIX) && key !== CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(SCOPE)) return;
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    const hit = request.mode === 'navigate'
+      ? await cache.match(INDEX)
+      : await cache.match(request, { ignoreSearch: true });
+    return hit ?? fetch(request);
+  })());
+});
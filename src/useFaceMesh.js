@@ -1,50 +1,73 @@
-import { useEffect, useRef, useState } from 'react';
-
-// 額の重要なランドマーク番号（MediaPipe Face Mesh）
-// 眉間から上の領域のみ（瞬き影響を避ける）
-const FOREHEAD_LANDMARKS = [
-  // 眉間の基準点
-  9, // 眉間中央
-  
-  // 額中央の縦ライン（眉間から生え際まで）
-  10, 151, 337, 299, 333, 298, 301,
-  
-  // 額の中央横幅（狭めに）
-  251, 284, 332, 297, 338, // 中央
-  389, 356, // 右側少し
-  127, 162, // 左側少し
-  
-  // 眉毛の上端（これより上を使用）
-  70, 63, 105, 66, 107, // 左眉上
-  300, 293, 334, 296, 336 // 右眉上
-];
-
-export function useFaceMesh(videoRef, canvasRef, enabled, showMesh) {
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadFaceMesh, mediapipeUrl, withTimeout, MEDIAPIPE_TIMEOUT_MS } from './mediapipe';
+import { poseFromMatrix } from './rppg-core';
+
+// 額の多角形（MediaPipe Face Mesh、画像で時計回り）
+// 生え際側の上端 → 右眉の上 → 眉間（9） → 左眉の上。眉間より下（瞬きで動くまぶた）は含めない
+const FOREHEAD_POLYGON = [10, 338, 297, 332, 333, 334, 296, 336, 9, 107, 66, 105, 104, 103, 67, 109];
+
+// 頬のランドマーク（頬骨の下〜小鼻の横。目・口・鼻翼の影を避ける）。多角形は重心まわりの角度順に並べて作る
+// 左右は本人から見た向き
+const CHEEK_LANDMARKS = {
+  rightCheek: [116, 117, 118, 119, 100, 142, 203, 206, 205, 50, 123],
+  leftCheek: [345, 346, 347, 348, 329, 371, 423, 426, 425, 280, 352],
+};
+
+// 動き推定用の剛体に近いランドマーク（額・鼻筋・目頭/目尻・頬骨。口と顎は会話で動くので除く）
+const RIGID_LANDMARKS = [10, 151, 9, 168, 6, 197, 195, 5, 4, 33, 133, 362, 263, 116, 345, 234, 454];
+
+// ROIごとのデバッグ表示色
+export const ROI_COLORS = {
+  forehead: '#00FF00',
+  leftCheek: '#38BDF8',
+  rightCheek: '#F472B6',
+};
+
+// ROIの多角形を重心に向けて縮める割合（輪郭・眉・鼻翼の際を避ける。残った髪やテカリは肌マスクで除く）
+const POLYGON_SHRINK = { forehead: 0.9, cheek: 0.8 };
+
+// ROI は { x, y, w, h, poly }（正規化座標）。poly がランドマークの多角形、x〜h はその外接矩形（切り出し範囲）
+// manual = true のときは自動の検出ループを回さず、detectFrame() で1フレームずつ処理する
+// （動画ファイル解析でメディア時刻に同期させるため）
+// pose: 頭の向き { yaw, pitch, roll }（度）。顔ジオメトリ（正準顔モデルの当てはめ）の姿勢行列から求める。顔が無ければ null
+// loadError: MediaPipe の読み込み・初期化に失敗したときの理由（呼び出し側は中央ROIなどに切り替える）。enabled を入れ直すと読み込み直す
+export function useFaceMesh(videoRef, canvasRef, enabled, showMesh, manual = false) {
   const [foreheadBox, setForeheadBox] = useState(null);
+  const [rois, setRois] = useState(null); // { forehead, leftCheek, rightCheek }
+  const [pose, setPose] = useState(null);
   const [isDetecting, setIsDetecting] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const failedRef = useRef(false);
   const faceMeshRef = useRef(null);
   const animationRef = useRef(null);
+  const roisRef = useRef(null); // 直近フレームのROI一式（detectFrame の戻り値）
+  // 直近フレームの剛体ランドマーク { seq, t, points, pose }（ピクセル座標、pose は頭の向き）。動き推定はApp側で行う
+  const landmarksRef = useRef(null);
 
   useEffect(() => {
     if (!enabled || !videoRef.current || !canvasRef.current) return;
 
+    let cancelled = false;
+
     const initFaceMesh = async () => {
-      // MediaPipe Face Meshが読み込まれるまで待機
-      if (!window.FaceMesh || !window.drawConnectors || !window.drawLandmarks) {
-        console.log("⏳ MediaPipe Face Mesh読み込み中...");
-        setTimeout(initFaceMesh, 500);
+      console.log("⏳ MediaPipe Face Mesh読み込み中...");
+      setIsLoading(true);
+      setLoadError(null);
+      failedRef.current = false;
+      let mp, faceMesh;
+      try {
+        mp = await loadFaceMesh();
+        faceMesh = new mp.FaceMesh({ locateFile: (file) => mediapipeUrl('face_mesh', file) });
+      } catch (e) {
+        fail(e);
         return;
       }
 
-      const faceMesh = new window.FaceMesh({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-        }
-      });
-
       faceMesh.setOptions({
         maxNumFaces: 1,
         refineLandmarks: true,
+        enableFaceGeometry: true, // 頭の向き（姿勢行列）
         minDetectionConfidence: 0.5,
         minTrackingConfidence: 0.5
       });
@@ -65,92 +88,74 @@ export function useFaceMesh(videoRef, canvasRef, enabled, showMesh) {
           if (showMesh) {
             // 顔のメッシュ全体を薄く描画
             ctx.globalAlpha = 0.3;
-            window.drawConnectors(ctx, landmarks, window.FACEMESH_TESSELATION, 
+            mp.drawConnectors(ctx, landmarks, mp.FACEMESH_TESSELATION, 
               { color: '#C0C0C070', lineWidth: 1 });
             
             // 顔の輪郭を描画
             ctx.globalAlpha = 0.7;
-            window.drawConnectors(ctx, landmarks, window.FACEMESH_FACE_OVAL, 
+            mp.drawConnectors(ctx, landmarks, mp.FACEMESH_FACE_OVAL, 
               { color: '#E0E0E0', lineWidth: 2 });
             
             // ランドマークポイントを描画
             ctx.globalAlpha = 0.5;
-            window.drawLandmarks(ctx, landmarks, 
+            mp.drawLandmarks(ctx, landmarks, 
               { color: '#00FF00', lineWidth: 1, radius: 2 });
           }
           
-          // 額の領域を計算して強調表示
-          const foreheadPoints = FOREHEAD_LANDMARKS.map(i => landmarks[i]);
-          
-          // 額の境界ボックスを計算
-          let minX = 1, maxX = 0, minY = 1, maxY = 0;
-          foreheadPoints.forEach(point => {
-            minX = Math.min(minX, point.x);
-            maxX = Math.max(maxX, point.x);
-            minY = Math.min(minY, point.y);
-            maxY = Math.max(maxY, point.y);
-          });
-          
-          // 眉間から上の額領域を計算
-          // 眉間（9番）のポイントを基準にする
-          const glabellaPoint = landmarks[9]; // 眉間
-          const glabellaY = glabellaPoint.y;
-          
-          // 眉間から検出された最上部までの距離
-          const eyebrowToTop = glabellaY - minY;
-          
-          // この距離を参考に少し上に延長（1.2倍）
-          const extendedTop = glabellaY - (eyebrowToTop * 1.2);
-          
-          // 横幅を中央に絞る（額の中央部分のみ）
-          const centerX = (minX + maxX) / 2;
-          const originalWidth = maxX - minX;
-          const narrowedWidth = originalWidth * 0.5; // 幅を50%に縮小
-          
-          // 最終的な領域
-          minX = Math.max(0, centerX - narrowedWidth / 2);
-          maxX = Math.min(1, centerX + narrowedWidth / 2);
-          minY = Math.max(0, extendedTop);
-          maxY = Math.min(1, glabellaY); // 眉間より下には行かない
-          
-          const box = {
-            x: minX,
-            y: minY,
-            w: maxX - minX,
-            h: maxY - minY
+          const frameRois = {
+            forehead: polygonRoi(FOREHEAD_POLYGON.map((i) => landmarks[i]), POLYGON_SHRINK.forehead),
+            leftCheek: polygonRoi(byAngle(CHEEK_LANDMARKS.leftCheek.map((i) => landmarks[i])), POLYGON_SHRINK.cheek),
+            rightCheek: polygonRoi(byAngle(CHEEK_LANDMARKS.rightCheek.map((i) => landmarks[i])), POLYGON_SHRINK.cheek),
           };
+          // 姿勢行列（既定は列優先、getLayout() が 1 なら行優先）
+          const matrix = results.multiFaceGeometry?.[0]?.getPoseTransformMatrix();
+          const headPose = matrix ? poseFromMatrix(matrix.getPackedDataList(), matrix.getLayout() === 1) : null;
+          roisRef.current = frameRois;
+          landmarksRef.current = {
+            seq: (landmarksRef.current?.seq ?? 0) + 1,
+            t: performance.now() / 1000,
+            points: RIGID_LANDMARKS.map((i) => ({ x: landmarks[i].x * canvas.width, y: landmarks[i].y * canvas.height })),
+            pose: headPose,
+          };
+          setForeheadBox(frameRois.forehead);
+          setRois(frameRois);
+          setPose(headPose);
           
-          setForeheadBox(box);
-          
-          // 額の領域を緑枠で強調
+          // ROIの多角形を色分けして強調
           if (showMesh) {
             ctx.globalAlpha = 1.0;
-            ctx.strokeStyle = '#00FF00';
-            ctx.lineWidth = 3;
-            ctx.strokeRect(
-              box.x * canvas.width,
-              box.y * canvas.height,
-              box.w * canvas.width,
-              box.h * canvas.height
-            );
-            
-            // 額のランドマークを赤で強調
-            ctx.fillStyle = '#FF0000';
-            foreheadPoints.forEach(point => {
+            for (const [name, roi] of Object.entries(frameRois)) {
+              ctx.strokeStyle = ROI_COLORS[name];
+              ctx.lineWidth = name === 'forehead' ? 3 : 2;
               ctx.beginPath();
-              ctx.arc(point.x * canvas.width, point.y * canvas.height, 4, 0, 2 * Math.PI);
-              ctx.fill();
-            });
+              roi.poly.forEach((p, k) => ctx[k ? 'lineTo' : 'moveTo'](p.x * canvas.width, p.y * canvas.height));
+              ctx.closePath();
+              ctx.stroke();
+            }
           }
           
         } else {
           setIsDetecting(false);
+          setPose(null);
         }
         
         ctx.restore();
       });
 
+      // WASMとモデルをここで取得する（失敗・タイムアウトを検出ループより前に知るため）
+      try {
+        await withTimeout(faceMesh.initialize(), MEDIAPIPE_TIMEOUT_MS, 'Face Mesh の初期化');
+      } catch (e) {
+        faceMesh.close();
+        fail(e);
+        return;
+      }
+      if (cancelled) {
+        faceMesh.close();
+        return;
+      }
       faceMeshRef.current = faceMesh;
+      setIsLoading(false);
       console.log("✅ MediaPipe Face Mesh初期化完了");
 
       // アニメーションループで検出実行
@@ -160,20 +165,65 @@ export function useFaceMesh(videoRef, canvasRef, enabled, showMesh) {
         }
         animationRef.current = requestAnimationFrame(detect);
       };
-      detect();
+      if (!manual) detect();
+    };
+
+    const fail = (e) => {
+      failedRef.current = true;
+      if (cancelled) return;
+      console.error("❌ MediaPipe Face Mesh の読み込みに失敗:", e);
+      setIsLoading(false);
+      setLoadError(e?.message ?? String(e));
     };
 
     initFaceMesh();
 
     return () => {
+      cancelled = true;
+      setIsLoading(false);
+      setPose(null);
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
       if (faceMeshRef.current) {
         faceMeshRef.current.close();
+        faceMeshRef.current = null;
       }
     };
-  }, [enabled, videoRef, canvasRef, showMesh]);
+  }, [enabled, videoRef, canvasRef, showMesh, manual]);
+
+  // 現在のビデオフレームを1枚処理し、ROI一式（顔が無ければnull）を返す
+  const detectFrame = useCallback(async () => {
+    // 初期化待ち（読み込みに失敗したら待たない）
+    for (let i = 0; i < MEDIAPIPE_TIMEOUT_MS / 100 && !faceMeshRef.current && !failedRef.current; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    if (!faceMeshRef.current || !videoRef.current) return null;
+    roisRef.current = null;
+    await faceMeshRef.current.send({ image: videoRef.current });
+    return roisRef.current;
+  }, [videoRef]);
+
+  return { foreheadBox, rois, pose, isDetecting, isLoading, loadError, detectFrame, landmarksRef };
+}
+
+// 多角形を重心に向けて shrink 倍に縮め、外接矩形と合わせてROIにする（画面外は切り詰める）
+function polygonRoi(points, shrink) {
+  const cx = points.reduce((a, p) => a + p.x, 0) / points.length;
+  const cy = points.reduce((a, p) => a + p.y, 0) / points.length;
+  const poly = points.map((p) => ({
+    x: Math.min(1, Math.max(0, cx + (p.x - cx) * shrink)),
+    y: Math.min(1, Math.max(0, cy + (p.y - cy) * shrink)),
+  }));
+  const xs = poly.map((p) => p.x), ys = poly.map((p) => p.y);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y, poly };
+}
 
-  return { foreheadBox, isDetecting };
-}
\ No newline at end of file
+// 点を重心まわりの角度順に並べる（順序の決まっていないランドマークの組を多角形にする）
+function byAngle(points) {
+  const cx = points.reduce((a, p) => a + p.x, 0) / points.length;
+  const cy = points.reduce((a, p) => a + p.y, 0) / points.length;
+  const angle = (p) => Math.atan2(p.y - cy, p.x - cx);
+  return [...points].sort((a, b) => angle(a) - angle(b));
+}
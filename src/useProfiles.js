@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// ユーザープロファイル（名前 + キャリブレーションしたベースライン）を localStorage に保存する
+// 共用の端末で人ごとにベースラインを持てるように。{ version, activeId, profiles: [{ id, name, createdAt, baseline }] }
+// baseline は createCalibration().finish() の baseline（未キャリブレーションなら null）
+const STORAGE_KEY = 'rppg-focus-monitor.profiles';
+const STORAGE_VERSION = 1;
+
+function load() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (data?.version === STORAGE_VERSION && Array.isArray(data.profiles)) return data;
+  } catch (e) {
+    console.warn('⚠️ プロファイルの読み込みに失敗:', e);
+  }
+  return { version: STORAGE_VERSION, activeId: null, profiles: [] };
+}
+
+export function useProfiles() {
+  const [state, setState] = useState(load);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.warn('⚠️ プロファイルの保存に失敗:', e);
+    }
+  }, [state]);
+
+  const create = useCallback((name) => {
+    const profile = { id: `p${Date.now().toString(36)}`, name, createdAt: new Date().toISOString(), baseline: null };
+    setState((s) => ({ ...s, activeId: profile.id, profiles: [...s.profiles, profile] }));
+    console.log(`👤 プロファイル作成: ${name}`);
+    return profile.id;
+  }, []);
+
+  const remove = useCallback((id) => {
+    setState((s) => {
+      const profiles = s.profiles.filter((p) => p.id !== id);
+      return { ...s, profiles, activeId: s.activeId === id ? profiles[0]?.id ?? null : s.activeId };
+    });
+  }, []);
+
+  const select = useCallback((id) => {
+    setState((s) => ({ ...s, activeId: id }));
+  }, []);
+
+  // 指定のプロファイル（なければ「既定」を作って）にベースラインを保存する
+  const saveBaseline = useCallback((id, baseline) => {
+    setState((s) => {
+      if (id && s.profiles.some((p) => p.id === id)) {
+        return { ...s, profiles: s.profiles.map((p) => (p.id === id ? { ...p, baseline } : p)) };
+      }
+      const profile = { id: `p${Date.now().toString(36)}`, name: '既定', createdAt: new Date().toISOString(), baseline };
+      return { ...s, activeId: profile.id, profiles: [...s.profiles, profile] };
+    });
+  }, []);
+
+  const active = state.profiles.find((p) => p.id === state.activeId) ?? null;
+  return { profiles: state.profiles, active, create, remove, select, saveBaseline };
+}
@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// PWA（インストールと更新）
+// - 本番ビルドでだけ <base>sw.js（vite.config.js の serviceWorker プラグインが生成）を登録する
+// - 新しい版が待機状態になったら updateReady。applyUpdate() で切り替えてページを読み込み直す
+// - ブラウザがインストール可能と判断したら canInstall。install() でインストールのダイアログを出す
+const UPDATE_CHECK_MS = 60 * 60 * 1000; // 開きっぱなしでも1時間ごとに新しい版を確認
+
+export function usePwa() {
+  const [updateReady, setUpdateReady] = useState(false);
+  const [canInstall, setCanInstall] = useState(false);
+  const [standalone, setStandalone] = useState(() => typeof window !== 'undefined' && window.matchMedia?.('(display-mode: standalone)').matches);
+  const registrationRef = useRef(null);
+  const installEventRef = useRef(null);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    let timer = null;
+    const check = () => { if (document.visibilityState === 'visible') registrationRef.current?.update().catch(() => {}); };
+    // 既に動いている版がある（＝初回インストールではない）ときだけ更新として知らせる
+    const watch = (worker) => {
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) setUpdateReady(true);
+      });
+    };
+
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`, { scope: import.meta.env.BASE_URL })
+      .then((reg) => {
+        registrationRef.current = reg;
+        console.log('📦 Service Worker 登録:', reg.scope);
+        if (reg.waiting && navigator.serviceWorker.controller) setUpdateReady(true);
+        watch(reg.installing);
+        reg.addEventListener('updatefound', () => watch(reg.installing));
+        timer = setInterval(check, UPDATE_CHECK_MS);
+      })
+      .catch((e) => console.warn('⚠️ Service Worker を登録できませんでした:', e));
+    document.addEventListener('visibilitychange', check);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', check);
+    };
+  }, []);
+
+  useEffect(() => {
+    const onPrompt = (e) => {
+      e.preventDefault(); // 既定のミニ情報バーは出さず、画面のボタンから出す
+      installEventRef.current = e;
+      setCanInstall(true);
+    };
+    const onInstalled = () => {
+      installEventRef.current = null;
+      setCanInstall(false);
+      console.log('📦 アプリとしてインストールされました');
+    };
+    const mq = window.matchMedia?.('(display-mode: standalone)');
+    const onMode = (e) => setStandalone(e.matches);
+    window.addEventListener('beforeinstallprompt', onPrompt);
+    window.addEventListener('appinstalled', onInstalled);
+    mq?.addEventListener?.('change', onMode);
+    return () => {
+      window.removeEventListener('beforeinstallprompt', onPrompt);
+      window.removeEventListener('appinstalled', onInstalled);
+      mq?.removeEventListener?.('change', onMode);
+    };
+  }, []);
+
+  const applyUpdate = useCallback(() => {
+    const waiting = registrationRef.current?.waiting;
+    if (!waiting) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waiting.postMessage({ type: 'SKIP_WAITING' });
+  }, []);
+
+  const install = useCallback(async () => {
+    const e = installEventRef.current;
+    if (!e) return;
+    e.prompt();
+    const { outcome } = await e.userChoice;
+    console.log(`📦 インストール: ${outcome}`);
+    installEventRef.current = null;
+    setCanInstall(false);
+  }, []);
+
+  return { updateReady, applyUpdate, canInstall, install, standalone };
+}
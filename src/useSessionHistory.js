@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from 'react';
+import { withStore } from './idb';
+
+// 計測セッションの履歴（IndexedDB、この端末のブラウザ内だけに保存）
+// 1レコード = { id, startedAt, endedAt, source, meta, summary, metrics, beats }
+// 生フレームとBVPは容量が大きいので保存しない（必要ならセッション記録のJSONを書き出す）
+const STORE = 'sessions';
+
+export function useSessionHistory() {
+  const [sessions, setSessions] = useState([]); // 新しい順
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const all = await withStore(STORE, 'readonly', (store) => store.getAll());
+      all.sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+      setSessions(all);
+      setError(null);
+    } catch (e) {
+      console.warn('⚠️ 履歴の読み込みに失敗:', e);
+      setError(e.message ?? String(e));
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const save = useCallback(async (record) => {
+    try {
+      const id = await withStore(STORE, 'readwrite', (store) => store.add(record));
+      console.log(`💾 セッションを履歴に保存 (#${id})`);
+      await reload();
+      return id;
+    } catch (e) {
+      console.warn('⚠️ 履歴の保存に失敗:', e);
+      setError(e.message ?? String(e));
+      return null;
+    }
+  }, [reload]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await withStore(STORE, 'readwrite', (store) => store.delete(id));
+      console.log(`🗑️ 履歴を削除 (#${id})`);
+      await reload();
+    } catch (e) {
+      console.warn('⚠️ 履歴の削除に失敗:', e);
+      setError(e.message ?? String(e));
+    }
+  }, [reload]);
+
+  return { sessions, error, save, remove };
+}
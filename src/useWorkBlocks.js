@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { withStore } from './idb';
+
+// 作業/休憩ブロックの記録（IndexedDB）
+// 1レコード = { id, kind, startedAt, endedAt, plannedSec, endReason, profile, summary }
+// summary は summarizeBlock() の結果（1秒ごとの指標そのものは保存しない）
+const STORE = 'blocks';
+
+export function useWorkBlocks() {
+  const [blocks, setBlocks] = useState([]); // 新しい順
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const all = await withStore(STORE, 'readonly', (store) => store.getAll());
+      all.sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+      setBlocks(all);
+      setError(null);
+    } catch (e) {
+      console.warn('⚠️ ブロックの読み込みに失敗:', e);
+      setError(e.message ?? String(e));
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const save = useCallback(async (record) => {
+    try {
+      const id = await withStore(STORE, 'readwrite', (store) => store.add(record));
+      await reload();
+      return id;
+    } catch (e) {
+      console.warn('⚠️ ブロックの保存に失敗:', e);
+      setError(e.message ?? String(e));
+      return null;
+    }
+  }, [reload]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await withStore(STORE, 'readwrite', (store) => store.delete(id));
+      await reload();
+    } catch (e) {
+      console.warn('⚠️ ブロックの削除に失敗:', e);
+      setError(e.message ?? String(e));
+    }
+  }, [reload]);
+
+  return { blocks, error, save, remove };
+}
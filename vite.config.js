@@ -1,7 +1,93 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, extname, join, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+// MediaPipe（Face Mesh と描画ユーティリティ）をCDNではなくアプリと同じ場所の <base>mediapipe/<name>/ から配信する。
+// 開発サーバーは node_modules から直接返し、ビルドでは dist にコピーする（ネットワークのない端末でも顔追跡が動くように）
+const MEDIAPIPE_PACKAGES = ['face_mesh', 'drawing_utils']
+const MEDIAPIPE_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.binarypb': 'application/octet-stream',
+}
+const require = createRequire(import.meta.url)
+
+function mediapipeFiles() {
+  return MEDIAPIPE_PACKAGES.flatMap((name) => {
+    const dir = dirname(require.resolve(`@mediapipe/${name}/package.json`))
+    return readdirSync(dir)
+      .filter((file) => extname(file) in MEDIAPIPE_TYPES)
+      .map((file) => ({ url: `mediapipe/${name}/${file}`, path: join(dir, file) }))
+  })
+}
+
+function mediapipeAssets() {
+  let base = '/'
+  return {
+    name: 'mediapipe-assets',
+    configResolved(config) {
+      base = config.base
+    },
+    configureServer(server) {
+      const files = new Map(mediapipeFiles().map((f) => [base + f.url, f.path]))
+      server.middlewares.use((req, res, next) => {
+        const path = files.get(req.url.split('?')[0])
+        if (!path) return next()
+        res.setHeader('Content-Type', MEDIAPIPE_TYPES[extname(path)])
+        res.end(readFileSync(path))
+      })
+    },
+    generateBundle() {
+      for (const f of mediapipeFiles()) {
+        this.emitFile({ type: 'asset', fileName: f.url, source: readFileSync(f.path) })
+      }
+    },
+  }
+}
+
+// PWA 用の Service Worker（src/sw.js）をビルド時に <base>sw.js として書き出す。
+// バンドル（index.html・JS/CSS・ワーカー・MediaPipe）と public の全ファイルを PRECACHE に並べ、
+// その内容のハッシュを VERSION にする（中身が変わったデプロイだけが「新しいバージョン」になる）。
+// index.html などがそろってから一覧を作るため enforce: 'post'。開発サーバーでは登録しない
+function serviceWorker() {
+  let publicDir = ''
+  return {
+    name: 'service-worker',
+    enforce: 'post',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const files = Object.values(bundle).map((f) => [f.fileName, f.type === 'chunk' ? f.code : f.source])
+      for (const path of listFiles(publicDir)) files.push([relative(publicDir, path).split('\\').join('/'), readFileSync(path)])
+      files.sort(([a], [b]) => (a < b ? -1 : 1))
+      const hash = createHash('sha256')
+      for (const [name, source] of files) hash.update(name).update(source)
+      const precache = files.map(([name]) => name).filter((name) => name !== 'sw.js')
+      const source = `const VERSION = ${JSON.stringify(hash.digest('hex').slice(0, 12))};\n`
+        + `const PRECACHE = ${JSON.stringify(precache)};\n`
+        + readFileSync(fileURLToPath(new URL('./src/sw.js', import.meta.url)), 'utf8')
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
+function listFiles(dir) {
+  try {
+    return readdirSync(dir, { withFileTypes: true })
+      .flatMap((e) => (e.isDirectory() ? listFiles(join(dir, e.name)) : [join(dir, e.name)]))
+  } catch {
+    return []
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeAssets(), serviceWorker()],
   base: '/873ch.rPPG-Focus-Monitor/',
-})
\ No newline at end of file
+})